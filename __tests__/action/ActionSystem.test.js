@@ -0,0 +1,470 @@
+const ActionSystem = require('../../src/action/ActionSystem');
+const EventBus = require('../../src/core/EventBus');
+const Runtime = require('../../src/core/Runtime');
+
+function createActionSystem(config = {}) {
+  const actionSystem = new ActionSystem(config);
+  const eventBus = new EventBus();
+  actionSystem.setAgent({ eventBus });
+  return { actionSystem, eventBus };
+}
+
+const delay = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+describe('ActionSystem', () => {
+  describe('skills', () => {
+    test('dispatches plan steps to registered skills and returns the last output', async () => {
+      const { actionSystem } = createActionSystem();
+      actionSystem.registerSkill('double', ({ value }) => value * 2);
+
+      const result = await actionSystem.execute([{ id: 'a', type: 'double', parameters: { value: 21 } }]);
+
+      expect(result.success).toBe(true);
+      expect(result.results).toEqual({ a: 42 });
+      expect(result.output).toBe(42);
+    });
+
+    test('runs the action sequence of a planning result', async () => {
+      const { actionSystem } = createActionSystem();
+      actionSystem.registerSkill('echo', ({ text }) => text);
+
+      const result = await actionSystem.execute({
+        finalPlan: ['1. Say hello'],
+        actionSequence: [{ type: 'echo', parameters: { text: 'hello' } }]
+      });
+
+      expect(result.output).toBe('hello');
+    });
+
+    test('fails on steps without a registered skill', async () => {
+      const { actionSystem } = createActionSystem();
+
+      const result = await actionSystem.execute([{ type: 'doesNotExist' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('No skill registered for action type "doesNotExist"');
+    });
+
+    test('rejects parameters that do not match the skill descriptor', async () => {
+      const { actionSystem } = createActionSystem();
+      const handler = jest.fn();
+      actionSystem.registerSkill('greet', {
+        handler,
+        parameters: { type: 'object', properties: { who: { type: 'string' } }, required: ['who'] }
+      });
+
+      const result = await actionSystem.execute([{ type: 'greet', parameters: {} }]);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toBe('Invalid parameters for skill "greet": parameters.who is required');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('fills in parameter defaults', async () => {
+      const { actionSystem } = createActionSystem();
+      actionSystem.registerSkill('greet', {
+        handler: ({ who }) => `Hello ${who}`,
+        parameters: { type: 'object', properties: { who: { type: 'string', default: 'world' } } }
+      });
+
+      expect((await actionSystem.execute([{ type: 'greet' }])).output).toBe('Hello world');
+    });
+
+    test('describes registered skills', () => {
+      const { actionSystem } = createActionSystem();
+      actionSystem.registerSkill('greet', { handler: () => 'hi', description: 'Says hi', tags: ['chat'] });
+
+      expect(actionSystem.describeSkill('greet')).toMatchObject({
+        name: 'greet', description: 'Says hi', parameters: null, returns: null, tags: ['chat'], sideEffects: false
+      });
+      expect(actionSystem.listSkills({ tag: 'chat' }).map(skill => skill.name)).toEqual(['greet']);
+      expect(actionSystem.listSkills().map(skill => skill.name)).toContain('formatResponse');
+      expect(actionSystem.validateParameters('retrieveInformation', {}).valid).toBe(false);
+      expect(() => actionSystem.registerSkill('bad', { description: 'no handler' })).toThrow('Skill handler for "bad" must be a function');
+    });
+  });
+
+  describe('dependency graphs', () => {
+    test('gives concurrent executions distinct ids while the clock stands still', async () => {
+      const actionSystem = new ActionSystem();
+      const eventBus = new EventBus();
+      actionSystem.setAgent({ eventBus, runtime: new Runtime({ now: () => 1000, random: () => 0 }) });
+      actionSystem.registerSkill('wait', () => delay(5));
+      const started = [];
+      eventBus.on('action:execute:start', ({ executionId }) => started.push(executionId));
+
+      const results = await Promise.all([1, 2, 3].map(() => actionSystem.execute([{ type: 'wait' }])));
+
+      expect(results.every(result => result.success)).toBe(true);
+      expect(new Set(started).size).toBe(3);
+    });
+
+    test('runs independent branches in parallel and waits for dependencies', async () => {
+      const { actionSystem } = createActionSystem({ concurrency: 2 });
+      const events = [];
+      actionSystem.registerSkill('slow', {
+        handler: async ({ name }) => {
+          events.push(`start:${name}`);
+          await delay(20);
+          events.push(`end:${name}`);
+          return name;
+        }
+      });
+      actionSystem.registerSkill('join', { handler: (parameters, context) => Object.values(context.upstream).join('+') });
+
+      const result = await actionSystem.execute([
+        { id: 'a', type: 'slow', parameters: { name: 'a' }, dependsOn: [] },
+        { id: 'b', type: 'slow', parameters: { name: 'b' }, dependsOn: [] },
+        { id: 'c', type: 'join', dependsOn: ['a', 'b'] }
+      ]);
+
+      expect(result.success).toBe(true);
+      expect(events.slice(0, 2)).toEqual(['start:a', 'start:b']);
+      expect(result.results.c).toBe('a+b');
+    });
+
+    test('never runs more steps at once than the concurrency limit', async () => {
+      const { actionSystem } = createActionSystem();
+      let running = 0;
+      let peak = 0;
+      actionSystem.registerSkill('slow', {
+        handler: async () => {
+          peak = Math.max(peak, ++running);
+          await delay(5);
+          running--;
+        }
+      });
+      const plan = [1, 2, 3, 4, 5].map(index => ({ id: `s${index}`, type: 'slow', dependsOn: [] }));
+
+      await actionSystem.execute(plan, { concurrency: 2 });
+
+      expect(peak).toBe(2);
+    });
+
+    test('runs steps without dependsOn one after another', async () => {
+      const { actionSystem } = createActionSystem();
+      const order = [];
+      actionSystem.registerSkill('record', { handler: async ({ name }) => { await delay(name === 'a' ? 10 : 0); order.push(name); } });
+
+      await actionSystem.execute([
+        { type: 'record', parameters: { name: 'a' } },
+        { type: 'record', parameters: { name: 'b' } }
+      ]);
+
+      expect(order).toEqual(['a', 'b']);
+    });
+
+    test('rejects plans with dependency cycles or unknown dependencies', async () => {
+      const { actionSystem } = createActionSystem();
+
+      const cyclic = await actionSystem.execute([
+        { id: 'a', type: 'noop', dependsOn: ['b'] },
+        { id: 'b', type: 'noop', dependsOn: ['a'] }
+      ]);
+      const dangling = await actionSystem.execute([{ id: 'a', type: 'noop', dependsOn: ['missing'] }]);
+
+      expect(cyclic.success).toBe(false);
+      expect(cyclic.errorCode).toBe('PLAN_CYCLE');
+      expect(dangling.error).toBe('Action "a" depends on unknown action "missing"');
+    });
+  });
+
+  describe('failures', () => {
+    test('retries failing skills with backoff', async () => {
+      const { actionSystem, eventBus } = createActionSystem({ retry: { attempts: 2, initialDelay: 1 } });
+      const retries = [];
+      eventBus.on('action:step:retry', ({ attempt, delay }) => retries.push({ attempt, delay }));
+      let calls = 0;
+      actionSystem.registerSkill('flaky', {
+        handler: () => {
+          calls++;
+          if (calls < 3) throw new Error('temporary');
+          return 'done';
+        }
+      });
+
+      const result = await actionSystem.execute([{ type: 'flaky' }]);
+
+      expect(result.success).toBe(true);
+      expect(calls).toBe(3);
+      expect(retries).toEqual([{ attempt: 1, delay: 1 }, { attempt: 2, delay: 2 }]);
+    });
+
+    test('does not retry invalid parameters', async () => {
+      const { actionSystem } = createActionSystem({ retry: { attempts: 3, initialDelay: 1 } });
+      const handler = jest.fn();
+      actionSystem.registerSkill('strict', { handler, parameters: { type: 'object', required: ['x'] } });
+
+      const result = await actionSystem.execute([{ type: 'strict' }]);
+
+      expect(result.errorCode).toBe('INVALID_PARAMETERS');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('times out slow skills', async () => {
+      const { actionSystem } = createActionSystem();
+      actionSystem.registerSkill('stuck', { handler: () => delay(1000), timeout: 20 });
+
+      const result = await actionSystem.execute([{ type: 'stuck' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe('SKILL_TIMEOUT');
+    });
+
+    test('stops when the caller cancels the plan', async () => {
+      const { actionSystem } = createActionSystem();
+      const controller = new AbortController();
+      const second = jest.fn();
+      actionSystem.registerSkill('first', { handler: () => { controller.abort(); return delay(50); } });
+      actionSystem.registerSkill('second', { handler: second });
+
+      const result = await actionSystem.execute([{ type: 'first' }, { type: 'second' }], { signal: controller.signal });
+
+      expect(result).toMatchObject({ success: false, cancelled: true, errorCode: 'EXECUTION_ABORTED' });
+      expect(second).not.toHaveBeenCalled();
+    });
+
+    test('does not start a step once the plan is cancelled', async () => {
+      const { actionSystem, eventBus } = createActionSystem();
+      const controller = new AbortController();
+      const handler = jest.fn();
+      const approvals = jest.fn();
+      actionSystem.registerSkill('deploy', { handler, requiresApproval: true });
+      eventBus.on('action:step:start', () => controller.abort());
+      eventBus.on('action:approval:required', approvals);
+
+      const result = await actionSystem.execute([{ type: 'deploy' }], { signal: controller.signal });
+
+      expect(result).toMatchObject({ success: false, cancelled: true, errorCode: 'EXECUTION_ABORTED' });
+      expect(approvals).not.toHaveBeenCalled();
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('stops plans that run past their timeout', async () => {
+      const { actionSystem } = createActionSystem();
+      actionSystem.registerSkill('slow', { handler: () => delay(1000) });
+
+      const result = await actionSystem.execute([{ type: 'slow' }], { timeout: 20 });
+
+      expect(result).toMatchObject({ success: false, cancelled: true, errorCode: 'PLAN_TIMEOUT' });
+    });
+
+    test('lets error handlers fall back to a result', async () => {
+      const { actionSystem } = createActionSystem({
+        errorHandlers: [() => ({ strategy: 'fallback', result: 'fallback value' })]
+      });
+      actionSystem.registerSkill('broken', { handler: () => { throw new Error('broken'); } });
+
+      const result = await actionSystem.execute([{ type: 'broken' }]);
+
+      expect(result.success).toBe(true);
+      expect(result.output).toBe('fallback value');
+    });
+
+    test('lets error handlers skip a step', async () => {
+      const { actionSystem } = createActionSystem({
+        errorHandlers: [(error, { actionId }) => (actionId === 'optional' ? { strategy: 'skip' } : undefined)]
+      });
+      actionSystem.registerSkill('broken', { handler: () => { throw new Error('broken'); } });
+      actionSystem.registerSkill('echo', { handler: () => 'still ran' });
+
+      const result = await actionSystem.execute([{ id: 'optional', type: 'broken' }, { id: 'after', type: 'echo' }]);
+
+      expect(result.success).toBe(true);
+      expect(result.skipped).toEqual(['optional']);
+      expect(result.output).toBe('still ran');
+    });
+  });
+
+  describe('compensation', () => {
+    test('compensates completed steps in reverse order when a later step fails', async () => {
+      const { actionSystem } = createActionSystem();
+      const undone = [];
+      actionSystem.registerSkill('reserve', {
+        handler: ({ item }) => ({ item }),
+        compensate: (result) => { undone.push(result.item); }
+      });
+      actionSystem.registerSkill('fail', { handler: () => { throw new Error('payment declined'); } });
+
+      const result = await actionSystem.execute([
+        { id: 'seat', type: 'reserve', parameters: { item: 'seat' } },
+        { id: 'meal', type: 'reserve', parameters: { item: 'meal' } },
+        { id: 'pay', type: 'fail' }
+      ]);
+
+      expect(result.success).toBe(false);
+      expect(undone).toEqual(['meal', 'seat']);
+      expect(result.compensated).toBe(true);
+      expect(result.rollbacks.map(rollback => rollback.actionId)).toEqual(['meal', 'seat']);
+    });
+
+    test('reports rollbacks that fail and keeps undoing the rest', async () => {
+      const { actionSystem } = createActionSystem();
+      const undone = [];
+      actionSystem.registerSkill('reserve', {
+        handler: ({ item }) => ({ item }),
+        compensate: ({ item }) => {
+          if (item === 'meal') throw new Error('kitchen closed');
+          undone.push(item);
+        }
+      });
+      actionSystem.registerSkill('fail', { handler: () => { throw new Error('payment declined'); } });
+
+      const result = await actionSystem.execute([
+        { id: 'seat', type: 'reserve', parameters: { item: 'seat' } },
+        { id: 'meal', type: 'reserve', parameters: { item: 'meal' } },
+        { id: 'pay', type: 'fail' }
+      ]);
+
+      expect(undone).toEqual(['seat']);
+      expect(result.compensated).toBe(false);
+      expect(result.rollbacks).toEqual([
+        { actionId: 'meal', type: 'reserve', success: false, error: 'kitchen closed' },
+        { actionId: 'seat', type: 'reserve', success: true }
+      ]);
+    });
+
+    test('can be turned off per execution', async () => {
+      const { actionSystem } = createActionSystem();
+      const compensate = jest.fn();
+      actionSystem.registerSkill('reserve', { handler: () => 'reserved', compensate });
+      actionSystem.registerSkill('fail', { handler: () => { throw new Error('nope'); } });
+
+      const result = await actionSystem.execute([{ type: 'reserve' }, { type: 'fail' }], { compensate: false });
+
+      expect(compensate).not.toHaveBeenCalled();
+      expect(result.rollbacks).toEqual([]);
+    });
+  });
+
+  describe('dry runs', () => {
+    test('simulates side-effecting and approval-gated skills without running them', async () => {
+      const { actionSystem } = createActionSystem();
+      const ran = [];
+      actionSystem.registerSkill('send', { handler: () => ran.push('send'), sideEffects: true, mockOutput: 'would send' });
+      actionSystem.registerSkill('gated', { handler: () => ran.push('gated'), requiresApproval: true });
+      actionSystem.registerSkill('read', { handler: () => 'read value' });
+
+      const result = await actionSystem.execute([
+        { id: 'r', type: 'read' },
+        { id: 's', type: 'send' },
+        { id: 'g', type: 'gated' }
+      ], { dryRun: true });
+
+      expect(ran).toEqual([]);
+      expect(result.dryRun).toBe(true);
+      expect(result.success).toBe(true);
+      expect(result.trace.map(entry => entry.status)).toEqual(['ok', 'simulated', 'simulated']);
+      expect(result.trace.slice(0, 2).map(entry => entry.output)).toEqual(['read value', 'would send']);
+    });
+
+    test('reports invalid steps and the steps they block', async () => {
+      const { actionSystem } = createActionSystem();
+
+      const result = await actionSystem.execute([
+        { id: 'missing', type: 'doesNotExist' },
+        { id: 'after', type: 'noop', dependsOn: ['missing'] }
+      ], { dryRun: true });
+
+      expect(result.success).toBe(false);
+      expect(result.trace.map(entry => entry.status)).toEqual(['invalid', 'blocked']);
+      expect(result.issues.map(issue => issue.code)).toEqual(['INVALID', 'BLOCKED']);
+    });
+
+    test('compares the simulation with predicted outcomes', async () => {
+      const { actionSystem } = createActionSystem();
+
+      const result = await actionSystem.simulate({
+        actionSequence: [{ id: 'ok', type: 'noop' }, { id: 'bad', type: 'doesNotExist' }],
+        predictedOutcomes: [{ actionId: 'ok' }, { actionId: 'bad' }, { actionId: 'gone' }]
+      });
+
+      expect(result.outcomes.map(outcome => [outcome.simulatedStatus, outcome.matchesPrediction])).toEqual([
+        ['ok', true], ['invalid', false], ['missing', false]
+      ]);
+    });
+  });
+
+  describe('approval', () => {
+    test('runs a gated step once it is approved', async () => {
+      const { actionSystem, eventBus } = createActionSystem();
+      const requests = [];
+      actionSystem.registerSkill('deploy', { handler: ({ target }) => `deployed ${target}`, requiresApproval: true });
+      eventBus.on('action:approval:required', (request) => {
+        requests.push(request);
+        expect(actionSystem.getPendingApprovals()).toHaveLength(1);
+        actionSystem.approve(request.executionId, request.stepId, { approvedBy: 'test' });
+      });
+
+      const result = await actionSystem.execute([{ id: 'ship', type: 'deploy', parameters: { target: 'prod' } }]);
+
+      expect(result.success).toBe(true);
+      expect(result.output).toBe('deployed prod');
+      expect(requests).toMatchObject([{ stepId: 'ship', parameters: { target: 'prod' } }]);
+      expect(actionSystem.getPendingApprovals()).toEqual([]);
+    });
+
+    test('fails a rejected step', async () => {
+      const { actionSystem, eventBus } = createActionSystem();
+      actionSystem.registerSkill('deploy', { handler: () => 'deployed', requiresApproval: true });
+      eventBus.on('action:approval:required', ({ executionId, stepId }) => {
+        actionSystem.reject(executionId, stepId, 'not today');
+      });
+
+      const result = await actionSystem.execute([{ type: 'deploy' }]);
+
+      expect(result.success).toBe(false);
+      expect(result.errorCode).toBe('APPROVAL_REJECTED');
+      expect(result.error).toMatch(/not today/);
+    });
+
+    test('fails fast when nothing handles approval requests', async () => {
+      const { actionSystem } = createActionSystem();
+      const handler = jest.fn();
+      actionSystem.registerSkill('deploy', { handler, requiresApproval: true });
+
+      const result = await actionSystem.execute([{ type: 'deploy' }]);
+
+      expect(result.errorCode).toBe('APPROVAL_UNAVAILABLE');
+      expect(result.error).toBe('Step "deploy-1" needs approval but nothing handles action:approval:required');
+      expect(handler).not.toHaveBeenCalled();
+    });
+
+    test('times out approvals nobody decides on', async () => {
+      const { actionSystem, eventBus } = createActionSystem({ approval: { timeout: 20 } });
+      actionSystem.registerSkill('deploy', { handler: () => 'deployed', requiresApproval: true });
+      eventBus.on('action:approval:required', () => {});
+
+      const result = await actionSystem.execute([{ type: 'deploy' }]);
+
+      expect(result.errorCode).toBe('APPROVAL_TIMEOUT');
+      expect(actionSystem.getPendingApprovals()).toEqual([]);
+    });
+
+    test('defaults to a five minute approval timeout that config can turn off', () => {
+      expect(createActionSystem().actionSystem.approvalTimeout).toBe(300000);
+      expect(createActionSystem({ approval: { timeout: 0 } }).actionSystem.approvalTimeout).toBe(0);
+    });
+
+    test('withdraws pending approvals when the plan is cancelled', async () => {
+      const { actionSystem, eventBus } = createActionSystem();
+      const controller = new AbortController();
+      actionSystem.registerSkill('deploy', { handler: () => 'deployed', requiresApproval: true });
+      eventBus.on('action:approval:required', () => setTimeout(() => controller.abort(), 5));
+
+      const result = await actionSystem.execute([{ type: 'deploy' }], { signal: controller.signal });
+
+      expect(result.cancelled).toBe(true);
+      expect(actionSystem.getPendingApprovals()).toEqual([]);
+    });
+
+    test('lets config turn a gate off', async () => {
+      const { actionSystem } = createActionSystem({ approval: { skills: { executeAction: false } } });
+
+      const result = await actionSystem.execute([{ type: 'executeAction', parameters: { action: 'backup' } }]);
+
+      expect(result.success).toBe(true);
+      expect(actionSystem.describeSkill('executeAction').requiresApproval).toBe(false);
+    });
+  });
+});
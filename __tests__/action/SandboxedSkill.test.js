@@ -0,0 +1,57 @@
+const ActionSystem = require('../../src/action/ActionSystem');
+const SandboxedSkill = require('../../src/action/SandboxedSkill');
+
+describe('SandboxedSkill', () => {
+  test('gives code no access to require or process', async () => {
+    const skill = new SandboxedSkill('probe', { code: 'return [typeof require, typeof process].join(",");' });
+
+    await expect(skill.run({})).resolves.toBe('undefined,undefined');
+  });
+
+  test('passes parameters in and the return value out', async () => {
+    const skill = new SandboxedSkill('sum', { code: 'return parameters.values.reduce((a, b) => a + b, 0);' });
+
+    await expect(skill.run({ values: [1, 2, 3] })).resolves.toBe(6);
+  });
+
+  test('refuses skill calls that were not granted', async () => {
+    const actionSystem = new ActionSystem();
+    const skill = new SandboxedSkill('caller', {
+      code: 'return cortex.callSkill("retrieveInformation", { query: "x" });',
+      capabilities: { skills: ['noop'] }
+    }, actionSystem);
+
+    await expect(skill.run({})).rejects.toThrow(/not granted/);
+  });
+
+  test('stops code that exceeds its CPU time limit', async () => {
+    const skill = new SandboxedSkill('spin', { code: 'while (true) {}', cpuTimeout: 50, timeout: 2000 });
+
+    await expect(skill.run({})).rejects.toThrow(/failed/);
+  });
+
+  test('runs as a registered skill with the capabilities it was granted', async () => {
+    const actionSystem = new ActionSystem();
+    actionSystem.registerSkill('researcher', {
+      sandbox: {
+        code: `
+          const info = await cortex.callSkill('retrieveInformation', { query: parameters.topic });
+          return { content: info.content, actionId: cortex.getContext('actionId') };
+        `,
+        capabilities: { context: true, skills: ['retrieveInformation'] }
+      }
+    });
+
+    expect(actionSystem.describeSkill('researcher').sandboxed).toBe(true);
+    const result = await actionSystem.execute([{ id: 'research', type: 'researcher', parameters: { topic: 'owls' } }]);
+
+    expect(result.success).toBe(true);
+    expect(result.output).toEqual({ content: 'Information about: owls', actionId: 'research' });
+  });
+
+  test('cannot call approval-gated skills', async () => {
+    const actionSystem = new ActionSystem();
+
+    await expect(actionSystem.executeSkill('executeAction', {})).rejects.toMatchObject({ code: 'APPROVAL_REQUIRED' });
+  });
+});
@@ -0,0 +1,154 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ActionSystem = require('../../src/action/ActionSystem');
+const SkillLoader = require('../../src/action/SkillLoader');
+
+function writeSkill(root, name, manifest, code) {
+  const directory = path.join(root, name);
+  fs.mkdirSync(directory, { recursive: true });
+  fs.writeFileSync(path.join(directory, 'manifest.json'), JSON.stringify({ name, version: '1.0.0', ...manifest }));
+  if (code !== undefined) {
+    fs.writeFileSync(path.join(directory, manifest.main || 'index.js'), code);
+  }
+}
+
+// A sandboxed plugin that reads the context and calls another skill
+const RESEARCHER_MANIFEST = { sandbox: { capabilities: { context: true, skills: ['retrieveInformation'] } } };
+const RESEARCHER_CODE = `
+  const info = await cortex.callSkill('retrieveInformation', { query: parameters.topic });
+  return { content: info.content, actionId: cortex.getContext('actionId') };
+`;
+
+describe('SkillLoader', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('loads plugins from manifests and reports broken ones without failing', () => {
+    writeSkill(root, 'greet', {
+      description: 'Greets someone',
+      parameters: { type: 'object', properties: { who: { type: 'string' } }, required: ['who'] }
+    }, 'module.exports = ({ who }) => `Hello ${who}`;');
+    writeSkill(root, 'broken', { main: 'missing.js' });
+
+    const { skills, errors } = new SkillLoader().load([root]);
+
+    expect(skills.map(skill => skill.name)).toEqual(['greet']);
+    expect(skills[0].descriptor).toMatchObject({ description: 'Greets someone', version: '1.0.0' });
+    expect(errors).toHaveLength(1);
+    expect(errors[0].name).toBe('broken');
+    expect(errors[0].error).toMatch(/^Cannot load module for skill "broken"/);
+  });
+
+  test('rejects plugins that need capabilities the host did not grant', () => {
+    writeSkill(root, 'fetcher', { capabilities: ['network'] }, 'module.exports = () => null;');
+
+    expect(new SkillLoader().load([root]).errors[0].error).toBe('Skill "fetcher" requires capabilities that are not granted: network');
+    expect(new SkillLoader({ capabilities: ['network'] }).load([root]).skills).toHaveLength(1);
+  });
+
+  test('loads sandboxed plugins as code', () => {
+    writeSkill(root, 'shout', { sandbox: true }, 'return String(parameters.text).toUpperCase();');
+
+    const { skills } = new SkillLoader().load([root]);
+
+    expect(skills[0].descriptor.sandbox).toEqual({
+      capabilities: { context: false, skills: [] },
+      code: 'return String(parameters.text).toUpperCase();'
+    });
+  });
+
+  test('rejects sandbox capability requests the host did not grant', () => {
+    writeSkill(root, 'researcher', RESEARCHER_MANIFEST, RESEARCHER_CODE);
+
+    const { skills, errors } = new SkillLoader({ capabilities: ['context'] }).load([root]);
+
+    expect(skills).toHaveLength(0);
+    expect(errors[0].error).toBe('Sandboxed skill "researcher" requests capabilities that are not granted: skill:retrieveInformation');
+  });
+});
+
+describe('ActionSystem skill plugins', () => {
+  let root;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'skills-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+    jest.restoreAllMocks();
+  });
+
+  test('loaded skills run through the action system and can be disabled by name', async () => {
+    writeSkill(root, 'greet', {}, 'module.exports = ({ who }) => `Hello ${who}`;');
+    const actionSystem = new ActionSystem({ skillDirectories: [root] });
+
+    const result = await actionSystem.execute([{ type: 'greet', parameters: { who: 'Ada' } }]);
+    expect(result.output).toBe('Hello Ada');
+
+    actionSystem.disableSkill('greet');
+    expect(actionSystem.listSkills().map(skill => skill.name)).not.toContain('greet');
+    expect((await actionSystem.execute([{ type: 'greet', parameters: { who: 'Ada' } }])).errorCode).toBe('SKILL_DISABLED');
+
+    actionSystem.enableSkill('greet');
+    expect(actionSystem.isSkillEnabled('greet')).toBe(true);
+  });
+
+  test('runs only the skills in enabledSkills', () => {
+    const actionSystem = new ActionSystem({ enabledSkills: ['noop', 'formatResponse'] });
+
+    expect(actionSystem.listSkills().map(skill => skill.name).sort()).toEqual(['formatResponse', 'noop']);
+    expect(actionSystem.listSkills({ includeDisabled: true }).length).toBeGreaterThan(2);
+  });
+
+  test('runs sandboxed plugins with the capabilities the host granted', async () => {
+    writeSkill(root, 'researcher', RESEARCHER_MANIFEST, RESEARCHER_CODE);
+    const actionSystem = new ActionSystem({
+      skillDirectories: [root],
+      capabilities: ['context', 'skill:retrieveInformation']
+    });
+
+    expect(actionSystem.describeSkill('researcher').sandboxed).toBe(true);
+    const result = await actionSystem.execute([{ id: 'research', type: 'researcher', parameters: { topic: 'owls' } }]);
+
+    expect(result.success).toBe(true);
+    expect(result.output).toEqual({ content: 'Information about: owls', actionId: 'research' });
+  });
+
+  test('warns about plugins that fail to load', () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    writeSkill(root, 'broken', {}, 'module.exports = 42;');
+
+    const actionSystem = new ActionSystem({ skillDirectories: [root] });
+
+    expect(actionSystem.hasSkill('broken')).toBe(false);
+    expect(actionSystem.getSkillLoadErrors()).toHaveLength(1);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Failed to load skill "broken" from'));
+  });
+
+  test('refuses plugins that reuse a registered name unless overrides are allowed', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    writeSkill(root, 'noop', {}, "module.exports = () => 'replaced';");
+
+    const guarded = new ActionSystem({ skillDirectories: [root] });
+
+    expect(guarded.getSkillLoadErrors()).toMatchObject([{ name: 'noop', error: expect.stringContaining('already registered') }]);
+    expect(warn).toHaveBeenCalledWith(expect.stringContaining('Failed to load skill "noop" from'));
+    expect((await guarded.execute([{ type: 'noop' }])).output).not.toBe('replaced');
+    warn.mockRestore();
+
+    const overridden = new ActionSystem({ skillDirectories: [root], allowSkillOverrides: true });
+
+    expect(overridden.getSkillLoadErrors()).toEqual([]);
+    expect((await overridden.execute([{ type: 'noop' }])).output).toBe('replaced');
+  });
+});
@@ -0,0 +1,42 @@
+const TemplateFormatter = require('../../src/action/TemplateFormatter');
+const ActionSystem = require('../../src/action/ActionSystem');
+
+describe('TemplateFormatter', () => {
+  test('escapes data in HTML output', () => {
+    const formatter = new TemplateFormatter('html');
+
+    expect(formatter.render('<b>hi</b>')).toBe('<div class="cortex-response"><p>&lt;b&gt;hi&lt;/b&gt;</p></div>');
+    expect(formatter.render(['a', '<x>'])).toBe('<div class="cortex-response"><ul><li>a</li><li>&lt;x&gt;</li></ul></div>');
+  });
+
+  test('renders Markdown objects and tables with escaping', () => {
+    const formatter = new TemplateFormatter('markdown');
+
+    expect(formatter.render({ name: 'a*b' })).toBe('- **name**: a\\*b');
+    expect(formatter.render([{ a: 1, b: 'x|y' }, { a: 2, b: 'z' }]))
+      .toBe('| a | b |\n| --- | --- |\n| 1 | x\\|y |\n| 2 | z |');
+  });
+
+  test('renders plain text lists, objects and scalars', () => {
+    const formatter = new TemplateFormatter('text');
+
+    expect(formatter.render([{ a: 1 }, { a: 2 }])).toBe('2 items:\n1. a: 1\n2. a: 2');
+    expect(formatter.render({ k: 'v', n: [1, 2] })).toBe('k: v\nn: 1, 2');
+    expect(formatter.render(5)).toBe('5');
+  });
+
+  test('accepts template overrides as strings or functions', () => {
+    expect(new TemplateFormatter('text', { listItem: '> {content}' }).render(['x', 'y'])).toBe('> x\n> y');
+    expect(new TemplateFormatter('text', { string: ({ content }) => content.toUpperCase() }).render('abc')).toBe('ABC');
+  });
+
+  test('formats plan output for the channel the input arrived on', async () => {
+    const actionSystem = new ActionSystem({ formatting: { channels: { web: 'html' } } });
+    actionSystem.registerSkill('items', { handler: () => ['one', 'two'] });
+    const plan = [{ id: 'items', type: 'items' }, { id: 'format', type: 'formatResponse' }];
+
+    expect((await actionSystem.execute(plan, { channel: 'web' })).output)
+      .toBe('<div class="cortex-response"><ul><li>one</li><li>two</li></ul></div>');
+    expect((await actionSystem.execute(plan, { channel: 'cli' })).output).toBe('* one\n* two');
+  });
+});
@@ -0,0 +1,92 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Agent } = require('../../../src/core');
+const MockProvider = require('../../../src/cognition/llm/providers/MockProvider');
+const Cassette = require('../../../src/cognition/llm/cassette/Cassette');
+
+const INPUTS = ['Hello there?', 'I like trains.', 'Please run the backup'];
+
+function createAgent(provider, cassette) {
+  let time = 1700000000000;
+  const agent = new Agent({
+    id: 'cassette-agent',
+    runtime: { seed: 7, now: () => time++ },
+    perception: { sensors: [{ type: 'text' }], preprocessors: [{ type: 'text' }] },
+    cognition: { llm: { provider, cassette } }
+  });
+  agent.eventBus.on('action:approval:required', ({ executionId, stepId }) => {
+    agent.actionSystem.approve(executionId, stepId);
+  });
+  return agent;
+}
+
+async function runAll(agent) {
+  const results = [];
+  for (const input of INPUTS) {
+    results.push(await agent.process(input));
+  }
+  await agent.cognitiveSystem.llmService.cassette.flush();
+  return results;
+}
+
+describe('Cassette', () => {
+  let directory;
+  let cassettePath;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-'));
+    cassettePath = path.join(directory, 'agent.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('a replayed agent run is identical to the recorded one', async () => {
+    const live = new MockProvider({
+      patterns: [
+        { match: /step-by-step plan/, response: '1. Respond to the user' },
+        { match: 'Evaluate', response: '0.9' },
+        { match: 'Answer', response: '{"summary":"A short exchange","intent":"chat"}' }
+      ]
+    });
+    const recorded = await runAll(createAgent(live, { mode: 'record', path: cassettePath }));
+
+    const offline = new MockProvider({ defaultResponse: () => new Error('live call during replay') });
+    const replayAgent = createAgent(offline, { mode: 'replay', path: cassettePath });
+    const replayed = await runAll(replayAgent);
+
+    expect(offline.calls).toHaveLength(0);
+    expect(recorded[0].cognitiveResult.analysis.llmAnalysis).toMatchObject({ summary: 'A short exchange' });
+    expect(replayed).toEqual(recorded);
+    expect(replayAgent.cognitiveSystem.llmService.getCassetteStats()).toMatchObject({ mode: 'replay', unused: 0 });
+  });
+
+  test('replay throws CASSETTE_MISS for requests it has no answer for', async () => {
+    await runAll(createAgent(new MockProvider({ defaultResponse: '{"summary":"s"}' }), { mode: 'record', path: cassettePath }));
+
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const agent = createAgent(new MockProvider(), { mode: 'replay', path: cassettePath });
+
+    await expect(agent.process('Something never recorded')).rejects.toMatchObject({ code: 'CASSETTE_MISS' });
+    expect(error).toHaveBeenCalledWith('LLM query failed for prompt "reasoning":', expect.objectContaining({ code: 'CASSETTE_MISS' }));
+    error.mockRestore();
+  });
+
+  test('template matching ignores generated ids and timestamps', () => {
+    const cassette = new Cassette({ mode: 'record', path: cassettePath, match: 'template' });
+    const request = (id) => ({ type: 'chat', template: 'reasoning', variables: { context: `goal-${id}-42 at 2024-01-01T00:00:00.000Z` } });
+
+    expect(cassette.keyFor(request(1700000000000))).toBe(cassette.keyFor(request(1700000005000)));
+  });
+
+  test('prompt matching masks nothing unless told what to ignore', () => {
+    const request = (id) => ({ type: 'chat', messages: [{ role: 'user', content: `Order 1700000000000 or ${id}?` }] });
+    const exact = new Cassette({ mode: 'record', path: cassettePath });
+    const masked = new Cassette({ mode: 'record', path: cassettePath, ignore: [/\b1\d{12}\b/g] });
+
+    expect(exact.keyFor(request(1700000000000))).not.toBe(exact.keyFor(request(1700000005000)));
+    expect(masked.keyFor(request(1700000000000))).toBe(masked.keyFor(request(1700000005000)));
+  });
+});
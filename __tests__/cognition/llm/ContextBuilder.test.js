@@ -0,0 +1,89 @@
+const ContextBuilder = require('../../../src/cognition/llm/ContextBuilder');
+const LLMService = require('../../../src/cognition/llm/LLMService');
+const MockProvider = require('../../../src/cognition/llm/providers/MockProvider');
+
+const words = (count, word = 'word') => Array.from({ length: count }, () => word).join(' ');
+
+describe('ContextBuilder', () => {
+  test('keeps everything when it fits', async () => {
+    const result = await new ContextBuilder({ maxTokens: 100 })
+      .add('input', 'hello there')
+      .add('memories', ['one', 'two'])
+      .build();
+
+    expect(result).toMatchObject({ sections: { input: 'hello there', memories: 'one\ntwo' }, tokens: 4, fits: true, dropped: [], truncated: [] });
+  });
+
+  test('shrinks the lowest priority sections first', async () => {
+    const result = await new ContextBuilder({ maxTokens: 25 })
+      .add('input', words(10), { priority: 100 })
+      .add('memories', ['a b c d e', 'f g h i j', 'k l m n o', 'p q r s t'], { priority: 30 })
+      .add('skills', words(10, 'skill'), { priority: 20, strategy: 'drop' })
+      .build();
+
+    expect(result.sections.input).toBe(words(10));
+    expect(result.sections.memories).toBe('a b c d e\nf g h i j\nk l m n o');
+    expect(result.sections.skills).toBeUndefined();
+    expect(result.dropped).toEqual([{ name: 'skills', tokens: 10 }]);
+    expect(result.truncated).toEqual([{ name: 'memories', from: 20, to: 15 }]);
+    expect(result.fits).toBe(true);
+  });
+
+  test('drops sections that would shrink below their minimum unless required', async () => {
+    const result = await new ContextBuilder({ maxTokens: 20 })
+      .add('input', words(15), { priority: 100, required: true })
+      .add('history', words(10), { priority: 10, minTokens: 8 })
+      .build();
+
+    expect(Object.keys(result.sections)).toEqual(['input']);
+    expect(result.dropped).toEqual([{ name: 'history', tokens: 10 }]);
+  });
+
+  test('summarizes sections that ask for it and falls back to truncation', async () => {
+    const summarize = jest.fn()
+      .mockResolvedValueOnce('short summary')
+      .mockRejectedValueOnce(new Error('model down'));
+    const build = () => new ContextBuilder({ maxTokens: 12, summarize })
+      .add('input', words(5), { priority: 100 })
+      .add('notes', words(20, 'note'), { strategy: 'summarize' })
+      .build();
+
+    const summarized = await build();
+    expect(summarized.sections.notes).toBe('short summary');
+    expect(summarized.summarized).toEqual([{ name: 'notes', from: 20, to: 2 }]);
+
+    const truncated = await build();
+    expect(truncated.sections.notes).toMatch(/\[truncated\]$/);
+    expect(truncated.tokens).toBeLessThanOrEqual(12);
+  });
+
+  test('rejects duplicate sections and unknown strategies', () => {
+    const builder = new ContextBuilder().add('input', 'x');
+
+    expect(() => builder.add('input', 'y')).toThrow('Context section "input" was already added');
+    expect(() => builder.add('other', 'y', { strategy: 'compress' })).toThrow(/Invalid context strategy "compress"/);
+  });
+});
+
+describe('LLMService context limits', () => {
+  test('budgets the context window after the template, reply and reserve', () => {
+    const service = new LLMService({ provider: new MockProvider(), context: { limits: { mock: 2000 }, reserveTokens: 100 } });
+
+    expect(service.getContextLimit()).toBe(2000);
+    expect(service.getContextBudget()).toBe(2000 - 1000 - 100);
+    expect(service.getContextBudget('summarization', { max_tokens: 500 })).toBeLessThan(2000 - 500 - 100);
+  });
+
+  test('warns about requests larger than the model takes', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const service = new LLMService({ provider: new MockProvider(), context: { limits: { mock: 50 } } });
+    const overflows = [];
+    service.setEventBus({ emit: (name, data) => overflows.push({ name, data }) });
+
+    await service.query('summarization', { text: words(100) });
+
+    expect(warn).toHaveBeenCalledWith(expect.stringMatching(/^LLM request for "summarization" is ~\d+ tokens; the model takes 50$/));
+    expect(overflows.find(event => event.name === 'cognition:llm:context:overflow').data).toMatchObject({ template: 'summarization', model: 'mock', limit: 50 });
+    warn.mockRestore();
+  });
+});
@@ -0,0 +1,329 @@
+const LLMService = require('../../../src/cognition/llm/LLMService');
+const ActionSystem = require('../../../src/action/ActionSystem');
+const MockProvider = require('../../../src/cognition/llm/providers/MockProvider');
+
+// Answers successive fetch calls with the given Anthropic message content blocks
+function mockAnthropic(replies) {
+  const queue = [...replies];
+  return jest.spyOn(global, 'fetch').mockImplementation(async () => ({
+    ok: true,
+    json: async () => ({ content: queue.shift(), stop_reason: 'end_turn' })
+  }));
+}
+
+const toolUse = (id, name, input) => ({ type: 'tool_use', id, name, input });
+const text = (value) => ({ type: 'text', text: value });
+
+// A fetch response whose body streams the given server-sent events
+function eventStreamResponse(events) {
+  const encoder = new TextEncoder();
+  return {
+    ok: true,
+    body: (async function* () {
+      for (const event of events) {
+        yield encoder.encode(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+      }
+    })()
+  };
+}
+
+describe('LLMService messages', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new LLMService({
+      providerType: 'anthropic',
+      anthropic: { apiKey: 'test' },
+      prompts: { systemPrompt: 'You are terse.', templates: { greet: { system: 'Greet {name}.', user: 'Hi, I am {name}' } } }
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends the system prompt and prior turns before the template', async () => {
+    const fetch = mockAnthropic([[text('Hello Ada')]]);
+
+    const output = await service.query('greet', { name: 'Ada' }, {
+      history: [{ role: 'user', content: 'earlier' }, { role: 'assistant', content: 'reply' }]
+    });
+
+    expect(output).toBe('Hello Ada');
+    const body = JSON.parse(fetch.mock.calls[0][1].body);
+    expect(body.system).toBe('Greet Ada.');
+    expect(body.messages).toEqual([
+      { role: 'user', content: 'earlier' },
+      { role: 'assistant', content: 'reply' },
+      { role: 'user', content: 'Hi, I am Ada' }
+    ]);
+  });
+
+  test('passes the abort signal through to the API request', async () => {
+    const fetch = mockAnthropic([[text('ok')]]);
+    const controller = new AbortController();
+
+    await service.query('summarization', { text: 'x' }, { signal: controller.signal });
+
+    expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+  });
+
+  test('sends the model a library template asks for', async () => {
+    const fetch = mockAnthropic([[text('short')], [text('long')]]);
+    service.promptManager.library.add({ name: 'brief', version: '1.0.0', model: { model: 'claude-3-5-haiku-latest', max_tokens: 50 }, user: 'Sum up {{text}}' });
+
+    await service.query('brief', { text: 'x' });
+    await service.query('summarization', { text: 'x' });
+
+    expect(fetch.mock.calls.map(call => JSON.parse(call[1].body).model)).toEqual(['claude-3-5-haiku-latest', service.provider.model]);
+    expect(service.usageTracker.getRecords().map(record => record.model)).toEqual(['claude-3-5-haiku-latest', service.provider.model]);
+  });
+
+  test('falls back to the configured system prompt and lets options override it', async () => {
+    const fetch = mockAnthropic([[text('a')], [text('b')]]);
+
+    await service.query('summarization', { text: 'x' });
+    await service.query('summarization', { text: 'x' }, { system: 'Be brief.' });
+
+    expect(fetch.mock.calls.map(call => JSON.parse(call[1].body).system)).toEqual(['You are terse.', 'Be brief.']);
+  });
+
+  test('flattens conversations for providers without chat support', async () => {
+    const complete = jest.fn().mockResolvedValue('ok');
+    service.setProvider({ complete });
+
+    await service.chat([{ role: 'system', content: 'rules' }, { role: 'user', content: 'question' }]);
+
+    expect(complete).toHaveBeenCalledWith('system: rules\n\nuser: question', {});
+  });
+
+  test('rejects malformed message lists', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(service.chat([{ role: 'robot', content: 'x' }])).rejects.toThrow('Invalid message role "robot"');
+    await expect(service.chat([{ role: 'tool', content: 'x' }])).rejects.toThrow('Tool messages require a toolCallId');
+    expect(error).toHaveBeenCalledTimes(2);
+    expect(error).toHaveBeenCalledWith('LLM chat failed:', expect.any(Error));
+  });
+});
+
+describe('LLMService tool calling', () => {
+  let service;
+  let actionSystem;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    actionSystem = new ActionSystem();
+    actionSystem.registerSkill('add', {
+      handler: ({ a, b }) => a + b,
+      description: 'Adds two numbers',
+      parameters: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } }, required: ['a', 'b'] }
+    });
+    service = new LLMService({ providerType: 'anthropic', anthropic: { apiKey: 'test' } });
+    service.setActionSystem(actionSystem);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('offers skills as tools, leaving out approval-gated ones', () => {
+    const names = service.getTools().map(tool => tool.name);
+
+    expect(names).toContain('add');
+    expect(names).not.toContain('executeAction');
+    expect(service.getTools({ skills: ['add'] })).toEqual([{
+      name: 'add',
+      description: 'Adds two numbers',
+      input_schema: actionSystem.describeSkill('add').parameters
+    }]);
+  });
+
+  test('runs requested skills and sends their results back until the model answers', async () => {
+    const fetch = mockAnthropic([
+      [toolUse('call-1', 'add', { a: 2, b: 3 })],
+      [text('The sum is 5')]
+    ]);
+
+    const result = await service.queryWithTools('generation', { description: 'add 2 and 3', type: 'text' }, { skills: ['add'] });
+
+    expect(result).toMatchObject({ output: 'The sum is 5', iterations: 2 });
+    expect(result.toolCalls).toEqual([{ id: 'call-1', name: 'add', arguments: { a: 2, b: 3 }, iteration: 1, result: 5 }]);
+    const secondRequest = JSON.parse(fetch.mock.calls[1][1].body);
+    expect(secondRequest.tools.map(tool => tool.name)).toEqual(['add']);
+    expect(secondRequest.messages.slice(1)).toEqual([
+      { role: 'assistant', content: [toolUse('call-1', 'add', { a: 2, b: 3 })] },
+      { role: 'user', content: [{ type: 'tool_result', tool_use_id: 'call-1', content: '5', is_error: false }] }
+    ]);
+  });
+
+  test('reports failing tool calls to the model as errors', async () => {
+    mockAnthropic([
+      [toolUse('call-1', 'add', { a: 2 })],
+      [text('Sorry')]
+    ]);
+
+    const result = await service.queryWithTools('generation', { description: 'x', type: 'text' });
+
+    expect(result.toolCalls[0].error).toBe('Invalid parameters for skill "add": parameters.b is required');
+    expect(result.messages[2]).toMatchObject({ role: 'tool', isError: true });
+  });
+
+  test('refuses calls to skills that were not offered', async () => {
+    const handler = jest.fn(() => 'ran');
+    actionSystem.registerSkill('wipe', { handler, description: 'Deletes everything' });
+    actionSystem.registerSkill('deploy', { handler, requiresApproval: true });
+    const fetch = mockAnthropic([
+      [toolUse('call-1', 'wipe', {}), toolUse('call-2', 'deploy', {})],
+      [text('Done')]
+    ]);
+
+    const result = await service.queryWithTools('generation', { description: 'x', type: 'text' }, { skills: ['add'] });
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(result.toolCalls.map(call => call.error)).toEqual([
+      'Skill "wipe" was not offered as a tool',
+      'Skill "deploy" was not offered as a tool'
+    ]);
+    expect(result.messages.slice(2, 4)).toMatchObject([
+      { role: 'tool', toolCallId: 'call-1', isError: true },
+      { role: 'tool', toolCallId: 'call-2', isError: true }
+    ]);
+    expect(JSON.parse(fetch.mock.calls[0][1].body).tools.map(tool => tool.name)).toEqual(['add']);
+  });
+
+  test('stops after the iteration limit', async () => {
+    mockAnthropic([1, 2].map(index => [toolUse(`call-${index}`, 'add', { a: 1, b: 1 })]));
+
+    await expect(service.queryWithTools('generation', { description: 'x', type: 'text' }, { maxIterations: 2 }))
+      .rejects.toMatchObject({ code: 'TOOL_LIMIT_EXCEEDED' });
+  });
+});
+
+describe('LLMService streaming', () => {
+  let service;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new LLMService({ providerType: 'anthropic', anthropic: { apiKey: 'test' } });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('yields tokens as they arrive and resolves with the parsed result and usage', async () => {
+    jest.spyOn(global, 'fetch').mockResolvedValue(eventStreamResponse([
+      { type: 'message_start', message: { usage: { input_tokens: 12, output_tokens: 1 } } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: '{"a":' } },
+      { type: 'content_block_delta', delta: { type: 'text_delta', text: '1}' } },
+      { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 4 } },
+      { type: 'message_stop' }
+    ]));
+
+    const stream = service.queryStream('generation', { description: 'x', type: 'json' }, { parseFormat: 'json' });
+    const tokens = [];
+    for await (const token of stream) tokens.push(token);
+    const result = await stream.result;
+
+    expect(tokens).toEqual(['{"a":', '1}']);
+    expect(result).toMatchObject({ output: { a: 1 }, text: '{"a":1}', stopReason: 'end_turn', cancelled: false });
+    expect(result.usage).toMatchObject({ inputTokens: 12, outputTokens: 4 });
+  });
+
+  test('resolves a cancelled stream with the text so far', async () => {
+    service.setProvider({
+      async *chatStream(messages, options) {
+        yield { type: 'token', text: 'partial' };
+        await new Promise(resolve => options.signal.addEventListener('abort', resolve));
+      }
+    });
+
+    const stream = service.queryStream('generation', { description: 'x', type: 'text' });
+    for await (const token of stream) {
+      expect(token).toBe('partial');
+      break;
+    }
+
+    await expect(stream.result).resolves.toEqual({ output: null, text: 'partial', usage: null, stopReason: 'cancelled', cancelled: true, provider: 'custom' });
+  });
+
+  test('logs and rethrows provider failures', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    service.setProvider({
+      async *chatStream() {
+        throw new Error('connection reset');
+      }
+    });
+
+    await expect(service.queryStream('generation', { description: 'x', type: 'text' }).result).rejects.toThrow('connection reset');
+    expect(error).toHaveBeenCalledWith('LLM stream failed for prompt "generation":', expect.any(Error));
+  });
+});
+
+describe('LLMService embeddings', () => {
+  test('batches distinct uncached texts and reuses cached vectors', async () => {
+    const provider = new MockProvider();
+    const service = new LLMService({ provider, embeddings: { batchSize: 2 } });
+
+    const vectors = await service.embed(['a', 'b', 'a', 'c']);
+    const again = await service.embed('b');
+
+    expect(provider.embedCalls).toEqual([['a', 'b'], ['c']]);
+    expect(vectors[2]).toEqual(vectors[0]);
+    expect(again).toEqual(vectors[1]);
+  });
+
+  test('falls back to hashed vectors when no provider can embed', async () => {
+    const service = new LLMService({ provider: { complete: async () => 'ok' } });
+
+    const vector = await service.embed('hello');
+
+    expect(vector).toHaveLength(256);
+    expect(service.embeddingProvider.name).toBe('hash');
+  });
+
+  test('rejects providers that cannot embed and non-string input', async () => {
+    const service = new LLMService({ provider: new MockProvider(), embeddings: { provider: { complete: async () => 'ok' } } });
+
+    await expect(service.embed('x')).rejects.toThrow('LLM provider "custom" does not support embeddings');
+    await expect(new LLMService({ provider: new MockProvider() }).embed([1])).rejects.toThrow('embed() expects a string or an array of strings');
+  });
+});
+
+describe('LLMService images', () => {
+  const image = { type: 'image', mimeType: 'image/png', data: 'aGVsbG8=', width: 640, height: 480, size: 2048 };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('sends images to Anthropic as base64 content blocks', async () => {
+    const fetch = mockAnthropic([[text('A cat')]]);
+    const service = new LLMService({ providerType: 'anthropic', anthropic: { apiKey: 'test' } });
+
+    await service.query('summarization', { text: 'this picture' }, { images: [image] });
+
+    const { content } = JSON.parse(fetch.mock.calls[0][1].body).messages[0];
+    expect(content[0].type).toBe('text');
+    expect(content[1]).toEqual({ type: 'image', source: { type: 'base64', media_type: 'image/png', data: 'aGVsbG8=' } });
+  });
+
+  test('describes images in text for models that cannot view them', async () => {
+    const provider = new MockProvider({ vision: false });
+    const service = new LLMService({ provider });
+    const events = [];
+    service.setEventBus({ emit: (name, data) => events.push({ name, data }) });
+
+    await service.query('summarization', { text: 'this picture' }, { images: [image] });
+
+    expect(provider.calls[0].messages[0].content)
+      .toMatch(/\n\n\[Image \(image\/png, 640x480, 2 KB\) omitted: this model cannot view images\.\]$/);
+    expect(events.find(event => event.name === 'cognition:llm:image:fallback').data).toEqual({ provider: 'custom', model: 'mock', images: 1 });
+  });
+});
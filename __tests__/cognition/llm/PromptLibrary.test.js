@@ -0,0 +1,108 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PromptLibrary = require('../../../src/cognition/llm/PromptLibrary');
+const Runtime = require('../../../src/core/Runtime');
+
+describe('PromptLibrary', () => {
+  let directory;
+
+  const write = (file, definition) => {
+    const fullPath = path.join(directory, file);
+    fs.mkdirSync(path.dirname(fullPath), { recursive: true });
+    fs.writeFileSync(fullPath, typeof definition === 'string' ? definition : JSON.stringify(definition));
+  };
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'prompts-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('loads versions from a directory and its subdirectories', () => {
+    write('reasoning/v1.json', { name: 'reasoning', version: '1.0.0', system: 'Think.', user: '{{goal}}' });
+    write('reasoning/v10.json', { name: 'reasoning', version: '1.10.0', template: 'Goal: {{goal}}', parseFormat: 'json' });
+    write('reasoning/v2.json', { name: 'reasoning', version: '1.2.0', user: '{{goal}}?' });
+    write('summary.json', { name: 'summary', version: '1', template: '{{text}}' });
+    write('notes.txt', 'ignored');
+
+    const library = new PromptLibrary();
+    const { loaded, errors } = library.loadDirectories([directory]);
+
+    expect(errors).toEqual([]);
+    expect(loaded).toHaveLength(4);
+    expect(library.getNames().sort()).toEqual(['reasoning', 'summary']);
+    expect(library.getVersions('reasoning').map(entry => entry.version)).toEqual(['1.0.0', '1.2.0', '1.10.0']);
+
+    const latest = library.resolve('reasoning');
+    expect(latest).toMatchObject({ version: '1.10.0', selection: 'latest', parseFormat: 'json', template: 'Goal: {{goal}}' });
+    expect(latest.source).toBe(path.join(directory, 'reasoning', 'v10.json'));
+    expect(library.resolve('reasoning', { version: '1.0.0' }).template).toEqual({ system: 'Think.', user: '{{goal}}' });
+  });
+
+  test('collects invalid definitions without stopping the load', () => {
+    write('broken.json', '{ not json');
+    write('nameless.json', { version: '1.0.0', template: 'x' });
+    write('empty.json', { name: 'empty', version: '1.0.0' });
+    write('good.json', { name: 'good', version: '1.0.0', template: 'ok' });
+
+    const library = new PromptLibrary();
+    const missing = path.join(directory, 'missing');
+    const { loaded, errors } = library.loadDirectories([directory, missing]);
+
+    expect(loaded.map(entry => entry.name)).toEqual(['good']);
+    expect(errors.map(error => path.basename(error.path)).sort()).toEqual(['broken.json', 'empty.json', 'missing', 'nameless.json']);
+    expect(errors.find(error => error.path === missing).error).toMatch(/^Cannot read prompt directory/);
+    expect(errors.find(error => error.path.endsWith('empty.json')).error).toBe('Prompt template "empty@1.0.0" needs a template string or a user part');
+    expect(library.loadErrors).toHaveLength(4);
+  });
+
+  test('prefers an explicit version, then an experiment, then the pinned version', () => {
+    const library = new PromptLibrary({ versions: { greet: '1.0.0' } });
+    library.add({ name: 'greet', version: '1.0.0', template: 'v1' });
+    library.add({ name: 'greet', version: '2.0.0', template: 'v2' });
+
+    expect(library.resolve('greet')).toMatchObject({ version: '1.0.0', selection: 'pinned' });
+    expect(library.resolve('greet', { version: '2.0.0' })).toMatchObject({ template: 'v2', selection: 'explicit' });
+    expect(() => library.resolve('greet', { version: '3.0.0' })).toThrow('Prompt template "greet" has no version "3.0.0"');
+    expect(library.resolve('unknown')).toBeNull();
+
+    library.setExperiment('greet', { '2.0.0': 1 });
+    expect(library.resolve('greet', { experimentKey: 'cycle-1' })).toMatchObject({ version: '2.0.0', selection: 'experiment', experiment: 'greet' });
+    expect(library.resolve('greet', { ignoreExperiments: true }).selection).toBe('pinned');
+
+    library.removeExperiment('greet').pin('greet', '2.0.0');
+    expect(library.resolve('greet')).toMatchObject({ version: '2.0.0', selection: 'pinned' });
+  });
+
+  test('assigns experiment variants deterministically by key', () => {
+    const library = new PromptLibrary({ experiments: { greet: { a: 50, b: 50 } } });
+    library.add({ name: 'greet', version: 'a', template: 'A' });
+    library.add({ name: 'greet', version: 'b', template: 'B' });
+
+    const versions = [];
+    for (let index = 0; index < 40; index++) {
+      const version = library.resolve('greet', { experimentKey: `cycle-${index}` }).version;
+      expect(library.resolve('greet', { experimentKey: `cycle-${index}` }).version).toBe(version);
+      versions.push(version);
+    }
+
+    expect(new Set(versions)).toEqual(new Set(['a', 'b']));
+    expect(() => library.setExperiment('greet', { a: 0 })).toThrow('Experiment for "greet" needs positive weights');
+  });
+
+  test('draws unkeyed experiment picks from the runtime', () => {
+    const picks = [0.1, 0.9];
+    const library = new PromptLibrary({
+      experiments: { greet: { a: 50, b: 50 } },
+      runtime: new Runtime({ random: () => picks.shift() })
+    });
+    library.add({ name: 'greet', version: 'a', template: 'A' });
+    library.add({ name: 'greet', version: 'b', template: 'B' });
+
+    expect(library.resolve('greet').version).toBe('a');
+    expect(library.resolve('greet').version).toBe('b');
+  });
+});
@@ -0,0 +1,120 @@
+const ProviderChain = require('../../../src/cognition/llm/ProviderChain');
+const CircuitBreaker = require('../../../src/cognition/llm/CircuitBreaker');
+const MockProvider = require('../../../src/cognition/llm/providers/MockProvider');
+const Runtime = require('../../../src/core/Runtime');
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+}
+
+const chat = (provider) => provider.chat([{ role: 'user', content: 'hi' }]).then(response => response.text);
+
+describe('ProviderChain', () => {
+  test('retries retryable failures on the same provider', async () => {
+    const primary = new MockProvider({ responses: [httpError(503), 'recovered'] });
+    const events = [];
+    const chain = new ProviderChain([{ name: 'primary', provider: primary }], { retry: { initialDelay: 1 } }, name => events.push(name));
+
+    await expect(chain.run(chat)).resolves.toEqual({ result: 'recovered', provider: 'primary' });
+    expect(primary.calls).toHaveLength(2);
+    expect(events).toContain('cognition:llm:retry');
+  });
+
+  test('retries network failures reported by fetch', async () => {
+    const networkError = new TypeError('fetch failed', { cause: new Error('getaddrinfo ENOTFOUND') });
+    const primary = new MockProvider({ responses: [networkError, 'recovered'] });
+    const chain = new ProviderChain([{ name: 'primary', provider: primary }], { retry: { initialDelay: 1 } });
+
+    await expect(chain.run(chat)).resolves.toEqual({ result: 'recovered', provider: 'primary' });
+    expect(primary.calls).toHaveLength(2);
+  });
+
+  test('does not retry other TypeErrors', async () => {
+    const bug = new TypeError("Cannot read properties of undefined (reading 'text')");
+    const primary = new MockProvider({ responses: [bug, 'unreachable'] });
+    const events = [];
+    const chain = new ProviderChain([{ name: 'primary', provider: primary }], { retry: { initialDelay: 1 } }, name => events.push(name));
+
+    await expect(chain.run(chat)).rejects.toBe(bug);
+    expect(primary.calls).toHaveLength(1);
+    expect(events).not.toContain('cognition:llm:retry');
+  });
+
+  test('fails over to the next provider on non-retryable errors', async () => {
+    const primary = new MockProvider({ responses: [httpError(401)] });
+    const backup = new MockProvider({ defaultResponse: 'from backup' });
+    const chain = new ProviderChain([{ name: 'primary', provider: primary }, { name: 'backup', provider: backup }]);
+
+    await expect(chain.run(chat)).resolves.toEqual({ result: 'from backup', provider: 'backup' });
+    expect(primary.calls).toHaveLength(1);
+  });
+
+  test('fails over instead of honoring overly long Retry-After waits', async () => {
+    const primary = new MockProvider({ responses: [httpError(429, { retryAfter: 120000 })] });
+    const backup = new MockProvider({ defaultResponse: 'from backup' });
+    const chain = new ProviderChain([{ name: 'primary', provider: primary }, { name: 'backup', provider: backup }]);
+
+    await expect(chain.run(chat)).resolves.toMatchObject({ provider: 'backup' });
+  });
+
+  test('reports every failure when all providers fail', async () => {
+    const chain = new ProviderChain([
+      { name: 'a', provider: new MockProvider({ defaultResponse: () => httpError(400) }) },
+      { name: 'b', provider: new MockProvider({ defaultResponse: () => httpError(401) }) }
+    ]);
+
+    await expect(chain.run(chat)).rejects.toMatchObject({ code: 'PROVIDERS_FAILED' });
+  });
+
+  test('skips providers whose circuit is open', async () => {
+    const failing = new MockProvider({ defaultResponse: () => httpError(500) });
+    const backup = new MockProvider({ defaultResponse: 'ok' });
+    const chain = new ProviderChain(
+      [{ name: 'failing', provider: failing }, { name: 'backup', provider: backup }],
+      { retry: { attempts: 0 }, circuitBreaker: { failureThreshold: 2, resetTimeout: 60000 } }
+    );
+
+    await chain.run(chat);
+    await chain.run(chat);
+    await chain.run(chat);
+
+    expect(failing.calls).toHaveLength(2);
+    expect(chain.getStatus()[0]).toMatchObject({ name: 'failing', state: 'open' });
+  });
+
+  test('stops retrying once the request is aborted', async () => {
+    const controller = new AbortController();
+    const provider = new MockProvider({ defaultResponse: () => { controller.abort(); return httpError(503); } });
+    const chain = new ProviderChain([{ name: 'only', provider }, { name: 'backup', provider: new MockProvider() }]);
+
+    await expect(chain.run(chat, { signal: controller.signal })).rejects.toMatchObject({ status: 503 });
+    expect(provider.calls).toHaveLength(1);
+  });
+});
+
+describe('CircuitBreaker', () => {
+  test('opens after consecutive failures and half-opens after the reset timeout', () => {
+    let now = 1000;
+    const breaker = new CircuitBreaker({ failureThreshold: 2, resetTimeout: 100, runtime: new Runtime({ now: () => now }) });
+
+    expect(breaker.recordFailure()).toBe(false);
+    expect(breaker.recordFailure()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+
+    now += 100;
+    expect(breaker.canRequest()).toBe(true);
+    expect(breaker.state).toBe('half-open');
+
+    // One failure while half-open reopens the circuit
+    expect(breaker.recordFailure()).toBe(true);
+    expect(breaker.canRequest()).toBe(false);
+  });
+
+  test('closes again on success', () => {
+    const breaker = new CircuitBreaker({ failureThreshold: 1 });
+    breaker.recordFailure();
+
+    expect(breaker.recordSuccess()).toBe(true);
+    expect(breaker.getStatus()).toMatchObject({ state: 'closed', failures: 0 });
+  });
+});
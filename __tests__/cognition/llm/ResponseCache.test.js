@@ -0,0 +1,98 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const ResponseCache = require('../../../src/cognition/llm/cache/ResponseCache');
+const MemoryCacheBackend = require('../../../src/cognition/llm/cache/MemoryCacheBackend');
+const FileCacheBackend = require('../../../src/cognition/llm/cache/FileCacheBackend');
+const LLMService = require('../../../src/cognition/llm/LLMService');
+const MockProvider = require('../../../src/cognition/llm/providers/MockProvider');
+const Runtime = require('../../../src/core/Runtime');
+
+describe('ResponseCache', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('keys on messages, model and sampling options only', () => {
+    const cache = new ResponseCache();
+    const messages = [{ role: 'user', content: 'hi' }];
+
+    const key = cache.createKey({ messages, model: 'm', sampling: { temperature: 0, signal: 'ignored' } });
+
+    expect(cache.createKey({ messages, model: 'm', sampling: { temperature: 0 } })).toBe(key);
+    expect(cache.createKey({ messages, model: 'm', sampling: { temperature: 0.5 } })).not.toBe(key);
+    expect(cache.createKey({ messages, model: 'other', sampling: { temperature: 0 } })).not.toBe(key);
+  });
+
+  test('skips hot requests and disabled templates', () => {
+    const cache = new ResponseCache({ maxTemperature: 0.5, templates: { generation: false } });
+
+    expect(cache.shouldCache('reasoning', { temperature: 0.2 })).toBe(true);
+    expect(cache.shouldCache('reasoning', { temperature: 0.9 })).toBe(false);
+    expect(cache.shouldCache('generation', {})).toBe(false);
+    expect(cache.shouldCache('reasoning', {}, { cache: false })).toBe(false);
+  });
+
+  test('expires entries after their ttl', async () => {
+    let now = 1000;
+    const cache = new ResponseCache({ ttl: 100, runtime: new Runtime({ now: () => now }) });
+
+    await cache.set('key', 'value');
+    expect(await cache.get('key')).toBe('value');
+
+    now += 100;
+    expect(await cache.get('key')).toBeNull();
+    expect(await cache.getStats()).toMatchObject({ hits: 1, misses: 1, writes: 1 });
+  });
+
+  test('never fails a lookup because the backend broke', async () => {
+    const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const store = { get: () => Promise.reject(new Error('disk gone')), set: async () => {}, delete: async () => {}, clear: async () => {} };
+    const cache = new ResponseCache({ store });
+
+    await expect(cache.get('key')).resolves.toBeNull();
+    expect((await cache.getStats()).errors).toBe(1);
+    expect(warn).toHaveBeenCalledWith('LLM response cache read failed:', 'disk gone');
+  });
+});
+
+describe('cache backends', () => {
+  test('the memory backend evicts the least recently used entry', async () => {
+    const backend = new MemoryCacheBackend({ maxEntries: 2 });
+    await backend.set('a', 1);
+    await backend.set('b', 2);
+    await backend.get('a');
+    await backend.set('c', 3);
+
+    expect(await backend.get('b')).toBeNull();
+    expect(await backend.get('a')).toBe(1);
+    expect(backend.evictions).toBe(1);
+  });
+
+  test('the file backend keeps entries across instances', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-cache-'));
+    try {
+      await new FileCacheBackend({ directory }).set('key', { value: 'stored' });
+
+      expect(await new FileCacheBackend({ directory }).get('key')).toEqual({ value: 'stored' });
+      expect(await new FileCacheBackend({ directory }).get('missing')).toBeNull();
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('LLMService response caching', () => {
+  test('answers identical queries from the cache', async () => {
+    const provider = new MockProvider({ defaultResponse: 'a summary' });
+    const service = new LLMService({ provider, cache: { backend: 'memory' } });
+
+    const first = await service.query('summarization', { text: 'same text' });
+    const second = await service.query('summarization', { text: 'same text' });
+    await service.query('summarization', { text: 'other text' });
+
+    expect(second).toEqual(first);
+    expect(provider.calls).toHaveLength(2);
+    expect(await service.getCacheStats()).toMatchObject({ hits: 1, misses: 2 });
+  });
+});
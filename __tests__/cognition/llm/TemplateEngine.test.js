@@ -0,0 +1,95 @@
+const TemplateEngine = require('../../../src/cognition/llm/TemplateEngine');
+
+describe('TemplateEngine', () => {
+  let engine;
+
+  beforeEach(() => {
+    engine = new TemplateEngine();
+  });
+
+  test('renders variables, dotted paths and filters', () => {
+    const output = engine.render(
+      'Hi {{ user.name | upper }}, {{ missing | default:"friend" }}. {{ text | truncate:8 }} ({{ tags | join:"/" }}, {{ tags | length }})',
+      { user: { name: 'ada' }, text: 'a long sentence', tags: ['x', 'y'] }
+    );
+
+    expect(output).toBe('Hi ADA, friend. a lon... (x/y, 2)');
+  });
+
+  test('renders objects as JSON and the legacy single-brace form', () => {
+    expect(engine.render('{{ data | json:0 }}', { data: { a: 1 } })).toBe('{"a":1}');
+    expect(engine.render('{{ data }}', { data: { a: 1 } })).toBe('{"a":1}');
+    expect(engine.render('Goal: {goal}, step {step.id}', { goal: 'plan', step: { id: 3 } })).toBe('Goal: plan, step 3');
+  });
+
+  test('renders conditionals, loops and comments', () => {
+    const template = '{{! skills }}{{#if skills}}{{#each skills as skill}}{{@number}}.{{skill.name}}{{#unless @last}}, {{/unless}}{{/each}}{{else}}none{{/if}}';
+
+    expect(engine.render(template, { skills: [{ name: 'a' }, { name: 'b' }] })).toBe('1.a, 2.b');
+    expect(engine.render(template, { skills: [] })).toBe('none');
+    expect(engine.render('{{#each items}}{{name}}={{this.value}};{{/each}}', {
+      items: [{ name: 'x', value: 1 }, { name: 'y', value: 2 }]
+    })).toBe('x=1;y=2;');
+  });
+
+  test('renders partials and included templates', () => {
+    engine = new TemplateEngine({
+      partials: { greeting: 'Hello {{name}}' },
+      resolveInclude: (name) => (name === 'shared' ? { system: 'ignored', user: '[{{name}}]' } : undefined)
+    });
+
+    expect(engine.render('{{> greeting}} {{> shared}}', { name: 'Ada' })).toBe('Hello Ada [Ada]');
+    expect(() => engine.render('{{> nope}}', {})).toThrow('Unknown partial "nope"');
+
+    engine.registerPartial('loop', '{{> loop}}');
+    expect(() => engine.render('{{> loop}}', {})).toThrow(/nested deeper/);
+  });
+
+  test('reports missing variables in strict mode only', () => {
+    expect(engine.render('Hi {{name}}', {})).toBe('Hi ');
+
+    let error;
+    try {
+      engine.render('Hi {{name}}', {}, { strict: true });
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error).toBeInstanceOf(TemplateEngine.TemplateError);
+    expect(error.code).toBe('TEMPLATE_ERROR');
+    expect(error.variable).toBe('name');
+  });
+
+  test('only resolves own properties', () => {
+    const strict = new TemplateEngine({ strict: true });
+
+    expect(engine.render('{{constructor}}|{{name.toString}}|{{__proto__}}', { name: 'x' })).toBe('||');
+    expect(() => strict.render('{{constructor}}', {})).toThrow('Missing template variable "constructor"');
+    expect(() => strict.render('{{name.toString}}', { name: 'x' })).toThrow(TemplateEngine.TemplateError);
+    expect(strict.render('{{name.length}}', { name: 'abc' })).toBe('3');
+  });
+
+  test('rejects malformed templates and unknown filters', () => {
+    expect(() => engine.render('{{#if a}}open', {})).toThrow('Unclosed {{#if}} block');
+    expect(() => engine.render('{{#if a}}x{{/each}}', {})).toThrow(/expected \{\{\/if\}\}/);
+    expect(() => engine.render('{{#with a}}{{/with}}', {})).toThrow('Unknown block {{#with}}');
+    expect(() => engine.render('{{ a | shout }}', { a: 1 })).toThrow('Unknown filter "shout"');
+
+    engine.registerFilter('shout', (value) => `${value}!`);
+    expect(engine.render('{{ a | shout }}', { a: 1 })).toBe('1!');
+  });
+
+  test('validates templates against variables', () => {
+    const template = '{{goal}} {{#if memories}}recalled{{/if}} {{tone | default:"calm"}} {{#each steps as step}}{{step.id}}{{/each}} {{> footer}}';
+    engine.registerPartial('footer', '{{signature}}');
+
+    const report = engine.validate(template, { goal: 'g', steps: [] });
+
+    expect(report.variables).toEqual(expect.arrayContaining(['goal', 'memories', 'tone', 'steps', 'signature']));
+    expect(report.variables).not.toContain('step');
+    expect(report.partials).toEqual(['footer']);
+    expect(report.missing).toEqual(['signature']);
+    expect(report.valid).toBe(false);
+
+    expect(engine.validate('{{#if a}}', {}).errors).toEqual(['Unclosed {{#if}} block']);
+  });
+});
@@ -0,0 +1,56 @@
+const TokenEstimator = require('../../../src/cognition/llm/TokenEstimator');
+
+describe('TokenEstimator', () => {
+  const estimator = new TokenEstimator();
+
+  test('counts words, number groups, punctuation and CJK characters', () => {
+    expect(estimator.estimate('The cat sat.')).toBe(4);
+    expect(estimator.estimate('internationalization')).toBe(4);
+    expect(estimator.estimate('1234567')).toBe(3);
+    expect(estimator.estimate('你好')).toBe(2);
+    expect(estimator.estimate('')).toBe(0);
+    expect(estimator.estimate(null)).toBe(0);
+    expect(estimator.estimate({ a: 1 })).toBe(estimator.estimate('{"a":1}'));
+  });
+
+  test('adds role markup for chat messages', () => {
+    const messages = [{ role: 'system', content: 'Be brief.' }, { role: 'user', content: 'Hi' }];
+
+    expect(estimator.estimateMessages(messages)).toBe(3 + 4 + 3 + 4 + 1);
+  });
+
+  test('estimates image parts from their size', () => {
+    const content = [
+      { type: 'text', text: 'Describe these' },
+      { type: 'image', width: 750, height: 10 },
+      { type: 'image', width: 4000, height: 3000 },
+      { type: 'image' }
+    ];
+
+    expect(estimator.estimateContent(content)).toBe(3 + 10 + 1600 + 1000);
+    expect(estimator.estimateContent('Hi')).toBe(1);
+  });
+
+  test('looks up context limits by the longest model prefix', () => {
+    const custom = new TokenEstimator({ limits: { 'my-model': 1000 }, defaultLimit: 2048 });
+
+    expect(custom.getContextLimit('gpt-4o-mini')).toBe(128000);
+    expect(custom.getContextLimit('gpt-4-0613')).toBe(8192);
+    expect(custom.getContextLimit('llama3.1:8b')).toBe(128000);
+    expect(custom.getContextLimit('my-model-v2')).toBe(1000);
+    expect(custom.getContextLimit('unknown')).toBe(2048);
+    expect(custom.getContextLimit()).toBe(2048);
+    expect(custom.setContextLimit('unknown', 500).getContextLimit('unknown')).toBe(500);
+  });
+
+  test('truncates at a word boundary and marks the cut', () => {
+    const text = 'one two three four five six seven eight nine ten';
+
+    const cut = estimator.truncate(text, 6);
+
+    expect(cut).toBe('one two\n[truncated]');
+    expect(estimator.estimate(cut)).toBeLessThanOrEqual(6);
+    expect(estimator.truncate(text, 100)).toBe(text);
+    expect(estimator.truncate(text, 1)).toBe('');
+  });
+});
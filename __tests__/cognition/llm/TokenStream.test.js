@@ -0,0 +1,68 @@
+const TokenStream = require('../../../src/cognition/llm/TokenStream');
+
+describe('TokenStream', () => {
+  test('replays buffered tokens to every iterator', async () => {
+    const stream = new TokenStream(async (push) => {
+      push('a');
+      push('b');
+      return 'done';
+    });
+
+    await expect(stream.result).resolves.toBe('done');
+    const first = [];
+    for await (const token of stream) first.push(token);
+    const second = [];
+    for await (const token of stream) second.push(token);
+
+    expect(first).toEqual(['a', 'b']);
+    expect(second).toEqual(['a', 'b']);
+    expect(stream.text).toBe('ab');
+  });
+
+  test('follows tokens as they arrive', async () => {
+    let release;
+    const stream = new TokenStream(async (push) => {
+      push('first');
+      await new Promise(resolve => { release = resolve; });
+      push('second');
+    });
+
+    const seen = [];
+    for await (const token of stream) {
+      seen.push(token);
+      if (release) release();
+    }
+
+    expect(seen).toEqual(['first', 'second']);
+  });
+
+  test('cancels the producer when a consumer breaks out', async () => {
+    let producerSignal;
+    const stream = new TokenStream((push, signal) => {
+      producerSignal = signal;
+      push('x');
+      return new Promise(resolve => signal.addEventListener('abort', () => resolve('stopped')));
+    });
+
+    for await (const token of stream) {
+      expect(token).toBe('x');
+      break;
+    }
+
+    await expect(stream.result).resolves.toBe('stopped');
+    expect(producerSignal.aborted).toBe(true);
+  });
+
+  test('follows an external signal and surfaces producer errors to iterators', async () => {
+    const controller = new AbortController();
+    controller.abort();
+    let aborted;
+    new TokenStream((push, signal) => { aborted = signal.aborted; }, controller.signal);
+    await Promise.resolve();
+    expect(aborted).toBe(true);
+
+    const failing = new TokenStream(async () => { throw new Error('boom'); });
+    await expect((async () => { for await (const token of failing) void token; })()).rejects.toThrow('boom');
+    await expect(failing.result).rejects.toThrow('boom');
+  });
+});
@@ -0,0 +1,102 @@
+const UsageTracker = require('../../../src/cognition/llm/UsageTracker');
+const LLMService = require('../../../src/cognition/llm/LLMService');
+const MockProvider = require('../../../src/cognition/llm/providers/MockProvider');
+const Runtime = require('../../../src/core/Runtime');
+
+describe('UsageTracker', () => {
+  test('prices records and rolls them up per cycle, template and model', () => {
+    const tracker = new UsageTracker({ pricing: { small: { input: 1, output: 2 } } });
+    tracker.startCycle('cycle-1');
+
+    tracker.record({ model: 'small', template: 'reasoning', templateVersion: '2.0.0', inputTokens: 1000, outputTokens: 500 });
+    tracker.record({ model: 'unpriced', template: 'planning', inputTokens: 10, outputTokens: 10 });
+
+    const usage = tracker.getUsage();
+    expect(usage.total).toMatchObject({ calls: 2, inputTokens: 1010, outputTokens: 510, cost: 0.002 });
+    expect(Object.keys(usage.byTemplate)).toEqual(['reasoning@2.0.0', 'planning']);
+    expect(usage.byModel.unpriced.cost).toBe(0);
+    expect(tracker.getCycleUsage('cycle-1').calls).toBe(2);
+  });
+
+  test('reports exhausted budgets once per window as new', () => {
+    const tracker = new UsageTracker({ budgets: [{ scope: 'cycle', maxTokens: 100, action: 'block' }] });
+    tracker.startCycle('cycle-1');
+    tracker.record({ inputTokens: 60, outputTokens: 40 });
+
+    expect(tracker.checkBudgets()).toMatchObject([{ window: 'cycle-1', isNew: true }]);
+    expect(tracker.checkBudgets()).toMatchObject([{ isNew: false }]);
+
+    tracker.startCycle('cycle-2');
+    expect(tracker.checkBudgets()).toEqual([]);
+  });
+
+  test('stamps records and day budgets with the runtime clock', () => {
+    let now = Date.UTC(2024, 0, 1, 23, 0);
+    const tracker = new UsageTracker({
+      budgets: [{ scope: 'day', maxTokens: 10 }],
+      runtime: new Runtime({ now: () => now })
+    });
+
+    expect(tracker.record({ inputTokens: 10, outputTokens: 0 }).timestamp).toBe(now);
+    expect(tracker.checkBudgets()).toMatchObject([{ window: '2024-01-01' }]);
+
+    now += 2 * 60 * 60 * 1000;
+    expect(tracker.checkBudgets()).toEqual([]);
+  });
+
+  test('rejects invalid budgets', () => {
+    expect(() => new UsageTracker({ budgets: [{ scope: 'week', maxTokens: 1 }] })).toThrow(/Invalid budget scope/);
+    expect(() => new UsageTracker({ budgets: [{ scope: 'day' }] })).toThrow(/needs maxTokens or maxCost/);
+  });
+});
+
+describe('LLMService usage with MockProvider', () => {
+  test('records reported tokens and their cost', async () => {
+    const service = new LLMService({
+      provider: new MockProvider({ defaultResponse: { text: 'short', usage: { inputTokens: 300, outputTokens: 2 } } }),
+      usage: { pricing: { mock: { input: 1000000, output: 0 } } }
+    });
+
+    await service.query('summarization', { text: 'a document' });
+
+    const { total, byTemplate } = service.getUsage();
+    expect(total).toMatchObject({ calls: 1, inputTokens: 300, outputTokens: 2, cost: 300 });
+    expect(Object.keys(byTemplate)).toEqual(['summarization']);
+  });
+
+  test('measures latency on the runtime it was given', async () => {
+    let now = 1000;
+    const service = new LLMService({ provider: new MockProvider({ defaultResponse: 'short' }) });
+    service.setRuntime(new Runtime({ now: () => (now += 5) }));
+
+    await service.query('summarization', { text: 'a document' });
+
+    expect(service.usageTracker.getRecords()[0]).toMatchObject({ latency: 5, timestamp: 1015 });
+  });
+
+  test('estimates prompt tokens when the provider reports no usage', async () => {
+    const service = new LLMService({
+      provider: new MockProvider({ defaultResponse: 'short' }),
+      usage: { pricing: { mock: { input: 1000000, output: 0 } } }
+    });
+
+    await service.query('summarization', { text: 'a long document '.repeat(50) });
+
+    const { total } = service.getUsage();
+    expect(total.inputTokens).toBeGreaterThan(100);
+    expect(total.cost).toBe(total.inputTokens);
+  });
+
+  test('blocks requests once the budget is exhausted', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const provider = new MockProvider({ defaultResponse: { text: 'ok', usage: { inputTokens: 250, outputTokens: 1 } } });
+    const service = new LLMService({ provider, usage: { budgets: [{ scope: 'session', maxTokens: 200, action: 'block' }] } });
+
+    await service.query('summarization', { text: 'first' });
+
+    await expect(service.query('summarization', { text: 'again' })).rejects.toMatchObject({ code: 'BUDGET_EXCEEDED' });
+    expect(provider.calls).toHaveLength(1);
+    expect(error).toHaveBeenCalledWith('LLM query failed for prompt "summarization":', expect.objectContaining({ code: 'BUDGET_EXCEEDED' }));
+    error.mockRestore();
+  });
+});
@@ -0,0 +1,36 @@
+const HashEmbedder = require('../../../../src/cognition/llm/embeddings/HashEmbedder');
+const { cosineSimilarity } = require('../../../../src/cognition/llm/embeddings/vectors');
+
+describe('HashEmbedder', () => {
+  const embedder = new HashEmbedder({ dimensions: 64 });
+
+  test('returns deterministic unit vectors', async () => {
+    const { embeddings, model, usage } = await embedder.embed(['the cat sat', 'the cat sat']);
+
+    expect(model).toBe('hash-ngram-64');
+    expect(usage).toBeNull();
+    expect(embeddings[0]).toHaveLength(64);
+    expect(embeddings[1]).toEqual(embeddings[0]);
+    expect(Math.hypot(...embeddings[0])).toBeCloseTo(1);
+  });
+
+  test('scores texts that share words above unrelated ones', () => {
+    const query = embedder.embedText('feeding the cats');
+
+    expect(cosineSimilarity(query, embedder.embedText('the cat was fed')))
+      .toBeGreaterThan(cosineSimilarity(query, embedder.embedText('quarterly tax report')));
+  });
+
+  test('leaves text without words as a zero vector', () => {
+    expect(embedder.embedText('?!').every(value => value === 0)).toBe(true);
+  });
+});
+
+describe('cosineSimilarity', () => {
+  test('compares vectors of equal dimensions only', () => {
+    expect(cosineSimilarity([1, 0], [2, 0])).toBe(1);
+    expect(cosineSimilarity([1, 0], [0, 1])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+    expect(() => cosineSimilarity([1], [1, 0])).toThrow('Cannot compare vectors of different dimensions (1 and 2)');
+  });
+});
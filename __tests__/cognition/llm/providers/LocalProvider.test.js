@@ -0,0 +1,59 @@
+const LocalProvider = require('../../../../src/cognition/llm/providers/LocalProvider');
+
+describe('LocalProvider', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('talks to a local OpenAI-compatible server without an API key', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'hello' }, finish_reason: 'stop' }] })
+    });
+    const provider = new LocalProvider({ baseURL: 'http://localhost:8080/v1/' });
+
+    await expect(provider.complete('hi')).resolves.toBe('hello');
+
+    const [url, request] = fetch.mock.calls[0];
+    expect(url).toBe('http://localhost:8080/v1/chat/completions');
+    expect(request.headers).toEqual({ 'Content-Type': 'application/json' });
+    expect(JSON.parse(request.body).model).toBe('llama3');
+  });
+
+  test('lets a request ask for another model', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'hello' }, finish_reason: 'stop' }] })
+    });
+
+    const response = await new LocalProvider().chat([{ role: 'user', content: 'hi' }], { model: 'qwen2.5' });
+
+    expect(JSON.parse(fetch.mock.calls[0][1].body).model).toBe('qwen2.5');
+    expect(response.model).toBe('qwen2.5');
+  });
+
+  test('passes the abort signal to fetch', async () => {
+    const fetch = jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: true,
+      json: async () => ({ choices: [{ message: { content: 'hello' }, finish_reason: 'stop' }] })
+    });
+    const controller = new AbortController();
+
+    await new LocalProvider().chat([{ role: 'user', content: 'hi' }], { signal: controller.signal });
+
+    expect(fetch.mock.calls[0][1].signal).toBe(controller.signal);
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).not.toHaveProperty('signal');
+  });
+
+  test('names itself in API errors', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(global, 'fetch').mockResolvedValue({
+      ok: false,
+      statusText: 'Not Found',
+      json: async () => ({ error: { message: 'model "llama3" not found' } })
+    });
+
+    await expect(new LocalProvider().complete('hi')).rejects.toThrow('Local LLM API error: model "llama3" not found');
+    expect(error).toHaveBeenCalledWith('Error calling Local LLM API:', expect.any(Error));
+  });
+});
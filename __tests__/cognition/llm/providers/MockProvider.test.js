@@ -0,0 +1,69 @@
+const MockProvider = require('../../../../src/cognition/llm/providers/MockProvider');
+
+const ask = (provider, content) => provider.chat([{ role: 'user', content }]);
+
+describe('MockProvider', () => {
+  test('answers from the script, then patterns, then the default', async () => {
+    const provider = new MockProvider({
+      responses: ['scripted'],
+      patterns: [{ match: /weather/, response: 'sunny' }, { match: 'time', response: () => 'noon' }],
+      defaultResponse: 'fallback'
+    });
+
+    expect((await ask(provider, 'weather?')).text).toBe('scripted');
+    expect((await ask(provider, 'weather?')).text).toBe('sunny');
+    expect((await ask(provider, 'what time is it')).text).toBe('noon');
+    expect((await ask(provider, 'anything')).text).toBe('fallback');
+    expect(provider.calls).toHaveLength(4);
+    expect(provider.calls[0].messages).toEqual([{ role: 'user', content: 'weather?' }]);
+  });
+
+  test('matches patterns against the last user message', async () => {
+    const provider = new MockProvider({ patterns: [{ match: 'second', response: 'matched' }] });
+
+    const response = await provider.chat([
+      { role: 'user', content: 'second' },
+      { role: 'assistant', content: 'reply' },
+      { role: 'user', content: 'first' }
+    ]);
+
+    expect(response.text).toBe('OK');
+  });
+
+  test('estimates usage for replies without scripted usage', async () => {
+    const provider = new MockProvider({ responses: ['two words', { text: 'x', usage: { inputTokens: 5, outputTokens: 1 } }] });
+
+    expect((await ask(provider, 'a b c')).usage).toEqual({ inputTokens: 10, outputTokens: 2, totalTokens: 12 });
+    expect((await ask(provider, 'a b c')).usage).toEqual({ inputTokens: 5, outputTokens: 1 });
+  });
+
+  test('returns scripted tool calls', async () => {
+    const provider = new MockProvider({ responses: [{ text: '', toolCalls: [{ name: 'add', arguments: { a: 1 } }] }] });
+
+    const response = await ask(provider, 'add');
+
+    expect(response.stopReason).toBe('tool_use');
+    expect(response.toolCalls).toEqual([{ id: 'mock-call-1-0', name: 'add', arguments: { a: 1 } }]);
+  });
+
+  test('streams word-sized tokens that join back into the reply', async () => {
+    const provider = new MockProvider({ defaultResponse: 'one two  three' });
+    const chunks = [];
+
+    for await (const chunk of provider.completeStream('go')) chunks.push(chunk);
+
+    expect(chunks.filter(chunk => chunk.type === 'token').map(chunk => chunk.text)).toEqual(['one ', 'two  ', 'three']);
+    expect(chunks[chunks.length - 1]).toMatchObject({ type: 'done', text: 'one two  three', stopReason: 'end_turn' });
+  });
+
+  test('can be scripted while running', async () => {
+    const provider = new MockProvider();
+    provider.enqueue('queued').addPattern('hello', 'hi');
+
+    expect(await provider.complete('hello')).toBe('queued');
+    expect(await provider.complete('hello')).toBe('hi');
+
+    provider.reset();
+    expect(provider.calls).toEqual([]);
+  });
+});
@@ -0,0 +1,130 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Agent } = require('../../src/core');
+const MockProvider = require('../../src/cognition/llm/providers/MockProvider');
+
+const TEXT_PERCEPTION = { sensors: [{ type: 'text' }], preprocessors: [{ type: 'text' }] };
+
+function createProvider() {
+  return new MockProvider({
+    patterns: [
+      { match: /step-by-step plan/, response: '1. Respond to the user' },
+      { match: 'Evaluate', response: '0.9' },
+      { match: /Answer|Question/, response: '{"summary":"A greeting","intent":"chat"}' }
+    ]
+  });
+}
+
+describe('Agent', () => {
+  test('runs a full cycle with an LLM and stores the episode', async () => {
+    let time = 1700000000000;
+    const provider = createProvider();
+    const agent = new Agent({
+      id: 'test-agent',
+      runtime: { seed: 1, now: () => time++ },
+      perception: TEXT_PERCEPTION,
+      cognition: { llm: { provider } }
+    });
+    const events = [];
+    for (const event of ['cycle:start', 'perception:complete', 'cognition:complete', 'action:complete', 'cycle:complete']) {
+      agent.eventBus.on(event, () => events.push(event));
+    }
+
+    const episode = await agent.process('Hello there?');
+
+    expect(events.slice(0, 3)).toEqual(['cycle:start', 'perception:complete', 'cognition:complete']);
+    expect(events).toEqual(expect.arrayContaining(['action:complete', 'cycle:complete']));
+    expect(episode.cycleId).toMatch(/^cycle-17\d{11}-\d+$/);
+    expect(episode.actionResult.success).toBe(true);
+    expect(typeof episode.actionResult.output).toBe('string');
+    expect(episode.actionResult.output).not.toBe('');
+    expect(episode.promptVersions.map(selection => selection.template)).toEqual(expect.arrayContaining(['reasoning', 'planning']));
+    expect(episode.promptVersions.every(selection => selection.cycleId === episode.cycleId && selection.agentId === 'test-agent')).toBe(true);
+    expect(agent.memorySystem.episodicMemory).toContain(episode);
+    expect(provider.calls.length).toBeGreaterThan(0);
+    const records = agent.cognitiveSystem.llmService.usageTracker.getRecords();
+    expect(records.length).toBeGreaterThan(0);
+    expect(records.every(record => record.timestamp >= 1700000000000 && record.timestamp < time)).toBe(true);
+  });
+
+  test('works without an LLM', async () => {
+    const agent = new Agent({ perception: TEXT_PERCEPTION });
+
+    const episode = await agent.process('Hello there?');
+
+    expect(agent.cognitiveSystem.llmService).toBeFalsy();
+    expect(episode.actionResult.success).toBe(true);
+    expect(episode.promptVersions).toEqual([]);
+  });
+
+  test('records which library prompt version produced an episode', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'agent-prompts-'));
+    try {
+      fs.writeFileSync(path.join(directory, 'reasoning.json'), JSON.stringify({
+        name: 'reasoning',
+        version: '2.0.0',
+        parseFormat: 'json',
+        user: 'Context: {{context | json}}\nQuestion: {{question}}'
+      }));
+      const provider = createProvider();
+      const agent = new Agent({
+        perception: TEXT_PERCEPTION,
+        cognition: { llm: { provider, prompts: { directories: [directory] } } }
+      });
+
+      const episode = await agent.process('Hello there?');
+
+      expect(episode.promptVersions.find(selection => selection.template === 'reasoning'))
+        .toMatchObject({ version: '2.0.0', selection: 'latest' });
+      expect(provider.calls.some(call => call.messages.some(message => String(message.content).startsWith('Context: ')))).toBe(true);
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('runs approval-gated steps once they are approved', async () => {
+    const agent = new Agent({ perception: TEXT_PERCEPTION });
+    const requests = [];
+    agent.eventBus.on('action:approval:required', ({ executionId, stepId }) => {
+      requests.push(stepId);
+      agent.actionSystem.approve(executionId, stepId);
+    });
+
+    const episode = await agent.process('Please run the backup');
+
+    expect(requests.length).toBeGreaterThan(0);
+    expect(episode.actionResult.success).toBe(true);
+  });
+
+  test('fails gated steps when nothing handles approval', async () => {
+    const agent = new Agent({ perception: TEXT_PERCEPTION });
+
+    const episode = await agent.process('Please run the backup');
+
+    expect(episode.actionResult.success).toBe(false);
+    expect(JSON.stringify(episode.actionResult)).toContain('APPROVAL_UNAVAILABLE');
+  });
+
+  test('answers in ReAct mode after running skills', async () => {
+    const provider = new MockProvider({
+      responses: [
+        '{"thought":"I should look this up","action":{"skill":"searchKnowledge","parameters":{"topic":"trains"}}}',
+        '{"thought":"That is enough","finalAnswer":"Trains run on rails."}'
+      ]
+    });
+    const agent = new Agent({
+      perception: TEXT_PERCEPTION,
+      cognition: { llm: { provider }, react: { enabled: true, maxIterations: 3 } }
+    });
+
+    const episode = await agent.process('Tell me about trains');
+
+    expect(episode.actionResult.output).toBe('Trains run on rails.');
+    expect(episode.reactSteps.map(step => step.type)).toEqual(['thought', 'action', 'observation', 'thought']);
+    expect(episode.reactSteps[2].error).toBeUndefined();
+    expect(episode.cognitiveResult.react).toMatchObject({ stopReason: 'answer', iterations: 2 });
+    expect(provider.calls).toHaveLength(2);
+    expect(provider.calls[1].messages[provider.calls[1].messages.length - 1].content).toContain('Action: searchKnowledge');
+  });
+});
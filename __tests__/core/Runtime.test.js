@@ -0,0 +1,23 @@
+const Runtime = require('../../src/core/Runtime');
+
+describe('Runtime', () => {
+  test('repeats the same random sequence for the same seed', () => {
+    const sequence = (seed) => {
+      const runtime = new Runtime({ seed });
+      return [runtime.random(), runtime.random(), runtime.random()];
+    };
+
+    expect(sequence(42)).toEqual(sequence(42));
+    expect(sequence(42)).not.toEqual(sequence(43));
+    expect(sequence(42).every(value => value >= 0 && value < 1)).toBe(true);
+  });
+
+  test('builds unique ids from the injected clock', () => {
+    const runtime = new Runtime({ now: () => 1000, random: () => 0.5 });
+
+    expect(runtime.now()).toBe(1000);
+    expect(runtime.random()).toBe(0.5);
+    expect([runtime.createId('goal'), runtime.createId('goal'), runtime.createId('cycle')]).toEqual(['goal-1000-1', 'goal-1000-2', 'cycle-1000-3']);
+    expect(new Runtime({ createId: (prefix) => `${prefix}-fixed` }).createId('goal')).toBe('goal-fixed');
+  });
+});
@@ -0,0 +1,85 @@
+const SchemaValidator = require('../../src/core/SchemaValidator');
+const LLMService = require('../../src/cognition/llm/LLMService');
+const MockProvider = require('../../src/cognition/llm/providers/MockProvider');
+
+const PERSON_SCHEMA = {
+  type: 'object',
+  required: ['name'],
+  additionalProperties: false,
+  properties: {
+    name: { type: 'string', minLength: 2 },
+    age: { type: 'integer', minimum: 0 },
+    tags: { type: 'array', items: { type: 'string' }, default: [] },
+    level: { type: 'string', enum: ['a', 'b'] },
+    active: { type: 'boolean' }
+  }
+};
+
+describe('SchemaValidator', () => {
+  const validator = new SchemaValidator();
+
+  test('reports every violation with its path', () => {
+    const { valid, errors } = validator.validate(PERSON_SCHEMA, { name: 'x', age: -1, level: 'c', extra: 1 });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      'value.name must be at least 2 characters long',
+      'value.age must be >= 0',
+      'value.level must be one of: "a", "b"',
+      'value.extra is not an allowed property'
+    ]);
+  });
+
+  test('checks types of nested values', () => {
+    expect(validator.validate(PERSON_SCHEMA, { name: 'Ada', age: 1.5, tags: ['x', 2] }, 'person').errors).toEqual([
+      'person.age must be of type integer (got number)',
+      'person.tags[1] must be of type string (got number)'
+    ]);
+  });
+
+  test('accepts valid values', () => {
+    expect(validator.validate(PERSON_SCHEMA, { name: 'Ada', age: 36, tags: ['math'] })).toEqual({ valid: true, errors: [] });
+  });
+
+  test('fills in defaults without touching given values', () => {
+    expect(validator.applyDefaults(PERSON_SCHEMA, { name: 'Ada' })).toEqual({ name: 'Ada', tags: [] });
+    expect(validator.applyDefaults(PERSON_SCHEMA, { name: 'Ada', tags: ['x'] }).tags).toEqual(['x']);
+  });
+
+  test('coerces simple type mismatches', () => {
+    expect(validator.coerce(PERSON_SCHEMA, { name: 'Ada', age: '42', active: 'true', tags: 'a' }))
+      .toEqual({ name: 'Ada', age: 42, active: true, tags: ['a'] });
+  });
+});
+
+describe('LLMService structured output', () => {
+  const SCHEMA = { type: 'object', required: ['answer'], properties: { answer: { type: 'number' } } };
+
+  test('coerces and validates JSON replies', async () => {
+    const service = new LLMService({ provider: new MockProvider({ defaultResponse: '```json\n{"answer": "42"}\n```' }) });
+
+    await expect(service.query('generation', { description: 'x', type: 'json' }, { parseFormat: 'json', schema: SCHEMA }))
+      .resolves.toEqual({ answer: 42 });
+  });
+
+  test('re-prompts with the errors until the reply matches', async () => {
+    const provider = new MockProvider({ responses: ['{"wrong": true}', '{"answer": 7}'] });
+    const service = new LLMService({ provider });
+
+    const result = await service.query('generation', { description: 'x', type: 'json' }, { parseFormat: 'json', schema: SCHEMA });
+
+    expect(result).toEqual({ answer: 7 });
+    expect(provider.calls).toHaveLength(2);
+    expect(JSON.stringify(provider.calls[1].messages)).toContain('answer is required');
+  });
+
+  test('gives up with a parse error after the repair attempts', async () => {
+    const error = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const service = new LLMService({ provider: new MockProvider({ defaultResponse: 'not json' }) });
+
+    await expect(service.query('generation', { description: 'x', type: 'json' }, { parseFormat: 'json', schema: SCHEMA }))
+      .rejects.toMatchObject({ code: 'RESPONSE_PARSE_ERROR' });
+    expect(error).toHaveBeenCalledWith('LLM query failed for prompt "generation":', expect.objectContaining({ code: 'RESPONSE_PARSE_ERROR' }));
+    error.mockRestore();
+  });
+});
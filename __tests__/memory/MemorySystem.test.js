@@ -0,0 +1,44 @@
+const MemorySystem = require('../../src/memory/MemorySystem');
+
+const textEpisode = (id, value) => ({ id, perceivedData: { perceptions: [{ type: 'text', value }] } });
+
+describe('MemorySystem similarity search', () => {
+  let memory;
+
+  beforeEach(() => {
+    memory = new MemorySystem();
+    memory.storeEpisode(textEpisode('cats', 'I fed the cats this morning'));
+    memory.storeEpisode(textEpisode('taxes', 'Filed the quarterly tax report'));
+    memory.storeConcept('weather', 'Rain expected tomorrow');
+    memory.storeConcept('pets', { names: ['Tom', 'Felix'], kind: 'cats' });
+  });
+
+  test('ranks episodes by similarity to the query', async () => {
+    const results = await memory.searchEpisodes('did anyone feed the cats', { limit: 1 });
+
+    expect(results).toHaveLength(1);
+    expect(results[0].episode.id).toBe('cats');
+    expect(results[0].score).toBeGreaterThan(0);
+  });
+
+  test('ranks concepts by key and data', async () => {
+    const results = await memory.searchConcepts('cats', { minScore: 0.1 });
+
+    expect(results.map(result => result.key)).toEqual(['pets']);
+    expect(results[0].data).toEqual({ names: ['Tom', 'Felix'], kind: 'cats' });
+  });
+
+  test('embeds each text once until it changes', async () => {
+    const embedder = jest.fn(async texts => texts.map(text => [text.length, 1]));
+    memory.setEmbedder(embedder);
+
+    await memory.searchEpisodes('first');
+    await memory.searchEpisodes('second');
+
+    expect(embedder.mock.calls.map(call => call[0].length)).toEqual([3, 1]);
+  });
+
+  test('returns nothing when there is nothing to search', async () => {
+    expect(await new MemorySystem().searchEpisodes('anything')).toEqual([]);
+  });
+});
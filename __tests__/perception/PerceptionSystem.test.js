@@ -0,0 +1,113 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PerceptionSystem = require('../../src/perception/PerceptionSystem');
+
+// Just enough of a PNG for the header to give its size
+function png(width, height) {
+  const data = Buffer.alloc(24);
+  data.writeUInt32BE(0x89504e47, 0);
+  data.writeUInt32BE(0x0d0a1a0a, 4);
+  data.write('IHDR', 12, 'ascii');
+  data.writeUInt32BE(width, 16);
+  data.writeUInt32BE(height, 20);
+  return data;
+}
+
+const dataUrl = (data) => `data:image/png;base64,${data.toString('base64')}`;
+
+describe('PerceptionSystem images', () => {
+  let perception;
+
+  beforeEach(() => {
+    perception = new PerceptionSystem({ sensors: [{ type: 'text' }, { type: 'image' }] });
+  });
+
+  test('perceives a buffer with its format and size', async () => {
+    const { perceptions } = await perception.process(png(640, 480));
+
+    expect(perceptions).toEqual([{
+      type: 'image',
+      value: png(640, 480).toString('base64'),
+      metadata: { mimeType: 'image/png', width: 640, height: 480, size: 24, source: 'buffer' }
+    }]);
+  });
+
+  test('leaves a data URL to the image sensor', async () => {
+    const { perceptions } = await perception.process(dataUrl(png(2, 3)));
+
+    expect(perceptions.map(p => p.type)).toEqual(['image']);
+    expect(perceptions[0].metadata).toMatchObject({ width: 2, height: 3, source: 'dataUrl' });
+  });
+
+  test('perceives text next to several images, including files', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    try {
+      const file = path.join(directory, 'photo.png');
+      fs.writeFileSync(file, png(10, 20));
+      perception = new PerceptionSystem({ sensors: [{ type: 'text' }, { type: 'image', directory }] });
+
+      const { perceptions } = await perception.process({ text: 'What is this?', image: 'photo.png', images: [dataUrl(png(1, 1))] });
+
+      expect(perceptions.map(p => p.type)).toEqual(['text', 'image', 'image']);
+      expect(perceptions[1].metadata).toMatchObject({ width: 10, height: 20, source: 'file', path: fs.realpathSync(file) });
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('keeps file names in plain text messages as text', async () => {
+    const { perceptions } = await perception.process('Can you describe cat.png');
+
+    expect(perceptions.map(p => p.type)).toEqual(['text']);
+    expect((await perception.process('/etc/hostname.png')).perceptions.map(p => p.type)).toEqual(['text']);
+  });
+
+  test('reads string paths only from inside the configured directory', async () => {
+    const root = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    try {
+      const uploads = path.join(root, 'uploads');
+      fs.mkdirSync(uploads);
+      fs.writeFileSync(path.join(uploads, 'photo.png'), png(4, 4));
+      fs.writeFileSync(path.join(root, 'secret.png'), png(8, 8));
+      perception = new PerceptionSystem({ sensors: [{ type: 'text' }, { type: 'image', directory: uploads }] });
+
+      const { perceptions } = await perception.process('photo.png');
+      expect(perceptions.map(p => p.type)).toEqual(['image']);
+      expect(perceptions[0].metadata).toMatchObject({ width: 4, source: 'file', path: fs.realpathSync(path.join(uploads, 'photo.png')) });
+
+      expect((await perception.process('../secret.png')).perceptions.map(p => p.type)).toEqual(['text']);
+      expect((await perception.process({ text: 'look', image: path.join(root, 'secret.png') })).perceptions.map(p => p.type)).toEqual(['text']);
+    } finally {
+      fs.rmSync(root, { recursive: true, force: true });
+    }
+  });
+
+  test('reads no files at all without a configured directory', async () => {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'images-'));
+    try {
+      const file = path.join(directory, 'photo.png');
+      fs.writeFileSync(file, png(10, 20));
+
+      const { perceptions } = await perception.process({ text: 'What is this?', image: file, images: [dataUrl(png(1, 1))] });
+
+      expect(perceptions.map(p => p.type)).toEqual(['text', 'image']);
+      expect(perceptions[1].metadata.source).toBe('dataUrl');
+    } finally {
+      fs.rmSync(directory, { recursive: true, force: true });
+    }
+  });
+
+  test('describes images it cannot use instead of failing', async () => {
+    perception = new PerceptionSystem({ sensors: [{ type: 'text' }, { type: 'image', maxBytes: 30 }] });
+
+    const { perceptions } = await perception.process({ text: 'Look', images: [Buffer.from('plain text'), png(1, 1), Buffer.alloc(40)] });
+
+    expect(perceptions.map(p => p.type)).toEqual(['text', 'text', 'image', 'text']);
+    expect(perceptions[1]).toMatchObject({
+      value: '[An image could not be used: Unsupported image format; expected PNG, JPEG, GIF or WebP]',
+      metadata: { source: 'buffer', imageError: 'Unsupported image format; expected PNG, JPEG, GIF or WebP' }
+    });
+    expect(perceptions[3].metadata.imageError).toBe('Image is 40 bytes; the limit is 30');
+  });
+});
@@ -1,5 +1,5 @@
 // examples/ai-agent-example.js
-const { Agent } = require('../src/core/Agent');
+const { Agent } = require('../src/core');
 
 async function runExample() {
   console.log('Initializing AI Agent with LLM integration...');
@@ -10,8 +10,20 @@ async function runExample() {
     
     // LLM configuration (replace API keys with your own)
     cognition: {
+      // react: { enabled: true, maxIterations: 5 }, // Think, run a skill, observe, repeat until the LLM answers
       llm: {
-        providerType: 'openai', // or 'anthropic'
+        providerType: 'openai', // or 'anthropic', 'local' (OpenAI-compatible server), 'mock'
+        // providerChain: ['openai', 'anthropic'], // Ranked failover order, replaces providerType
+        // retry: { attempts: 2, initialDelay: 500 }, // Per provider; Retry-After is honored
+        // circuitBreaker: { failureThreshold: 3, resetTimeout: 30000 },
+        usage: {
+          pricing: { 'gpt-4o-mini': { input: 0.15, output: 0.6 } }, // Dollars per million tokens
+          budgets: [{ scope: 'day', maxCost: 1, action: 'degrade' }]
+        },
+        // cache: { backend: 'memory', ttl: 3600000, maxTemperature: 0.7 }, // Reuse identical responses
+        // context: { limits: { 'my-finetune': 32000 }, reserveTokens: 100 }, // Context windows in tokens, per model name prefix
+        // embeddings: { provider: 'openai', batchSize: 64 }, // Or 'hash' for offline n-gram vectors; used by memory search
+        // cassette: { mode: 'record', path: 'cassettes/example.json' }, // Then mode: 'replay' to rerun without API calls
         openai: {
           apiKey: 'your-api-key-here',
           model: 'gpt-4o-mini',
@@ -29,6 +41,8 @@ async function runExample() {
           }
         },
         prompts: {
+          // directories: ['./prompts'], // Versioned template libraries, one JSON file per version
+          // experiments: { reasoning: { '1.0.0': 50, '2.0.0': 50 } }, // Traffic split; each episode records the version used
           templates: {
             // Custom prompt templates
             reasoning: "You are an AI assistant analyzing data. Context: {context}\n\nProvide insights about: {question}",
@@ -147,6 +161,12 @@ function setupEventListeners(agent) {
     console.log(`Completed action ${data.step}: ${data.action.type}`);
   });
   
+  // Sensitive skills pause for sign-off; this example approves them automatically
+  agent.eventBus.on('action:approval:required', (data) => {
+    console.log(`Approval required for ${data.action.type} (step ${data.stepId})`);
+    agent.actionSystem.approve(data.executionId, data.stepId, { approvedBy: 'example' });
+  });
+  
   agent.eventBus.on('action:execute:complete', (data) => {
     console.log(`Action execution completed in ${data.executionTime}ms`);
   });
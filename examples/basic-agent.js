@@ -9,6 +9,7 @@ async function runBasicAgent() {
     perception: {
       sensors: [
         { type: 'text' }
+        // { type: 'image', directory: './images' } // Send { text, image } to ask about a picture in that directory
       ]
     },
     cognition: {
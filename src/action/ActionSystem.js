@@ -1,12 +1,31 @@
 // src/action/ActionSystem.js
-const { Component } = require('../core/Component');
+const Component = require('../core/Component');
+const SchemaValidator = require('../core/SchemaValidator');
+const SandboxedSkill = require('./SandboxedSkill');
+const SkillLoader = require('./SkillLoader');
+const TemplateFormatter = require('./TemplateFormatter');
 
 class ActionSystem extends Component {
   constructor(config = {}) {
     super('action');
     this.skills = new Map();
     this.formatters = new Map();
+    this.templateFormatters = new Map();
+    this.channelFormats = {}; // Output channel name -> formatter name
+    this.defaultFormat = 'text';
     this.errorHandlers = [];
+    this.schemaValidator = new SchemaValidator();
+    this.defaultTimeout = 0; // Per-skill timeout in ms, 0 disables it
+    this.planTimeout = 0;
+    this.retryPolicy = { attempts: 0, initialDelay: 100, factor: 2, maxDelay: 5000 };
+    this.maxHandlerRetries = 3;
+    this.concurrency = 4; // Maximum number of steps running at once
+    this.compensateOnFailure = true;
+    this.approvalTimeout = 300000; // Reject a step nobody decided on within 5 minutes; 0 waits indefinitely
+    this.approvalOverrides = {};
+    this.executions = new Map(); // Active executions by id
+    this.disabledSkills = new Set();
+    this.skillLoadErrors = [];
     this.initialize(config);
   }
   
@@ -14,18 +33,58 @@ class ActionSystem extends Component {
     if (this.initialized) return;
     super.initialize(config);
     
+    // Configure execution limits
+    this.defaultTimeout = config.defaultTimeout || this.defaultTimeout;
+    this.planTimeout = config.planTimeout || this.planTimeout;
+    this.retryPolicy = { ...this.retryPolicy, ...(config.retry || {}) };
+    if (config.maxHandlerRetries !== undefined) {
+      this.maxHandlerRetries = config.maxHandlerRetries;
+    }
+    this.concurrency = config.concurrency || this.concurrency;
+    if (config.compensateOnFailure !== undefined) {
+      this.compensateOnFailure = config.compensateOnFailure;
+    }
+    
+    // Configure approval gates; approval.skills can force a gate on or off per skill
+    if (config.approval) {
+      if (config.approval.timeout !== undefined) {
+        this.approvalTimeout = config.approval.timeout;
+      }
+      this.approvalOverrides = { ...(config.approval.skills || {}) };
+    }
+    
     // Register default skills
     this._registerDefaultSkills();
     
-    // Register default formatters
-    this._registerDefaultFormatters();
+    // Register default formatters and per-channel format selection
+    const formatting = config.formatting || {};
+    this.channelFormats = { ...(formatting.channels || {}) };
+    this.defaultFormat = formatting.defaultFormat || this.defaultFormat;
+    this._registerDefaultFormatters(formatting.templates || {});
     
     // Register custom skills from config
     if (config.skills) {
       for (const skillData of config.skills) {
-        this.registerSkill(skillData.name, skillData.handler);
+        this.registerSkill(skillData.name, skillData);
+      }
+    }
+    
+    // Discover skill plugins from configured directories
+    if (config.skillDirectories) {
+      this.loadSkills(config.skillDirectories, { capabilities: config.capabilities, allowOverrides: config.allowSkillOverrides });
+    }
+    
+    // Apply enabled/disabled skill lists
+    if (config.enabledSkills) {
+      for (const name of this.skills.keys()) {
+        if (!config.enabledSkills.includes(name)) {
+          this.disabledSkills.add(name);
+        }
       }
     }
+    for (const name of config.disabledSkills || []) {
+      this.disableSkill(name);
+    }
     
     // Register error handlers
     if (config.errorHandlers) {
@@ -36,46 +95,312 @@ class ActionSystem extends Component {
     
     this.emit('action:initialized', { 
       skills: Array.from(this.skills.keys()),
+      skillLoadErrors: this.skillLoadErrors.length,
       formatters: Array.from(this.formatters.keys())
     });
   }
   
   _registerDefaultSkills() {
     // Basic skills for handling common action types
-    this.registerSkill('retrieveInformation', this._retrieveInformation.bind(this));
-    this.registerSkill('formatResponse', this._formatResponse.bind(this));
-    this.registerSkill('parseCommand', this._parseCommand.bind(this));
-    this.registerSkill('executeAction', this._executeAction.bind(this));
-    this.registerSkill('reportResult', this._reportResult.bind(this));
-    this.registerSkill('generateAcknowledgement', this._generateAcknowledgement.bind(this));
-    this.registerSkill('generateConversationalResponse', this._generateConversationalResponse.bind(this));
-    this.registerSkill('searchKnowledge', this._searchKnowledge.bind(this));
-    this.registerSkill('compileResults', this._compileResults.bind(this));
-    this.registerSkill('parseTask', this._parseTask.bind(this));
-    this.registerSkill('executeProcedure', this._executeProcedure.bind(this));
-    this.registerSkill('verifyCompletion', this._verifyCompletion.bind(this));
-    this.registerSkill('noop', this._noop.bind(this));
-  }
-  
-  _registerDefaultFormatters() {
-    // Output formatters for different response types
-    this.registerFormatter('text', (data) => typeof data === 'string' ? data : JSON.stringify(data));
-    this.registerFormatter('json', (data) => JSON.stringify(data, null, 2));
-    this.registerFormatter('html', (data) => `<pre>${JSON.stringify(data, null, 2)}</pre>`);
-    this.registerFormatter('markdown', (data) => {
-      if (typeof data === 'string') return data;
-      return '```json\n' + JSON.stringify(data, null, 2) + '\n```';
+    this.registerSkill('retrieveInformation', {
+      handler: this._retrieveInformation.bind(this),
+      description: 'Retrieve information relevant to a query',
+      parameters: {
+        type: 'object',
+        properties: { query: { type: 'string', description: 'What to look up' } },
+        required: ['query']
+      },
+      returns: { type: 'object', description: 'Information record with content and sources' },
+      tags: ['knowledge', 'read']
+    });
+    this.registerSkill('formatResponse', {
+      handler: this._formatResponse.bind(this),
+      description: 'Format the previous result for presentation',
+      parameters: {
+        type: 'object',
+        properties: { format: { type: 'string', description: 'Formatter name; defaults to the output channel\'s format' } }
+      },
+      returns: { type: 'string' },
+      tags: ['output']
+    });
+    this.registerSkill('parseCommand', {
+      handler: this._parseCommand.bind(this),
+      description: 'Split a command string into a command and its arguments',
+      parameters: {
+        type: 'object',
+        properties: { commandText: { type: 'string', description: 'Raw command text' } },
+        required: ['commandText']
+      },
+      returns: { type: 'object', description: 'Parsed command with arguments' },
+      tags: ['parsing']
+    });
+    this.registerSkill('executeAction', {
+      handler: this._executeAction.bind(this),
+      description: 'Execute a named action',
+      parameters: {
+        type: 'object',
+        properties: { action: { type: 'string', description: 'Action to execute', default: 'unknown' } }
+      },
+      returns: { type: 'object', description: 'Execution status' },
+      tags: ['execution'],
+      sideEffects: true,
+      requiresApproval: true,
+      mockOutput: ({ action }) => ({
+        action,
+        status: 'completed',
+        simulated: true,
+        message: `Would execute action: ${action}`
+      })
+    });
+    this.registerSkill('reportResult', {
+      handler: this._reportResult.bind(this),
+      description: 'Report the previous result to the user',
+      parameters: {
+        type: 'object',
+        properties: { format: { type: 'string', description: 'Formatter name; defaults to the output channel\'s format' } }
+      },
+      returns: { type: 'string' },
+      tags: ['output']
+    });
+    this.registerSkill('generateAcknowledgement', {
+      handler: this._generateAcknowledgement.bind(this),
+      description: 'Acknowledge a statement from the user',
+      parameters: {
+        type: 'object',
+        properties: {
+          message: { type: 'string', description: 'Text appended to the acknowledgement' },
+          sentiment: { type: 'string', enum: ['positive', 'neutral', 'negative'], default: 'neutral' }
+        }
+      },
+      returns: { type: 'string' },
+      tags: ['conversation', 'output']
+    });
+    this.registerSkill('generateConversationalResponse', {
+      handler: this._generateConversationalResponse.bind(this),
+      description: 'Reply conversationally about a topic',
+      parameters: {
+        type: 'object',
+        properties: {
+          topic: { type: 'string', description: 'Topic of the conversation' },
+          tone: { type: 'string', default: 'friendly' }
+        }
+      },
+      returns: { type: 'string' },
+      tags: ['conversation', 'output']
+    });
+    this.registerSkill('respond', {
+      handler: this._respond.bind(this),
+      description: 'Reply with a prepared message',
+      parameters: {
+        type: 'object',
+        properties: { message: { type: 'string', description: 'Reply text' } },
+        required: ['message']
+      },
+      returns: { type: 'string' },
+      tags: ['conversation', 'output']
+    });
+    this.registerSkill('searchKnowledge', {
+      handler: this._searchKnowledge.bind(this),
+      description: 'Search the knowledge base for a topic',
+      parameters: {
+        type: 'object',
+        properties: { topic: { type: 'string', description: 'Topic to search for' } },
+        required: ['topic']
+      },
+      returns: { type: 'object', description: 'Search results and their count' },
+      tags: ['knowledge', 'read']
+    });
+    this.registerSkill('compileResults', {
+      handler: this._compileResults.bind(this),
+      description: 'Merge the results of previous searches',
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: 'Compiled results with a summary' },
+      tags: ['knowledge']
+    });
+    this.registerSkill('parseTask', {
+      handler: this._parseTask.bind(this),
+      description: 'Split a task description into its components',
+      parameters: {
+        type: 'object',
+        properties: { task: { type: 'string', description: 'Task description' } }
+      },
+      returns: { type: 'object', description: 'Task components' },
+      tags: ['parsing']
+    });
+    this.registerSkill('executeProcedure', {
+      handler: this._executeProcedure.bind(this),
+      description: 'Run a named procedure with arguments',
+      parameters: {
+        type: 'object',
+        properties: {
+          procedure: { type: 'string', description: 'Procedure to run' },
+          args: { type: 'array', description: 'Procedure arguments' }
+        }
+      },
+      returns: { type: 'object', description: 'Execution status' },
+      tags: ['execution'],
+      sideEffects: true,
+      requiresApproval: true,
+      mockOutput: ({ procedure = '', args = [] }) => ({
+        procedure,
+        arguments: args,
+        status: 'completed',
+        simulated: true,
+        message: `Would execute procedure: ${procedure}`
+      })
+    });
+    this.registerSkill('verifyCompletion', {
+      handler: this._verifyCompletion.bind(this),
+      description: 'Check that previously executed procedures completed',
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object', description: 'Verification status per procedure' },
+      tags: ['execution']
+    });
+    this.registerSkill('noop', {
+      handler: this._noop.bind(this),
+      description: 'Do nothing',
+      parameters: { type: 'object', properties: {} },
+      returns: { type: 'object' },
+      tags: []
     });
   }
   
-  registerSkill(name, handler) {
-    if (typeof handler !== 'function') {
+  _registerDefaultFormatters(templates = {}) {
+    // Output formatters for different response types; text, html and
+    // markdown render through overridable templates
+    for (const format of ['text', 'html', 'markdown']) {
+      const formatter = new TemplateFormatter(format, templates[format] || {});
+      this.templateFormatters.set(format, formatter);
+      this.registerFormatter(format, (data) => formatter.render(data));
+    }
+    this.registerFormatter('json', (data) => JSON.stringify(data, null, 2));
+  }
+  
+  registerSkill(name, skill) {
+    // Accept either a bare handler function or a full skill descriptor
+    const descriptor = typeof skill === 'function' ? { handler: skill } : { ...skill };
+    
+    // Untrusted code snippets run in a worker-thread sandbox
+    if (descriptor.sandbox) {
+      descriptor.handler = new SandboxedSkill(name, descriptor.sandbox, this).createHandler();
+    }
+    
+    if (typeof descriptor.handler !== 'function') {
       throw new Error(`Skill handler for "${name}" must be a function`);
     }
-    this.skills.set(name, handler);
+    if (descriptor.parameters && typeof descriptor.parameters !== 'object') {
+      throw new Error(`Parameter schema for skill "${name}" must be an object`);
+    }
+    
+    this.skills.set(name, {
+      ...descriptor,
+      name,
+      description: descriptor.description || '',
+      parameters: descriptor.parameters || null,
+      returns: descriptor.returns || null,
+      tags: descriptor.tags || [],
+      sideEffects: !!descriptor.sideEffects,
+      requiresApproval: !!descriptor.requiresApproval,
+      sandboxed: !!descriptor.sandbox
+    });
     return this;
   }
   
+  loadSkills(directories, options = {}) {
+    const loader = new SkillLoader({ capabilities: options.capabilities || this.config.capabilities });
+    const { skills, errors } = loader.load(Array.isArray(directories) ? directories : [directories]);
+    const allowOverrides = options.allowOverrides !== undefined ? options.allowOverrides : !!this.config.allowSkillOverrides;
+    const loaded = [];
+    
+    for (const { name, path, descriptor } of skills) {
+      try {
+        // A plugin must not silently replace a built-in or already loaded skill
+        if (this.skills.has(name) && !allowOverrides) {
+          throw this._createError(`Skill "${name}" is already registered; set allowSkillOverrides to replace it`, 'SKILL_CONFLICT');
+        }
+        this.registerSkill(name, descriptor);
+        loaded.push(name);
+      } catch (error) {
+        errors.push({ path, name, error: error.message });
+      }
+    }
+    
+    // A broken plugin is reported, never fatal
+    for (const failure of errors) {
+      console.warn(`Failed to load skill ${failure.name ? `"${failure.name}" ` : ''}from ${failure.path}: ${failure.error}`);
+      this.skillLoadErrors.push(failure);
+      this.emit('action:skill:load:error', failure);
+    }
+    
+    this.emit('action:skills:loaded', { loaded, failed: errors.length });
+    return { loaded, errors };
+  }
+  
+  getSkillLoadErrors() {
+    return [...this.skillLoadErrors];
+  }
+  
+  enableSkill(name) {
+    this.disabledSkills.delete(name);
+    return this;
+  }
+  
+  disableSkill(name) {
+    this.disabledSkills.add(name);
+    return this;
+  }
+  
+  isSkillEnabled(name) {
+    return this.skills.has(name) && !this.disabledSkills.has(name);
+  }
+  
+  hasSkill(name) {
+    return this.skills.has(name);
+  }
+  
+  listSkills(filter = {}) {
+    // Disabled skills are hidden unless explicitly requested
+    const skills = Array.from(this.skills.keys())
+      .filter(name => filter.includeDisabled || !this.disabledSkills.has(name))
+      .map(name => this.describeSkill(name));
+    
+    if (filter.tag) {
+      return skills.filter(skill => skill.tags.includes(filter.tag));
+    }
+    
+    return skills;
+  }
+  
+  describeSkill(name) {
+    const skill = this.skills.get(name);
+    if (!skill) return null;
+    
+    return {
+      name: skill.name,
+      version: skill.version,
+      enabled: !this.disabledSkills.has(name),
+      description: skill.description,
+      parameters: skill.parameters,
+      returns: skill.returns,
+      tags: [...skill.tags],
+      sideEffects: skill.sideEffects,
+      requiresApproval: this._requiresApproval(skill),
+      sandboxed: skill.sandboxed
+    };
+  }
+  
+  validateParameters(name, parameters = {}) {
+    const skill = this.skills.get(name);
+    if (!skill) {
+      return { valid: false, errors: [`No skill registered for action type "${name}"`] };
+    }
+    if (!skill.parameters) {
+      return { valid: true, errors: [] };
+    }
+    
+    return this.schemaValidator.validate(skill.parameters, parameters, 'parameters');
+  }
+  
   registerFormatter(name, handler) {
     if (typeof handler !== 'function') {
       throw new Error(`Formatter handler for "${name}" must be a function`);
@@ -97,83 +422,854 @@ class ActionSystem extends Component {
     return formatter(data);
   }
   
-  async execute(plan) {
-    if (!plan || !Array.isArray(plan)) {
+  setFormatTemplate(format, name, template) {
+    const formatter = this.templateFormatters.get(format);
+    if (!formatter) {
+      throw new Error(`Format "${format}" does not use templates`);
+    }
+    formatter.setTemplate(name, template);
+    return this;
+  }
+  
+  setChannelFormat(channel, format) {
+    this.channelFormats[channel] = format;
+    return this;
+  }
+  
+  resolveFormat(channel) {
+    // Pick the formatter for the channel the input arrived on
+    const format = channel && this.channelFormats[channel];
+    return format && this.formatters.has(format) ? format : this.defaultFormat;
+  }
+  
+  async executeSkill(name, parameters = {}, context = {}) {
+    // Run a single skill outside of a plan, e.g. on behalf of a sandboxed
+    // skill. Approval-gated skills can only run as part of a plan
+    const skill = this.skills.get(name);
+    this._assertSkill(skill, { type: name }, 0);
+    
+    if (this._requiresApproval(skill)) {
+      throw this._createError(`Skill "${name}" requires approval and can only run as part of a plan`, 'APPROVAL_REQUIRED');
+    }
+    
+    const prepared = this._prepareParameters(skill, parameters);
+    const timeout = skill.timeout !== undefined ? skill.timeout : this.defaultTimeout;
+    return this._runWithTimeout(() => skill.handler(prepared, context), timeout, context.signal, name);
+  }
+  
+  async execute(plan, options = {}) {
+    const actions = this._resolvePlanActions(plan);
+    if (!actions) {
       return { success: false, error: 'Invalid action plan' };
     }
     
-    this.emit('action:execute:start', { plan });
+    if (options.dryRun) {
+      return this.simulate(plan, options);
+    }
+    
+    const executionId = options.executionId || this.runtime.createId('execution');
+    this.emit('action:execute:start', { executionId, plan: actions });
+    
+    // Cancellation covers both the caller's signal and the plan timeout
+    const controller = new AbortController();
+    const cleanupCancellation = this._linkCancellation(controller, options.signal, options.timeout || this.planTimeout);
     
     // Create execution context to track state
     const context = {
+      executionId,
+      channel: options.channel || null,
       results: {},
+      actions: {},
+      order: [],
+      skipped: [],
+      completed: [],
       currentStep: 0,
-      startTime: Date.now(),
+      startTime: this.runtime.now(),
+      signal: controller.signal,
       success: true,
       output: null
     };
     
+    this.executions.set(executionId, {
+      executionId,
+      plan: actions,
+      context,
+      startTime: context.startTime,
+      pendingApprovals: new Map()
+    });
+    
     try {
-      // Execute each action in sequence
-      for (const action of plan) {
-        context.currentStep++;
-        await this._executeAction(action, context);
-      }
+      // Run the plan as a dependency graph, independent branches in parallel
+      const graph = this._buildExecutionGraph(actions);
+      context.order = graph.order;
+      await this._runGraph(graph, context, options.concurrency || this.concurrency);
       
       // Determine final output from the context
       context.output = this._determineFinalOutput(context);
+      context.executionTime = this.runtime.now() - context.startTime;
       
       this.emit('action:execute:complete', context);
       return {
         success: context.success,
+        executionId,
         results: context.results,
+        skipped: context.skipped,
         output: context.output,
-        executionTime: Date.now() - context.startTime
+        executionTime: context.executionTime
       };
     } catch (error) {
-      return this._handleExecutionError(error, context);
+      const shouldCompensate = options.compensate !== undefined ? options.compensate : this.compensateOnFailure;
+      const rollbacks = shouldCompensate ? await this._compensate(context, error) : [];
+      return this._handleExecutionError(error, context, rollbacks);
+    } finally {
+      cleanupCancellation();
+      this.executions.delete(executionId);
+    }
+  }
+  
+  async simulate(plan, options = {}) {
+    const actions = this._resolvePlanActions(plan);
+    if (!actions) {
+      return { success: false, dryRun: true, error: 'Invalid action plan' };
+    }
+    
+    this.emit('action:dryrun:start', { plan: actions });
+    
+    const startTime = this.runtime.now();
+    const context = {
+      results: {},
+      actions: {},
+      order: [],
+      skipped: [],
+      completed: [],
+      startTime,
+      channel: options.channel || null,
+      signal: options.signal || null,
+      dryRun: true
+    };
+    const trace = [];
+    const issues = [];
+    
+    let graph;
+    try {
+      graph = this._buildExecutionGraph(actions);
+      context.order = graph.order;
+    } catch (error) {
+      issues.push({ actionId: null, code: error.code, message: error.message });
+      return this._completeSimulation(plan, { trace, issues, context, startTime });
+    }
+    
+    const failed = new Set();
+    for (const id of this._topologicalOrder(graph)) {
+      const node = graph.nodes.get(id);
+      const entry = await this._simulateStep(node, context, failed);
+      
+      if (entry.status === 'invalid' || entry.status === 'failed' || entry.status === 'blocked') {
+        failed.add(id);
+        for (const message of entry.errors) {
+          issues.push({ actionId: id, code: entry.status.toUpperCase(), message });
+        }
+      }
+      
+      trace.push(entry);
+    }
+    
+    return this._completeSimulation(plan, { trace, issues, context, startTime });
+  }
+  
+  async _simulateStep(node, context, failed) {
+    const { id: actionId, action, step } = node;
+    const skill = action && typeof action.type === 'string' ? this.skills.get(action.type) : null;
+    const entry = {
+      step,
+      actionId,
+      type: action && action.type,
+      parameters: (action && action.parameters) || {},
+      dependsOn: node.dependsOn,
+      sideEffects: !!(skill && skill.sideEffects),
+      requiresApproval: this._requiresApproval(skill),
+      status: 'ok',
+      errors: [],
+      output: undefined
+    };
+    context.actions[actionId] = action;
+    
+    const blockedBy = node.dependsOn.filter(dependencyId => failed.has(dependencyId));
+    if (blockedBy.length > 0) {
+      entry.status = 'blocked';
+      entry.errors.push(`Depends on steps that cannot run: ${blockedBy.join(', ')}`);
+      return entry;
+    }
+    
+    let parameters;
+    try {
+      this._assertSkill(skill, action, step);
+      parameters = this._prepareParameters(skill, entry.parameters);
+      entry.parameters = parameters;
+    } catch (error) {
+      entry.status = 'invalid';
+      entry.errors.push(...(error.validationErrors || [error.message]));
+      return entry;
+    }
+    
+    const stepContext = this._createStepContext(context, node);
+    
+    try {
+      if (skill.sideEffects || entry.requiresApproval) {
+        // Side-effecting and approval-gated skills never run for real during a dry run
+        entry.status = 'simulated';
+        entry.output = await this._mockSkillOutput(skill, parameters, stepContext);
+      } else {
+        const timeout = skill.timeout !== undefined ? skill.timeout : this.defaultTimeout;
+        entry.output = await this._runWithTimeout(() => skill.handler(parameters, stepContext), timeout, context.signal, skill.name);
+      }
+      context.results[actionId] = entry.output;
+    } catch (error) {
+      entry.status = 'failed';
+      entry.errors.push(error.message);
+    }
+    
+    return entry;
+  }
+  
+  async _mockSkillOutput(skill, parameters, context) {
+    if (typeof skill.simulate === 'function') {
+      return skill.simulate(parameters, context);
+    }
+    if (typeof skill.mockOutput === 'function') {
+      return skill.mockOutput(parameters, context);
+    }
+    if (skill.mockOutput !== undefined) {
+      return skill.mockOutput;
+    }
+    
+    return { simulated: true, skill: skill.name, parameters };
+  }
+  
+  _topologicalOrder(graph) {
+    // Plan order, but never before a step's dependencies
+    const visited = new Set();
+    const ordered = [];
+    
+    const visit = (id) => {
+      if (visited.has(id)) return;
+      visited.add(id);
+      graph.nodes.get(id).dependsOn.forEach(visit);
+      ordered.push(id);
+    };
+    
+    graph.order.forEach(visit);
+    return ordered;
+  }
+  
+  _completeSimulation(plan, { trace, issues, context, startTime }) {
+    const result = {
+      success: issues.length === 0,
+      dryRun: true,
+      trace,
+      issues,
+      output: this._determineFinalOutput(context),
+      outcomes: this._compareWithPredictions(plan, trace),
+      executionTime: this.runtime.now() - startTime
+    };
+    
+    this.emit('action:dryrun:complete', result);
+    return result;
+  }
+  
+  _compareWithPredictions(plan, trace) {
+    // Line up the planner's predicted outcomes with what the simulation saw
+    const predictedOutcomes = plan && !Array.isArray(plan) ? plan.predictedOutcomes : null;
+    if (!Array.isArray(predictedOutcomes)) return [];
+    
+    return predictedOutcomes.map(prediction => {
+      const entry = trace.find(traceEntry => traceEntry.actionId === prediction.actionId);
+      return {
+        ...prediction,
+        simulatedStatus: entry ? entry.status : 'missing',
+        simulatedOutput: entry ? entry.output : undefined,
+        matchesPrediction: !!entry && (entry.status === 'ok' || entry.status === 'simulated')
+      };
+    });
+  }
+  
+  approve(executionId, stepId, details = {}) {
+    return this._settleApproval(executionId, stepId, true, details);
+  }
+  
+  reject(executionId, stepId, reason = 'Rejected') {
+    return this._settleApproval(executionId, stepId, false, { reason });
+  }
+  
+  getPendingApprovals(executionId = null) {
+    const approvals = [];
+    
+    for (const execution of this.executions.values()) {
+      if (executionId && execution.executionId !== executionId) continue;
+      for (const pending of execution.pendingApprovals.values()) {
+        approvals.push({ ...pending.request });
+      }
+    }
+    
+    return approvals;
+  }
+  
+  getPendingExecutions() {
+    // Executions currently paused on at least one approval
+    return Array.from(this.executions.values())
+      .filter(execution => execution.pendingApprovals.size > 0)
+      .map(execution => ({
+        executionId: execution.executionId,
+        startTime: execution.startTime,
+        completedSteps: Object.keys(execution.context.results),
+        pendingApprovals: this.getPendingApprovals(execution.executionId)
+      }));
+  }
+  
+  _requiresApproval(skill) {
+    if (!skill) return false;
+    if (skill.name in this.approvalOverrides) {
+      return !!this.approvalOverrides[skill.name];
+    }
+    return skill.requiresApproval;
+  }
+  
+  _awaitApproval(node, context) {
+    const execution = this.executions.get(context.executionId);
+    const skill = this.skills.get(node.action.type);
+    const stepId = node.id;
+    const request = {
+      executionId: context.executionId,
+      stepId,
+      step: node.step,
+      action: node.action,
+      parameters: this.schemaValidator.applyDefaults(skill.parameters, node.action.parameters || {}),
+      requestedAt: this.runtime.now(),
+      expiresAt: this.approvalTimeout > 0 ? this.runtime.now() + this.approvalTimeout : null
+    };
+    
+    // Nobody could ever approve the step without a listener for the request
+    if (!this.eventBus || this.eventBus.listenerCount('action:approval:required') === 0) {
+      return Promise.reject(this._createError(
+        `Step "${stepId}" needs approval but nothing handles action:approval:required`,
+        'APPROVAL_UNAVAILABLE'
+      ));
+    }
+    
+    const decision = new Promise((resolve, reject) => {
+      const pending = { request, resolve, reject, timer: null };
+      
+      if (this.approvalTimeout > 0) {
+        pending.timer = setTimeout(() => {
+          execution.pendingApprovals.delete(stepId);
+          this.emit('action:approval:timeout', { ...request });
+          reject(this._createError(
+            `Approval for step "${stepId}" timed out after ${this.approvalTimeout}ms`,
+            'APPROVAL_TIMEOUT'
+          ));
+        }, this.approvalTimeout);
+      }
+      
+      execution.pendingApprovals.set(stepId, pending);
+      this.emit('action:approval:required', { ...request });
+    });
+    
+    // Cancelling the plan also withdraws its outstanding approval requests
+    return this._runWithTimeout(() => decision, 0, context.signal, node.action.type).catch((error) => {
+      const pending = execution.pendingApprovals.get(stepId);
+      if (pending) {
+        clearTimeout(pending.timer);
+        execution.pendingApprovals.delete(stepId);
+      }
+      throw error;
+    });
+  }
+  
+  _settleApproval(executionId, stepId, approved, details) {
+    const execution = this.executions.get(executionId);
+    const pending = execution && execution.pendingApprovals.get(stepId);
+    if (!pending) return false;
+    
+    clearTimeout(pending.timer);
+    execution.pendingApprovals.delete(stepId);
+    
+    if (approved) {
+      this.emit('action:approval:granted', { executionId, stepId, ...details });
+      pending.resolve(details);
+    } else {
+      this.emit('action:approval:rejected', { executionId, stepId, ...details });
+      pending.reject(this._createError(`Step "${stepId}" was rejected: ${details.reason}`, 'APPROVAL_REJECTED'));
+    }
+    
+    return true;
+  }
+  
+  _resolvePlanActions(plan) {
+    if (Array.isArray(plan)) return plan;
+    if (!plan || typeof plan !== 'object') return null;
+    
+    // Planning results carry the LLM-selected plan in finalPlan, but it may be
+    // a list of free-text steps rather than executable actions
+    if (this._isActionList(plan.finalPlan)) {
+      return plan.finalPlan;
+    }
+    
+    if (Array.isArray(plan.actionSequence)) {
+      return plan.actionSequence;
+    }
+    
+    return null;
+  }
+  
+  _isActionList(list) {
+    return Array.isArray(list) && list.length > 0 &&
+      list.every(action => action && typeof action === 'object' && typeof action.type === 'string');
+  }
+  
+  _buildExecutionGraph(actions) {
+    const nodes = new Map();
+    const order = [];
+    
+    actions.forEach((action, index) => {
+      const id = (action && action.id) || `${action && action.type}-${index + 1}`;
+      if (nodes.has(id)) {
+        throw this._createError(`Duplicate action id "${id}" in plan`, 'INVALID_PLAN');
+      }
+      
+      // Actions without explicit dependencies follow the previous action,
+      // which keeps plain action lists running in order
+      let dependsOn = action && action.dependsOn;
+      if (dependsOn === undefined) {
+        dependsOn = index > 0 ? [order[index - 1]] : [];
+      } else if (!Array.isArray(dependsOn)) {
+        dependsOn = [dependsOn];
+      }
+      
+      nodes.set(id, { id, action, step: index + 1, dependsOn, dependents: [] });
+      order.push(id);
+    });
+    
+    for (const node of nodes.values()) {
+      for (const dependencyId of node.dependsOn) {
+        const dependency = nodes.get(dependencyId);
+        if (!dependency) {
+          throw this._createError(`Action "${node.id}" depends on unknown action "${dependencyId}"`, 'INVALID_PLAN');
+        }
+        dependency.dependents.push(node.id);
+      }
+    }
+    
+    this._assertAcyclic(nodes, order);
+    return { nodes, order };
+  }
+  
+  _assertAcyclic(nodes, order) {
+    // Kahn's algorithm: whatever cannot be scheduled is part of a cycle
+    const remaining = new Map(order.map(id => [id, nodes.get(id).dependsOn.length]));
+    const queue = order.filter(id => remaining.get(id) === 0);
+    
+    while (queue.length > 0) {
+      const id = queue.shift();
+      remaining.delete(id);
+      
+      for (const dependentId of nodes.get(id).dependents) {
+        remaining.set(dependentId, remaining.get(dependentId) - 1);
+        if (remaining.get(dependentId) === 0) {
+          queue.push(dependentId);
+        }
+      }
+    }
+    
+    if (remaining.size > 0) {
+      const cycle = Array.from(remaining.keys());
+      throw this._createError(`Plan contains a dependency cycle between: ${cycle.join(', ')}`, 'PLAN_CYCLE', { cycle });
+    }
+  }
+  
+  _runGraph(graph, context, concurrency) {
+    const pending = new Map(graph.order.map(id => [id, graph.nodes.get(id).dependsOn.length]));
+    const ready = graph.order.filter(id => pending.get(id) === 0);
+    let running = 0;
+    let failure = null;
+    
+    return new Promise((resolve, reject) => {
+      const schedule = () => {
+        if (failure) {
+          // Let running steps settle before reporting the failure
+          if (running === 0) reject(failure);
+          return;
+        }
+        
+        if (context.signal.aborted) {
+          failure = this._abortError(context.signal);
+          return schedule();
+        }
+        
+        while (running < concurrency && ready.length > 0) {
+          const node = graph.nodes.get(ready.shift());
+          pending.delete(node.id);
+          running++;
+          context.currentStep++;
+          
+          this._executeStep(node, context).then(() => {
+            for (const dependentId of node.dependents) {
+              pending.set(dependentId, pending.get(dependentId) - 1);
+              if (pending.get(dependentId) === 0) {
+                ready.push(dependentId);
+              }
+            }
+          }, (error) => {
+            if (!failure) {
+              failure = error;
+              context.failedStep = node.step;
+            }
+          }).then(() => {
+            running--;
+            schedule();
+          });
+        }
+        
+        if (running === 0 && ready.length === 0) {
+          resolve();
+        }
+      };
+      
+      schedule();
+    });
+  }
+  
+  _createStepContext(context, node) {
+    // Each step sees the shared context plus the outputs of its direct
+    // dependencies, keyed by action id
+    const upstream = {};
+    for (const dependencyId of node.dependsOn) {
+      if (dependencyId in context.results) {
+        upstream[dependencyId] = context.results[dependencyId];
+      }
+    }
+    
+    return { ...context, action: node.action, actionId: node.id, step: node.step, upstream };
+  }
+  
+  async _executeStep(node, context) {
+    const { id: actionId, action, step } = node;
+    context.actions[actionId] = action;
+    
+    this.emit('action:step:start', { step, actionId, action, dependsOn: node.dependsOn });
+    
+    const skill = action && typeof action.type === 'string' ? this.skills.get(action.type) : null;
+    const retryPolicy = { ...this.retryPolicy, ...((skill && skill.retry) || {}) };
+    let attempt = 0;
+    let handlerRetries = 0;
+    let approved = false;
+    
+    while (true) {
+      attempt++;
+      
+      try {
+        // A plan cancelled by a listener or between attempts starts nothing new
+        this._throwIfAborted(context.signal);
+        
+        // Sensitive skills wait for a person to sign off, once per step
+        if (!approved && this._requiresApproval(skill)) {
+          await this._awaitApproval(node, context);
+          approved = true;
+        }
+        
+        const result = await this._invokeSkill(skill, action, this._createStepContext(context, node), step);
+        context.results[actionId] = result;
+        context.completed.push({ actionId, action, skill, result });
+        this.emit('action:step:complete', { step, actionId, action, result, attempt });
+        return result;
+      } catch (error) {
+        // Cancellation ends the plan without consulting retries or handlers
+        this._throwIfAborted(context.signal);
+        
+        this.emit('action:step:error', { step, actionId, action, error, attempt });
+        
+        if (attempt <= retryPolicy.attempts && this._isRetryable(error, retryPolicy)) {
+          const delay = this._backoffDelay(retryPolicy, attempt);
+          this.emit('action:step:retry', { step, actionId, action, error, attempt, delay });
+          await this._sleep(delay, context.signal);
+          continue;
+        }
+        
+        const decision = await this._resolveStepError(error, { step, actionId, action, attempt, context });
+        
+        if (decision.strategy === 'retry' && handlerRetries < this.maxHandlerRetries) {
+          handlerRetries++;
+          this.emit('action:step:retry', { step, actionId, action, error, attempt, delay: decision.delay || 0 });
+          await this._sleep(decision.delay || 0, context.signal);
+          continue;
+        }
+        
+        if (decision.strategy === 'fallback') {
+          context.results[actionId] = decision.result;
+          this.emit('action:step:complete', { step, actionId, action, result: decision.result, attempt, fallback: true });
+          return decision.result;
+        }
+        
+        if (decision.strategy === 'skip') {
+          context.skipped.push(actionId);
+          this.emit('action:step:skipped', { step, actionId, action, error });
+          return undefined;
+        }
+        
+        throw error;
+      }
+    }
+  }
+  
+  async _invokeSkill(skill, action, context, step) {
+    this._assertSkill(skill, action, step);
+    
+    const parameters = this._prepareParameters(skill, action.parameters || {});
+    const timeout = skill.timeout !== undefined ? skill.timeout : this.defaultTimeout;
+    
+    return this._runWithTimeout(() => skill.handler(parameters, context), timeout, context.signal, skill.name);
+  }
+  
+  _assertSkill(skill, action, step) {
+    if (!action || typeof action.type !== 'string') {
+      throw this._createError(`Invalid action at step ${step}`, 'INVALID_ACTION');
+    }
+    if (!skill) {
+      throw this._createError(`No skill registered for action type "${action.type}"`, 'SKILL_NOT_FOUND');
+    }
+    if (this.disabledSkills.has(skill.name)) {
+      throw this._createError(`Skill "${skill.name}" is disabled`, 'SKILL_DISABLED');
     }
   }
   
-  _handleExecutionError(error, context) {
-    this.emit('action:execute:error', { error, context });
+  _prepareParameters(skill, parameters) {
+    if (!skill.parameters) return parameters;
+    
+    const prepared = this.schemaValidator.applyDefaults(skill.parameters, parameters);
+    const { valid, errors } = this.schemaValidator.validate(skill.parameters, prepared, 'parameters');
+    
+    if (!valid) {
+      throw this._createError(
+        `Invalid parameters for skill "${skill.name}": ${errors.join('; ')}`,
+        'INVALID_PARAMETERS',
+        { validationErrors: errors }
+      );
+    }
+    
+    return prepared;
+  }
+  
+  async _resolveStepError(error, info) {
+    // Handlers run in registration order; the first one to return a
+    // decision wins. Decisions: 'retry', 'fallback', 'skip' or 'abort'
+    for (const handler of this.errorHandlers) {
+      try {
+        const decision = await handler(error, info);
+        if (!decision) continue;
+        
+        return typeof decision === 'string' ? { strategy: decision } : decision;
+      } catch (handlerError) {
+        this.emit('action:errorHandler:error', { error: handlerError, originalError: error });
+      }
+    }
+    
+    return { strategy: 'abort' };
+  }
+  
+  _isRetryable(error, retryPolicy) {
+    if (typeof retryPolicy.retryOn === 'function') {
+      return retryPolicy.retryOn(error);
+    }
+    
+    // Retrying cannot fix a missing skill or bad parameters
+    return !['INVALID_ACTION', 'SKILL_NOT_FOUND', 'SKILL_DISABLED', 'INVALID_PARAMETERS', 'APPROVAL_REJECTED', 'APPROVAL_TIMEOUT',
+      'APPROVAL_UNAVAILABLE'].includes(error.code);
+  }
+  
+  _backoffDelay(retryPolicy, attempt) {
+    const delay = retryPolicy.initialDelay * Math.pow(retryPolicy.factor, attempt - 1);
+    return Math.min(delay, retryPolicy.maxDelay);
+  }
+  
+  _runWithTimeout(task, timeout, signal, label) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      
+      const onAbort = () => finish(reject, this._abortError(signal));
+      const finish = (settle, value) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (signal) signal.removeEventListener('abort', onAbort);
+        settle(value);
+      };
+      
+      if (signal && signal.aborted) {
+        return onAbort();
+      }
+      if (signal) {
+        signal.addEventListener('abort', onAbort, { once: true });
+      }
+      if (timeout > 0) {
+        timer = setTimeout(() => {
+          finish(reject, this._createError(`Skill "${label}" timed out after ${timeout}ms`, 'SKILL_TIMEOUT'));
+        }, timeout);
+      }
+      
+      Promise.resolve()
+        .then(task)
+        .then(value => finish(resolve, value), error => finish(reject, error));
+    });
+  }
+  
+  _linkCancellation(controller, externalSignal, timeout) {
+    let timer = null;
+    const onExternalAbort = () => controller.abort(externalSignal.reason);
+    
+    if (externalSignal) {
+      if (externalSignal.aborted) {
+        onExternalAbort();
+      } else {
+        externalSignal.addEventListener('abort', onExternalAbort, { once: true });
+      }
+    }
+    
+    if (timeout > 0) {
+      timer = setTimeout(() => {
+        controller.abort(this._createError(`Plan execution timed out after ${timeout}ms`, 'PLAN_TIMEOUT'));
+      }, timeout);
+    }
+    
+    return () => {
+      clearTimeout(timer);
+      if (externalSignal) externalSignal.removeEventListener('abort', onExternalAbort);
+    };
+  }
+  
+  _sleep(ms, signal) {
+    return this._runWithTimeout(() => new Promise(resolve => setTimeout(resolve, ms)), 0, signal, 'sleep');
+  }
+  
+  _throwIfAborted(signal) {
+    if (signal && signal.aborted) {
+      throw this._abortError(signal);
+    }
+  }
+  
+  _abortError(signal) {
+    const reason = signal && signal.reason;
+    if (reason instanceof Error && typeof reason.code === 'string') {
+      return reason;
+    }
+    
+    const message = reason instanceof Error ? reason.message : 'Plan execution was cancelled';
+    return this._createError(message, 'EXECUTION_ABORTED');
+  }
+  
+  _createError(message, code, details = {}) {
+    const error = new Error(message);
+    error.code = code;
+    Object.assign(error, details);
+    return error;
+  }
+  
+  async _compensate(context, error) {
+    // Undo completed side effects in reverse completion order. Only steps
+    // whose skill registered a compensate handler take part
+    const steps = context.completed
+      .filter(entry => typeof entry.skill.compensate === 'function')
+      .reverse();
+    
+    if (steps.length === 0) return [];
+    
+    this.emit('action:compensate:start', {
+      steps: steps.map(entry => entry.actionId),
+      error
+    });
+    
+    // The plan signal may already be aborted; rollbacks must still run
+    const { signal, ...compensationContext } = context;
+    const rollbacks = [];
+    
+    for (const entry of steps) {
+      const { actionId, action, skill, result } = entry;
+      const parameters = this.schemaValidator.applyDefaults(skill.parameters, action.parameters || {});
+      const timeout = skill.timeout !== undefined ? skill.timeout : this.defaultTimeout;
+      
+      try {
+        await this._runWithTimeout(
+          () => skill.compensate(result, parameters, { ...compensationContext, action, actionId }),
+          timeout,
+          null,
+          `${skill.name} compensation`
+        );
+        rollbacks.push({ actionId, type: action.type, success: true });
+      } catch (compensationError) {
+        rollbacks.push({ actionId, type: action.type, success: false, error: compensationError.message });
+      }
+    }
+    
+    this.emit('action:compensate:complete', {
+      rollbacks,
+      succeeded: rollbacks.filter(rollback => rollback.success).map(rollback => rollback.actionId),
+      failed: rollbacks.filter(rollback => !rollback.success).map(rollback => rollback.actionId)
+    });
+    
+    return rollbacks;
+  }
+  
+  _handleExecutionError(error, context, rollbacks = []) {
+    this.emit('action:execute:error', { error, context, rollbacks });
     
     return {
       success: false,
+      executionId: context.executionId,
       error: error.message,
+      errorCode: error.code,
+      cancelled: context.signal.aborted,
       partialResults: context.results,
-      executionTime: Date.now() - context.startTime,
-      failedStep: context.currentStep
+      skipped: context.skipped,
+      rollbacks,
+      compensated: rollbacks.length > 0 && rollbacks.every(rollback => rollback.success),
+      executionTime: this.runtime.now() - context.startTime,
+      failedStep: context.failedStep || context.currentStep
     };
   }
   
   _determineFinalOutput(context) {
-    // Find the last result that should be presented as output
-    // First look for formatResponse results
-    const resultIds = Object.keys(context.results);
+    // Walk the executed actions from last to first in plan order, preferring
+    // formatted responses, then reports, then whatever comes last
+    const executed = context.order.filter(id => id in context.results).reverse();
+    const typeOf = (id) => context.actions[id] && context.actions[id].type;
     
-    // Check for formatResponse results
-    for (const id of resultIds.reverse()) {
-      if (id.includes('formatResponse')) {
+    for (const preferredType of ['formatResponse', 'reportResult']) {
+      const id = executed.find(resultId => typeOf(resultId) === preferredType);
+      if (id) {
         return context.results[id];
       }
     }
     
-    // Check for reportResult results
-    for (const id of resultIds.reverse()) {
-      if (id.includes('reportResult')) {
-        return context.results[id];
-      }
-    }
-    
-    // Otherwise return the last result
-    if (resultIds.length > 0) {
-      return context.results[resultIds[resultIds.length - 1]];
+    if (executed.length > 0) {
+      return context.results[executed[0]];
     }
     
     return null;
   }
   
+  _inputResults(context) {
+    // Prefer the declared upstream outputs; fall back to everything so far
+    if (context.upstream && Object.keys(context.upstream).length > 0) {
+      return context.upstream;
+    }
+    return context.results;
+  }
+  
+  _latestInput(context) {
+    const inputs = this._inputResults(context);
+    const ids = Object.keys(inputs);
+    return ids.length > 0 ? inputs[ids[ids.length - 1]] : null;
+  }
+  
   // Default skill implementations
   async _retrieveInformation(parameters) {
     const { query } = parameters;
@@ -189,11 +1285,10 @@ class ActionSystem extends Component {
   }
   
   async _formatResponse(parameters, context) {
-    const { format = 'text' } = parameters;
+    const format = parameters.format || this.resolveFormat(context.channel);
     
-    // Get the most recent result to format
-    const resultIds = Object.keys(context.results);
-    const lastResult = resultIds.length > 0 ? context.results[resultIds[resultIds.length - 1]] : null;
+    // Format the output of the step this one depends on
+    const lastResult = this._latestInput(context);
     
     if (!lastResult) {
       return "No information to format.";
@@ -230,11 +1325,10 @@ class ActionSystem extends Component {
   }
   
   async _reportResult(parameters, context) {
-    const { format = 'text' } = parameters;
+    const format = parameters.format || this.resolveFormat(context.channel);
     
-    // Get the most recent result to report
-    const resultIds = Object.keys(context.results);
-    const lastResult = resultIds.length > 0 ? context.results[resultIds[resultIds.length - 1]] : null;
+    // Report the output of the step this one depends on
+    const lastResult = this._latestInput(context);
     
     if (!lastResult) {
       return "No results to report.";
@@ -269,7 +1363,7 @@ class ActionSystem extends Component {
     
     // Select random acknowledgement based on sentiment
     const options = acknowledgements[sentiment] || acknowledgements.neutral;
-    const randomIndex = Math.floor(Math.random() * options.length);
+    const randomIndex = Math.floor(this.runtime.random() * options.length);
     
     return options[randomIndex] + (message ? ` ${message}` : '');
   }
@@ -285,6 +1379,11 @@ class ActionSystem extends Component {
     return `That's an interesting point about ${topic}. Would you like to discuss it further?`;
   }
   
+  async _respond(parameters) {
+    // The reply was already composed, e.g. by the ReAct loop
+    return parameters.message;
+  }
+  
   async _searchKnowledge(parameters) {
     const { topic = '' } = parameters;
     
@@ -297,10 +1396,11 @@ class ActionSystem extends Component {
   }
   
   async _compileResults(parameters, context) {
-    // Get search results from context
+    // Get search results from upstream steps
+    const inputs = this._inputResults(context);
     let searchResults = [];
-    for (const id in context.results) {
-      const result = context.results[id];
+    for (const id in inputs) {
+      const result = inputs[id];
       if (result && result.results) {
         searchResults = searchResults.concat(result.results);
       }
@@ -340,11 +1440,12 @@ class ActionSystem extends Component {
   
   async _verifyCompletion(parameters, context) {
     // Check the status of previous procedures
+    const inputs = this._inputResults(context);
     let allCompleted = true;
     const procedures = [];
     
-    for (const id in context.results) {
-      const result = context.results[id];
+    for (const id in inputs) {
+      const result = inputs[id];
       if (result && result.status) {
         procedures.push({
           id,
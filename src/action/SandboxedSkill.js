@@ -0,0 +1,159 @@
+// src/action/SandboxedSkill.js
+const path = require('path');
+const { Worker } = require('worker_threads');
+
+// Wraps an untrusted code snippet as a skill handler. Every invocation gets
+// its own worker thread with CPU-time and memory limits; the snippet only
+// sees `parameters` and the `cortex` capability API it was granted.
+class SandboxedSkill {
+  constructor(name, config = {}, actionSystem = null) {
+    if (typeof config.code !== 'string' || config.code.trim() === '') {
+      throw new Error(`Sandboxed skill "${name}" requires a code string`);
+    }
+    
+    this.name = name;
+    this.code = config.code;
+    this.actionSystem = actionSystem;
+    this.timeout = config.timeout || 5000; // Wall-clock limit per invocation
+    this.cpuTimeout = config.cpuTimeout || Math.min(this.timeout, 1000); // Synchronous CPU limit
+    this.memoryLimitMb = config.memoryLimitMb || 32;
+    
+    // Capabilities must be granted explicitly
+    const capabilities = config.capabilities || {};
+    this.capabilities = {
+      context: !!capabilities.context,
+      skills: Array.isArray(capabilities.skills) ? [...capabilities.skills] : []
+    };
+  }
+  
+  createHandler() {
+    return (parameters, context) => this.run(parameters, context);
+  }
+  
+  run(parameters = {}, context = {}) {
+    return new Promise((resolve, reject) => {
+      let settled = false;
+      let timer = null;
+      
+      const worker = new Worker(path.join(__dirname, 'sandboxWorker.js'), {
+        workerData: {
+          code: this.code,
+          parameters: JSON.stringify(parameters),
+          context: this.capabilities.context ? this._snapshotContext(context) : null,
+          capabilities: this.capabilities,
+          cpuTimeout: this.cpuTimeout
+        },
+        resourceLimits: {
+          maxOldGenerationSizeMb: this.memoryLimitMb,
+          maxYoungGenerationSizeMb: Math.max(1, Math.floor(this.memoryLimitMb / 4))
+        },
+        env: {},
+        execArgv: [],
+        stdout: true,
+        stderr: true
+      });
+      
+      const onAbort = () => finish(new Error(`Sandboxed skill "${this.name}" was cancelled`));
+      const finish = (error, result) => {
+        if (settled) return;
+        settled = true;
+        clearTimeout(timer);
+        if (context.signal) context.signal.removeEventListener('abort', onAbort);
+        worker.terminate();
+        
+        if (error) {
+          error.code = error.code || 'SANDBOX_ERROR';
+          reject(error);
+        } else {
+          resolve(result);
+        }
+      };
+      
+      timer = setTimeout(() => {
+        const error = new Error(`Sandboxed skill "${this.name}" exceeded its ${this.timeout}ms time limit`);
+        error.code = 'SKILL_TIMEOUT';
+        finish(error);
+      }, this.timeout);
+      
+      if (context.signal) {
+        if (context.signal.aborted) return onAbort();
+        context.signal.addEventListener('abort', onAbort, { once: true });
+      }
+      
+      worker.on('message', (message) => {
+        switch (message.type) {
+          case 'result':
+            finish(null, message.result === undefined ? undefined : JSON.parse(message.result));
+            break;
+          case 'error':
+            finish(new Error(`Sandboxed skill "${this.name}" failed: ${message.message}`));
+            break;
+          case 'callSkill':
+            this._callSkill(worker, message, context);
+            break;
+          case 'log':
+            this._log(message, context);
+            break;
+        }
+      });
+      
+      worker.on('error', (error) => {
+        const reason = error.code === 'ERR_WORKER_OUT_OF_MEMORY'
+          ? `exceeded its ${this.memoryLimitMb}MB memory limit`
+          : `crashed: ${error.message}`;
+        finish(new Error(`Sandboxed skill "${this.name}" ${reason}`));
+      });
+      
+      worker.on('exit', (code) => {
+        finish(new Error(`Sandboxed skill "${this.name}" exited unexpectedly with code ${code}`));
+      });
+    });
+  }
+  
+  async _callSkill(worker, message, context) {
+    const reply = (payload) => {
+      try {
+        worker.postMessage({ type: 'skillResult', id: message.id, ...payload });
+      } catch (error) {
+        // Worker already terminated
+      }
+    };
+    
+    if (!this.capabilities.skills.includes(message.name)) {
+      return reply({ error: `Skill "${message.name}" is not granted to sandboxed skill "${this.name}"` });
+    }
+    if (!this.actionSystem) {
+      return reply({ error: 'No action system available for skill calls' });
+    }
+    
+    try {
+      const result = await this.actionSystem.executeSkill(message.name, JSON.parse(message.parameters), context);
+      reply({ result: result === undefined ? undefined : JSON.stringify(result) });
+    } catch (error) {
+      reply({ error: error.message });
+    }
+  }
+  
+  _log(message, context) {
+    if (!this.actionSystem) return;
+    
+    this.actionSystem.emit('action:sandbox:log', {
+      skill: this.name,
+      actionId: context.actionId,
+      args: JSON.parse(message.args)
+    });
+  }
+  
+  _snapshotContext(context) {
+    // Only plain data crosses into the sandbox
+    return JSON.stringify({
+      executionId: context.executionId,
+      actionId: context.actionId,
+      step: context.step,
+      results: context.results || {},
+      upstream: context.upstream || {}
+    });
+  }
+}
+
+module.exports = SandboxedSkill;
@@ -0,0 +1,160 @@
+// src/action/SkillLoader.js
+const fs = require('fs');
+const path = require('path');
+
+// Discovers skill plugins on disk. Every subdirectory of a configured skill
+// directory that holds a manifest.json is one skill:
+//
+//   skills/weather/manifest.json  { name, version, description, main,
+//                                   parameters, returns, tags, capabilities }
+//   skills/weather/index.js       exports a handler or { handler, compensate, ... }
+//
+// Manifests with a `sandbox` section load `main` as untrusted code instead.
+// The sandbox capability API a plugin asks for must be granted by the host
+// like any other capability: `context` to read the execution context and
+// `skill:<name>` for each skill it may call.
+//
+// A plugin whose name is already taken by a built-in or earlier skill fails
+// to load; ActionSystem's `allowSkillOverrides` lets it replace that skill.
+class SkillLoader {
+  constructor(config = {}) {
+    this.grantedCapabilities = new Set(config.capabilities || []);
+    this.manifestName = config.manifestName || 'manifest.json';
+  }
+  
+  load(directories = []) {
+    const skills = [];
+    const errors = [];
+    
+    for (const directory of directories) {
+      const root = path.resolve(directory);
+      
+      let entries;
+      try {
+        entries = fs.readdirSync(root, { withFileTypes: true });
+      } catch (error) {
+        errors.push({ path: root, name: null, error: `Cannot read skill directory: ${error.message}` });
+        continue;
+      }
+      
+      for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        
+        const skillPath = path.join(root, entry.name);
+        if (!fs.existsSync(path.join(skillPath, this.manifestName))) continue;
+        
+        try {
+          skills.push(this.loadSkill(skillPath));
+        } catch (error) {
+          errors.push({ path: skillPath, name: error.skillName || entry.name, error: error.message });
+        }
+      }
+    }
+    
+    return { skills, errors };
+  }
+  
+  loadSkill(skillPath) {
+    const manifest = this._readManifest(skillPath);
+    const fail = (message) => {
+      const error = new Error(message);
+      error.skillName = manifest.name;
+      return error;
+    };
+    
+    const missing = (manifest.capabilities || []).filter(capability => !this.grantedCapabilities.has(capability));
+    if (missing.length > 0) {
+      throw fail(`Skill "${manifest.name}" requires capabilities that are not granted: ${missing.join(', ')}`);
+    }
+    
+    const mainPath = path.join(skillPath, manifest.main || 'index.js');
+    const descriptor = {
+      description: manifest.description || '',
+      parameters: manifest.parameters || null,
+      returns: manifest.returns || null,
+      tags: manifest.tags || [],
+      version: manifest.version,
+      capabilities: manifest.capabilities || [],
+      sideEffects: !!manifest.sideEffects,
+      requiresApproval: !!manifest.requiresApproval,
+      source: skillPath
+    };
+    
+    if (manifest.timeout !== undefined) descriptor.timeout = manifest.timeout;
+    if (manifest.retry) descriptor.retry = manifest.retry;
+    if (manifest.mockOutput !== undefined) descriptor.mockOutput = manifest.mockOutput;
+    
+    if (manifest.sandbox) {
+      let code;
+      try {
+        code = fs.readFileSync(mainPath, 'utf8');
+      } catch (error) {
+        throw fail(`Cannot read sandboxed code for skill "${manifest.name}": ${error.message}`);
+      }
+      const sandbox = manifest.sandbox === true ? {} : manifest.sandbox;
+      const requested = this._sandboxCapabilities(sandbox.capabilities || {});
+      const ungranted = requested.filter(capability => !this.grantedCapabilities.has(capability));
+      if (ungranted.length > 0) {
+        throw fail(`Sandboxed skill "${manifest.name}" requests capabilities that are not granted: ${ungranted.join(', ')}`);
+      }
+      
+      descriptor.sandbox = {
+        ...sandbox,
+        capabilities: {
+          context: requested.includes('context'),
+          skills: requested.filter(capability => capability.startsWith('skill:')).map(capability => capability.slice('skill:'.length))
+        },
+        code
+      };
+      return { name: manifest.name, path: skillPath, descriptor };
+    }
+    
+    let exported;
+    try {
+      exported = require(mainPath);
+    } catch (error) {
+      throw fail(`Cannot load module for skill "${manifest.name}": ${error.message.split('\n')[0]}`);
+    }
+    
+    if (typeof exported === 'function') {
+      descriptor.handler = exported;
+    } else if (exported && typeof exported.handler === 'function') {
+      Object.assign(descriptor, exported);
+    } else {
+      throw fail(`Skill "${manifest.name}" must export a handler function or an object with a handler`);
+    }
+    
+    return { name: manifest.name, path: skillPath, descriptor };
+  }
+  
+  _sandboxCapabilities(capabilities) {
+    // { context: true, skills: ['search'] } -> ['context', 'skill:search']
+    const names = capabilities.context ? ['context'] : [];
+    if (Array.isArray(capabilities.skills)) {
+      names.push(...capabilities.skills.map(skill => `skill:${skill}`));
+    }
+    return names;
+  }
+  
+  _readManifest(skillPath) {
+    let manifest;
+    try {
+      manifest = JSON.parse(fs.readFileSync(path.join(skillPath, this.manifestName), 'utf8'));
+    } catch (error) {
+      throw new Error(`Invalid skill manifest: ${error.message}`);
+    }
+    
+    if (!manifest || typeof manifest.name !== 'string' || manifest.name === '') {
+      throw new Error('Skill manifest must declare a name');
+    }
+    if (manifest.version !== undefined && typeof manifest.version !== 'string') {
+      const error = new Error(`Skill "${manifest.name}" has an invalid version`);
+      error.skillName = manifest.name;
+      throw error;
+    }
+    
+    return manifest;
+  }
+}
+
+module.exports = SkillLoader;
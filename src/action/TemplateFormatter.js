@@ -0,0 +1,184 @@
+// src/action/TemplateFormatter.js
+// Renders skill results through a set of small templates, one per shape of
+// data: plain strings, scalar values, lists, key/value objects and tables
+// (arrays of objects). Templates are strings with {placeholders} or
+// functions receiving the same values, and can be overridden per format.
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+const escapeMarkdown = (value) => String(value)
+  .replace(/([\\`*_[\]|<>#])/g, '\\$1')
+  .replace(/\r?\n/g, ' ');
+
+const DEFAULT_TEMPLATES = {
+  html: {
+    document: '<div class="cortex-response">{content}</div>',
+    string: '<p>{content}</p>',
+    value: '{content}',
+    list: '<ul>{items}</ul>',
+    listItem: '<li>{content}</li>',
+    object: '<dl>{entries}</dl>',
+    objectEntry: '<dt>{key}</dt><dd>{value}</dd>',
+    table: '<table><thead><tr>{headers}</tr></thead><tbody>{rows}</tbody></table>',
+    tableHeader: '<th>{content}</th>',
+    tableRow: '<tr>{cells}</tr>',
+    tableCell: '<td>{content}</td>'
+  },
+  markdown: {
+    document: '{content}',
+    string: '{content}',
+    value: '{content}',
+    list: '{items}',
+    listItem: '- {content}',
+    object: '{entries}',
+    objectEntry: '- **{key}**: {value}',
+    table: '| {headers} |\n| {divider} |\n{rows}',
+    tableHeader: '{content}',
+    tableRow: '| {cells} |',
+    tableCell: '{content}'
+  },
+  text: {
+    document: '{content}',
+    string: '{content}',
+    value: '{content}',
+    list: '{items}',
+    listItem: '* {content}',
+    object: '{entries}',
+    objectEntry: '{key}: {value}',
+    table: '{count} items:\n{rows}',
+    tableHeader: '{content}',
+    tableRow: '{index}. {cells}',
+    tableCell: '{header}: {content}'
+  }
+};
+
+// How each format joins repeated pieces and escapes data values
+const FORMAT_RULES = {
+  html: { escape: escapeHtml, join: '', cellJoin: '', lineBreak: '<br>' },
+  markdown: { escape: escapeMarkdown, join: '\n', cellJoin: ' | ', lineBreak: '  \n' },
+  text: { escape: (value) => String(value), join: '\n', cellJoin: ', ', lineBreak: '\n' }
+};
+
+class TemplateFormatter {
+  constructor(format, templates = {}) {
+    if (!DEFAULT_TEMPLATES[format]) {
+      throw new Error(`Unknown template format "${format}"`);
+    }
+    
+    this.format = format;
+    this.rules = FORMAT_RULES[format];
+    this.templates = { ...DEFAULT_TEMPLATES[format], ...templates };
+    this.maxDepth = 3;
+  }
+  
+  setTemplate(name, template) {
+    if (typeof template !== 'string' && typeof template !== 'function') {
+      throw new Error(`Template "${name}" must be a string or a function`);
+    }
+    this.templates[name] = template;
+    return this;
+  }
+  
+  render(data) {
+    return this._apply('document', { content: this._renderTopLevel(data) });
+  }
+  
+  _renderTopLevel(data) {
+    // Top-level strings are already prose and keep their own markup, except
+    // in HTML where they are escaped like any other value
+    if (typeof data === 'string') {
+      const content = this.format === 'html'
+        ? escapeHtml(data).replace(/\r?\n/g, this.rules.lineBreak)
+        : data;
+      return this._apply('string', { content });
+    }
+    
+    return this._renderNode(data, 0);
+  }
+  
+  _renderNode(data, depth) {
+    if (data === null || data === undefined || typeof data !== 'object') {
+      return this._apply('value', { content: this.rules.escape(data === undefined ? '' : data) });
+    }
+    
+    if (depth >= this.maxDepth) {
+      return this._apply('value', { content: this.rules.escape(JSON.stringify(data)) });
+    }
+    
+    if (Array.isArray(data)) {
+      return this._isTable(data) ? this._renderTable(data, depth) : this._renderList(data, depth);
+    }
+    
+    return this._renderObject(data, depth);
+  }
+  
+  _renderList(items, depth) {
+    const rendered = items.map(item => this._apply('listItem', { content: this._renderInline(item, depth) }));
+    return this._apply('list', { items: rendered.join(this.rules.join), count: items.length });
+  }
+  
+  _renderObject(object, depth) {
+    const entries = Object.entries(object).map(([key, value]) => this._apply('objectEntry', {
+      key: this.rules.escape(key),
+      value: this._renderInline(value, depth)
+    }));
+    return this._apply('object', { entries: entries.join(this.rules.join) });
+  }
+  
+  _renderTable(rows, depth) {
+    const headers = Array.from(new Set(rows.flatMap(row => Object.keys(row))));
+    const escapedHeaders = headers.map(header => this.rules.escape(header));
+    
+    const renderedRows = rows.map((row, index) => {
+      const cells = headers.map((header, column) => this._apply('tableCell', {
+        header: escapedHeaders[column],
+        content: row[header] === undefined ? '' : this._renderInline(row[header], depth)
+      }));
+      return this._apply('tableRow', { cells: cells.join(this.rules.cellJoin), index: index + 1 });
+    });
+    
+    return this._apply('table', {
+      headers: escapedHeaders.map(header => this._apply('tableHeader', { content: header })).join(this.rules.cellJoin),
+      divider: headers.map(() => '---').join(' | '),
+      rows: renderedRows.join(this.rules.join),
+      count: rows.length
+    });
+  }
+  
+  _renderInline(value, depth) {
+    // Outside of HTML, nested values stay on one line: simple lists are
+    // comma-separated and anything deeper collapses to compact JSON
+    if (value !== null && typeof value === 'object' && this.format !== 'html') {
+      if (Array.isArray(value) && value.every(item => item === null || typeof item !== 'object')) {
+        return value.map(item => this.rules.escape(item)).join(', ');
+      }
+      return this.rules.escape(JSON.stringify(value));
+    }
+    return this._renderNode(value, depth + 1);
+  }
+  
+  _isTable(items) {
+    return items.length > 0 &&
+      items.every(item => item && typeof item === 'object' && !Array.isArray(item));
+  }
+  
+  _apply(name, values) {
+    const template = this.templates[name];
+    if (typeof template === 'function') {
+      return template(values, { escapeHtml, escapeMarkdown });
+    }
+    
+    // Replacement callback keeps "$&" and friends in values literal
+    return template.replace(/\{(\w+)\}/g, (match, key) => (key in values ? String(values[key]) : match));
+  }
+}
+
+TemplateFormatter.escapeHtml = escapeHtml;
+TemplateFormatter.escapeMarkdown = escapeMarkdown;
+
+module.exports = TemplateFormatter;
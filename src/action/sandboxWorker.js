@@ -0,0 +1,91 @@
+// src/action/sandboxWorker.js
+// Runs one sandboxed skill invocation inside a worker thread. The skill code
+// is evaluated in a fresh vm context that has no require, process or timers;
+// its only way out is the capability API built by the bootstrap below.
+const { parentPort, workerData } = require('worker_threads');
+const vm = require('vm');
+
+// Evaluated inside the sandbox so that every object the skill can reach
+// belongs to the sandbox realm. Host functions stay hidden in the closure and
+// only ever exchange JSON strings with the skill.
+const BOOTSTRAP = `(function (host, capabilities, contextJSON) {
+  const cortex = {};
+  
+  if (capabilities.context) {
+    const snapshot = JSON.parse(contextJSON);
+    cortex.getContext = (key) => (key === undefined ? snapshot : snapshot[key]);
+    cortex.getResult = (actionId) => snapshot.results ? snapshot.results[actionId] : undefined;
+  }
+  
+  if (capabilities.skills.length > 0) {
+    cortex.callSkill = (name, parameters = {}) => new Promise((resolve, reject) => {
+      host.callSkill(String(name), JSON.stringify(parameters), (error, resultJSON) => {
+        if (error) {
+          reject(new Error(String(error)));
+        } else {
+          resolve(resultJSON === undefined ? undefined : JSON.parse(resultJSON));
+        }
+      });
+    });
+  }
+  
+  cortex.log = (...args) => host.log(JSON.stringify(args.map(arg => typeof arg === 'string' ? arg : JSON.stringify(arg))));
+  
+  return Object.freeze(cortex);
+})`;
+
+const pendingCalls = new Map();
+let nextCallId = 0;
+
+const host = {
+  callSkill(name, parametersJSON, callback) {
+    const id = ++nextCallId;
+    pendingCalls.set(id, callback);
+    parentPort.postMessage({ type: 'callSkill', id, name, parameters: parametersJSON });
+  },
+  log(argsJSON) {
+    parentPort.postMessage({ type: 'log', args: argsJSON });
+  }
+};
+
+parentPort.on('message', (message) => {
+  if (message.type !== 'skillResult') return;
+  
+  const callback = pendingCalls.get(message.id);
+  if (!callback) return;
+  
+  pendingCalls.delete(message.id);
+  callback(message.error || null, message.result);
+});
+
+async function run() {
+  const { code, parameters, context, capabilities, cpuTimeout } = workerData;
+  // A null-prototype global keeps the host realm's constructors out of reach
+  const sandbox = vm.createContext(Object.create(null), {
+    codeGeneration: { strings: false, wasm: false }
+  });
+  
+  const createCortex = new vm.Script(BOOTSTRAP).runInContext(sandbox);
+  sandbox.__cortex = createCortex(host, capabilities, context);
+  sandbox.__parameters = parameters;
+  
+  // The synchronous part of the skill runs under the vm CPU timeout; the
+  // parent enforces the overall wall-clock limit by terminating this worker
+  const script = new vm.Script(
+    `(async function (parameters, cortex) {\n"use strict";\n${code}\n})(JSON.parse(__parameters), __cortex)`,
+    { filename: 'sandboxed-skill.js' }
+  );
+  const result = await script.runInContext(sandbox, { timeout: cpuTimeout });
+  
+  parentPort.postMessage({
+    type: 'result',
+    result: result === undefined ? undefined : JSON.stringify(result)
+  });
+}
+
+run().catch((error) => {
+  parentPort.postMessage({
+    type: 'error',
+    message: error && error.message ? String(error.message) : String(error)
+  });
+});
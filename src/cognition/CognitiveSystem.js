@@ -1,5 +1,5 @@
 // src/cognition/CognitiveSystem.js
-const { Component } = require('../core/Component');
+const Component = require('../core/Component');
 
 class CognitiveSystem extends Component {
   constructor(config = {}) {
@@ -14,8 +14,7 @@ class CognitiveSystem extends Component {
     if (this.initialized) return;
     super.initialize(config);
     
-    // Import necessary modules
-    const ReasoningModule = require('./reasoning/ReasoningModule');
+    // Import necessary modules (ReasoningModule is defined below)
     const PlanningModule = require('./planning/PlanningModule');
     const LLMService = require('./llm/LLMService');
     
@@ -43,6 +42,39 @@ class CognitiveSystem extends Component {
     });
   }
   
+  setAgent(agent) {
+    super.setAgent(agent);
+    if (typeof this.planningModule.setRuntime === 'function') {
+      this.planningModule.setRuntime(this.runtime);
+    }
+    if (this.llmService) {
+      this._connectLLMService(this.llmService);
+    }
+    
+    // Attribute LLM usage to the cycle being processed
+    this.on('cycle:start', ({ cycleId }) => {
+      if (this.llmService && typeof this.llmService.startCycle === 'function') {
+        this.llmService.startCycle(cycleId);
+      }
+    });
+  }
+  
+  _connectLLMService(service) {
+    // LLM events go out on the agent's bus, and the agent's skills become tools
+    if (typeof service.setEventBus === 'function') {
+      service.setEventBus(this.eventBus);
+    }
+    if (typeof service.setActionSystem === 'function' && this.agent && this.agent.actionSystem) {
+      service.setActionSystem(this.agent.actionSystem);
+    }
+    if (typeof service.setAgentId === 'function') {
+      service.setAgentId(this.agent.id);
+    }
+    if (typeof service.setRuntime === 'function') {
+      service.setRuntime(this.runtime);
+    }
+  }
+  
   setReasoningModule(module) {
     this.reasoningModule = module;
     if (this.llmService) {
@@ -52,6 +84,9 @@ class CognitiveSystem extends Component {
   
   setPlanningModule(module) {
     this.planningModule = module;
+    if (this.agent && typeof module.setRuntime === 'function') {
+      module.setRuntime(this.runtime);
+    }
     if (this.llmService) {
       this.planningModule.setLLMService(this.llmService);
     }
@@ -59,6 +94,9 @@ class CognitiveSystem extends Component {
   
   setLLMService(service) {
     this.llmService = service;
+    if (this.agent) {
+      this._connectLLMService(service);
+    }
     
     if (this.reasoningModule) {
       this.reasoningModule.setLLMService(service);
@@ -69,28 +107,208 @@ class CognitiveSystem extends Component {
     }
   }
   
+  _withinBudget(phase) {
+    // An exhausted budget either fails the cycle or skips LLM enhancement
+    if (typeof this.llmService.checkBudget !== 'function') return true;
+    
+    const status = this.llmService.checkBudget();
+    if (!status) return true;
+    
+    if (status.action === 'block') {
+      const error = new Error(`LLM ${status.budget.scope} budget exceeded; cycle blocked during ${phase}`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.budget = status.budget;
+      error.usage = status.usage;
+      throw error;
+    }
+    
+    this.emit('cognition:llm:degraded', { phase, budget: status.budget, usage: status.usage });
+    return false;
+  }
+  
   async enhanceReasoning(perceivedData, initialAnalysis) {
-    if (!this.llmService) return initialAnalysis;
+    if (!this.llmService || !this._withinBudget('reasoning')) return initialAnalysis;
     
     try {
-      return await this.reasoningModule.enhanceWithLLM(perceivedData, initialAnalysis);
+      const analysis = await this.reasoningModule.enhanceWithLLM(perceivedData, initialAnalysis, this._reasoningContext());
+      
+      // Report prompt sections that had to be cut to fit the model's context
+      const report = analysis.llmContext;
+      if (report && (report.dropped.length > 0 || report.truncated.length > 0 || report.summarized.length > 0)) {
+        this.emit('cognition:llm:context:trimmed', { phase: 'reasoning', ...report });
+      }
+      return analysis;
     } catch (error) {
+      if (error.code === 'CASSETTE_MISS') throw error; // A replay must not quietly diverge
       this.emit('cognition:llm:error', { phase: 'reasoning', error });
       return initialAnalysis;
     }
   }
   
+  _reasoningContext() {
+    // Recent episodes and the skills on offer, for the reasoning prompt
+    const memorySystem = this.agent && this.agent.memorySystem;
+    const actionSystem = this.agent && this.agent.actionSystem;
+    const contextConfig = (this.config.reasoning && this.config.reasoning.context) || {};
+    const memoryCount = contextConfig.memories !== undefined ? contextConfig.memories : 3;
+    
+    return {
+      memories: memorySystem && memoryCount > 0 ? memorySystem.getRecentEpisodes(memoryCount) : [],
+      skills: actionSystem && typeof actionSystem.listSkills === 'function' ? actionSystem.listSkills() : []
+    };
+  }
+  
   async generatePlan(reasoningResults, initialPlan) {
-    if (!this.llmService) return initialPlan;
+    if (!this.llmService || !this._withinBudget('planning')) return initialPlan;
     
     try {
       return await this.planningModule.enhanceWithLLM(reasoningResults, initialPlan);
     } catch (error) {
+      if (error.code === 'CASSETTE_MISS') throw error;
       this.emit('cognition:llm:error', { phase: 'planning', error });
       return initialPlan;
     }
   }
   
+  async runReAct(perceivedData, analysis) {
+    // Think, act and observe until the LLM gives a final answer or a limit is hit
+    const config = this.config.react || {};
+    const maxIterations = config.maxIterations || 5;
+    const observationTokens = config.observationTokens || 500;
+    const actionSystem = this.agent && this.agent.actionSystem;
+    const input = this.reasoningModule.extractText(perceivedData);
+    const skills = this._reactSkills(config.skills);
+    
+    const steps = [];
+    const result = { steps, finalAnswer: null, iterations: 0, stopReason: 'maxIterations' };
+    const skillContext = { channel: perceivedData.channel || null, results: {}, analysis };
+    this.emit('cognition:react:start', { input, maxIterations, skills: skills.map(skill => skill.name) });
+    
+    for (let iteration = 1; iteration <= maxIterations; iteration++) {
+      if (!this._withinBudget('react')) {
+        result.stopReason = 'budget';
+        break;
+      }
+      
+      let reply;
+      try {
+        reply = await this.llmService.reactStep(
+          input,
+          this._describeReActSkills(skills),
+          this._describeReActSteps(steps, observationTokens)
+        );
+      } catch (error) {
+        if (error.code === 'CASSETTE_MISS') throw error;
+        this.emit('cognition:llm:error', { phase: 'react', error });
+        result.stopReason = 'error';
+        break;
+      }
+      result.iterations = iteration;
+      this._recordReActStep(steps, { type: 'thought', iteration, content: reply.thought });
+      
+      if (reply.finalAnswer) {
+        result.finalAnswer = reply.finalAnswer;
+        result.stopReason = 'answer';
+        break;
+      }
+      if (!reply.action) {
+        result.stopReason = 'noAction';
+        break;
+      }
+      
+      const { skill, parameters = {} } = reply.action;
+      this._recordReActStep(steps, { type: 'action', iteration, skill, parameters });
+      
+      // Failures are observations too, so the LLM can try something else
+      const observation = { type: 'observation', iteration, skill };
+      try {
+        if (!actionSystem || !skills.some(candidate => candidate.name === skill)) {
+          throw new Error(`Skill "${skill}" is not available`);
+        }
+        observation.result = await actionSystem.executeSkill(skill, parameters, skillContext);
+        skillContext.results[`react-${iteration}`] = observation.result;
+      } catch (error) {
+        observation.error = error.message;
+      }
+      this._recordReActStep(steps, observation);
+    }
+    
+    this.emit('cognition:react:complete', result);
+    return result;
+  }
+  
+  _reactSkills(names) {
+    // Approval-gated skills only run in reviewed plans, and replying is the final answer's job
+    const actionSystem = this.agent && this.agent.actionSystem;
+    if (!actionSystem || typeof actionSystem.listSkills !== 'function') return [];
+    
+    return actionSystem.listSkills()
+      .filter(skill => !skill.requiresApproval && skill.name !== 'respond')
+      .filter(skill => !names || names.includes(skill.name));
+  }
+  
+  _recordReActStep(steps, step) {
+    steps.push(step);
+    this.emit(`cognition:react:${step.type}`, step);
+  }
+  
+  _describeReActSkills(skills) {
+    if (skills.length === 0) return '(none)';
+    
+    return skills.map(skill => {
+      const parameters = Object.keys((skill.parameters && skill.parameters.properties) || {});
+      return `- ${skill.name}(${parameters.join(', ')})${skill.description ? `: ${skill.description}` : ''}`;
+    }).join('\n');
+  }
+  
+  _describeReActSteps(steps, observationTokens) {
+    if (steps.length === 0) return '(none yet)';
+    
+    return steps.map(step => {
+      if (step.type === 'thought') return `Thought: ${step.content}`;
+      if (step.type === 'action') return `Action: ${step.skill} ${JSON.stringify(step.parameters)}`;
+      
+      // Long observations are cut so later iterations still fit the context
+      let text = step.error !== undefined
+        ? `Error: ${step.error}`
+        : (typeof step.result === 'string' ? step.result : JSON.stringify(step.result === undefined ? null : step.result));
+      if (this.llmService.tokenEstimator) {
+        text = this.llmService.tokenEstimator.truncate(text, observationTokens);
+      }
+      return `Observation: ${text}`;
+    }).join('\n');
+  }
+  
+  _answerPlan(answer) {
+    // The ReAct loop already did the work; the plan only delivers its answer
+    return {
+      goals: [],
+      actionSequence: [{
+        id: 'react-answer',
+        type: 'respond',
+        parameters: { message: answer },
+        order: 0,
+        dependsOn: [],
+        description: 'Reply with the answer from the ReAct loop'
+      }],
+      predictedOutcomes: []
+    };
+  }
+  
+  _promptVersions() {
+    // Which version of each prompt template this cycle used, for comparing outcomes
+    if (!this.llmService || typeof this.llmService.getPromptSelections !== 'function') return [];
+    return this.llmService.getPromptSelections();
+  }
+  
+  _syncAvailableSkills() {
+    // Let planning see which skills the action system can actually run
+    const actionSystem = this.agent && this.agent.actionSystem;
+    if (actionSystem && typeof actionSystem.listSkills === 'function') {
+      this.planningModule.setAvailableSkills(actionSystem.listSkills());
+    }
+  }
+  
   async process(perceivedData) {
     this.emit('cognition:process:start', { perceivedData });
     
@@ -99,22 +317,38 @@ class CognitiveSystem extends Component {
       const initialAnalysis = this.reasoningModule.analyze(perceivedData);
       this.emit('cognition:reasoning:initial', { analysis: initialAnalysis });
       
-      // 2. Enhance reasoning with LLM if available
-      const enhancedAnalysis = await this.enhanceReasoning(perceivedData, initialAnalysis);
+      // 2. Enhance reasoning with LLM if available. In ReAct mode the LLM
+      // instead works towards an answer, running skills as it goes
+      let enhancedAnalysis;
+      let react = null;
+      if (this.llmService && this.config.react && this.config.react.enabled) {
+        react = await this.runReAct(perceivedData, initialAnalysis);
+        enhancedAnalysis = { ...initialAnalysis, react };
+      } else {
+        enhancedAnalysis = await this.enhanceReasoning(perceivedData, initialAnalysis);
+      }
       this.emit('cognition:reasoning:complete', { analysis: enhancedAnalysis });
       
-      // 3. Planning phase
-      const initialPlan = this.planningModule.createPlan(enhancedAnalysis);
-      this.emit('cognition:planning:initial', { plan: initialPlan });
-      
-      // 4. Enhance planning with LLM if available
-      const enhancedPlan = await this.generatePlan(enhancedAnalysis, initialPlan);
+      // 3. Planning phase; a ReAct answer only needs delivering
+      this._syncAvailableSkills();
+      let enhancedPlan;
+      if (react && react.finalAnswer !== null) {
+        enhancedPlan = this._answerPlan(react.finalAnswer);
+      } else {
+        const initialPlan = this.planningModule.createPlan(enhancedAnalysis);
+        this.emit('cognition:planning:initial', { plan: initialPlan });
+        
+        // 4. Enhance planning with LLM if available
+        enhancedPlan = await this.generatePlan(enhancedAnalysis, initialPlan);
+      }
       this.emit('cognition:planning:complete', { plan: enhancedPlan });
       
       // 5. Return the final cognitive result
       const result = {
         analysis: enhancedAnalysis,
-        plan: enhancedPlan
+        plan: enhancedPlan,
+        promptVersions: this._promptVersions(),
+        ...(react ? { react } : {})
       };
       
       this.emit('cognition:process:complete', result);
@@ -127,6 +361,15 @@ class CognitiveSystem extends Component {
 }
 
 // src/cognition/reasoning/ReasoningModule.js
+// How reasoning prompt sections give way when they do not fit: the input is
+// kept longest, the analysis and memories are cut, the skill list goes first
+const DEFAULT_CONTEXT_SECTIONS = {
+  input: { priority: 100, minTokens: 200, required: true },
+  analysis: { priority: 60, minTokens: 50 },
+  memories: { priority: 40 },
+  skills: { priority: 20, strategy: 'drop' }
+};
+
 class ReasoningModule {
   constructor(config = {}) {
     this.config = config;
@@ -149,38 +392,114 @@ class ReasoningModule {
     return { patterns, classification, inferences };
   }
   
-  async enhanceWithLLM(perceivedData, initialAnalysis) {
+  async enhanceWithLLM(perceivedData, initialAnalysis, extras = {}) {
     if (!this.llmService) return initialAnalysis;
     
     try {
-      // Extract the main text content for the LLM
-      let contextText = '';
-      if (perceivedData.perceptions) {
-        const textPerceptions = perceivedData.perceptions.filter(p => p.type === 'text');
-        if (textPerceptions.length > 0) {
-          contextText = textPerceptions.map(p => p.value).join("\n\n");
-        } else {
-          contextText = JSON.stringify(perceivedData);
-        }
-      } else {
-        contextText = JSON.stringify(perceivedData);
-      }
+      const contextText = this.extractText(perceivedData);
+      
+      // Fit the input, analysis, memories and skills into the model's context
+      const { context, question, report } = await this._buildContext(contextText, initialAnalysis, extras);
       
-      // Use LLM to enhance reasoning
-      const enhancedAnalysis = await this.llmService.reason(
-        contextText,
-        `Analyze this data with respect to: ${JSON.stringify(initialAnalysis)}`
-      );
+      // Use LLM to enhance reasoning; images go along as content blocks
+      const images = this._imageParts(perceivedData);
+      const enhancedAnalysis = await this.llmService.reason(context, question, images.length > 0 ? { images } : {});
       
       return {
         ...initialAnalysis,
-        llmAnalysis: enhancedAnalysis
+        llmAnalysis: enhancedAnalysis,
+        ...(report ? { llmContext: report } : {})
       };
     } catch (error) {
+      if (error.code === 'CASSETTE_MISS') throw error;
       console.error('LLM reasoning enhancement failed:', error);
       return initialAnalysis; // Fallback to traditional analysis
     }
   }
+  
+  extractText(perceivedData) {
+    // The main text content, for LLM prompts
+    if (!perceivedData.perceptions) {
+      return JSON.stringify(perceivedData);
+    }
+    
+    const textPerceptions = perceivedData.perceptions.filter(p => p.type === 'text');
+    if (textPerceptions.length > 0) {
+      return textPerceptions.map(p => p.value).join("\n\n");
+    }
+    return JSON.stringify(this._withoutImageData(perceivedData));
+  }
+  
+  _imageParts(perceivedData) {
+    return (perceivedData.perceptions || [])
+      .filter(p => p.type === 'image')
+      .map(p => ({
+        type: 'image',
+        mimeType: p.metadata.mimeType,
+        data: p.value,
+        width: p.metadata.width,
+        height: p.metadata.height,
+        size: p.metadata.size
+      }));
+  }
+  
+  _withoutImageData(perceivedData) {
+    // Base64 image data (and the raw input it came from) would swamp the prompt
+    const hasImages = perceivedData.perceptions.some(p => p.type === 'image');
+    if (!hasImages) return perceivedData;
+    
+    const { raw, ...rest } = perceivedData;
+    return {
+      ...rest,
+      perceptions: perceivedData.perceptions.map(p => (p.type === 'image' ? { type: 'image', metadata: p.metadata } : p))
+    };
+  }
+  
+  async _buildContext(inputText, initialAnalysis, extras) {
+    const memories = (extras.memories || []).map(episode => this._describeEpisode(episode)).filter(Boolean);
+    const skills = (extras.skills || []).map(skill => `- ${skill.name}${skill.description ? `: ${skill.description}` : ''}`);
+    
+    // Services without context management get everything, as before
+    if (typeof this.llmService.createContextBuilder !== 'function') {
+      return {
+        context: this._joinContext(inputText, memories.join('\n'), skills.join('\n')),
+        question: `Analyze this data with respect to: ${JSON.stringify(initialAnalysis)}`,
+        report: null
+      };
+    }
+    
+    const sectionConfig = (this.config.context && this.config.context.sections) || {};
+    const builder = this.llmService.createContextBuilder('reasoning', this.config.context || {});
+    for (const [name, content] of [['input', inputText], ['analysis', JSON.stringify(initialAnalysis)], ['memories', memories], ['skills', skills]]) {
+      builder.add(name, content, { ...DEFAULT_CONTEXT_SECTIONS[name], ...sectionConfig[name] });
+    }
+    
+    const built = await builder.build();
+    const { input = '', analysis = '', memories: memoryText, skills: skillText } = built.sections;
+    return {
+      context: this._joinContext(input, memoryText, skillText),
+      question: `Analyze this data with respect to: ${analysis}`,
+      report: { tokens: built.tokens, maxTokens: built.maxTokens, dropped: built.dropped, truncated: built.truncated, summarized: built.summarized }
+    };
+  }
+  
+  _joinContext(input, memories, skills) {
+    return [
+      input,
+      memories ? `Recent interactions:\n${memories}` : null,
+      skills ? `Available skills:\n${skills}` : null
+    ].filter(Boolean).join('\n\n');
+  }
+  
+  _describeEpisode(episode) {
+    const perceptions = (episode.perceivedData && episode.perceivedData.perceptions) || [];
+    const input = perceptions.filter(p => p.type === 'text').map(p => p.value).join(' ');
+    if (!input) return null;
+    
+    const analysis = episode.cognitiveResult && episode.cognitiveResult.analysis;
+    const summary = analysis && analysis.llmAnalysis && analysis.llmAnalysis.summary;
+    return summary ? `- ${input} (${summary})` : `- ${input}`;
+  }
 }
 
 // Pattern Matcher - Simple implementation for identifying patterns in data
@@ -354,4 +673,6 @@ class InferenceEngine {
     
     return inferences;
   }
-}
\ No newline at end of file
+}
+
+module.exports = CognitiveSystem;
@@ -0,0 +1,50 @@
+// src/cognition/llm/CircuitBreaker.js
+// Tracks the health of one provider. After `failureThreshold` consecutive
+// failures the circuit opens and requests skip the provider; once
+// `resetTimeout` has passed it half-opens and the next request decides
+// whether it closes again or reopens.
+const Runtime = require('../../core/Runtime');
+
+class CircuitBreaker {
+  constructor(config = {}) {
+    this.runtime = config.runtime || Runtime.default;
+    this.failureThreshold = config.failureThreshold || 3;
+    this.resetTimeout = config.resetTimeout || 30000;
+    this.state = 'closed';
+    this.failures = 0;
+    this.openedAt = 0;
+  }
+
+  canRequest() {
+    if (this.state === 'open' && this.runtime.now() - this.openedAt >= this.resetTimeout) {
+      this.state = 'half-open';
+    }
+    return this.state !== 'open';
+  }
+
+  recordSuccess() {
+    // Returns true when this success closed an open circuit
+    const recovered = this.state !== 'closed';
+    this.state = 'closed';
+    this.failures = 0;
+    return recovered;
+  }
+
+  recordFailure() {
+    // Returns true when this failure opened the circuit
+    this.failures++;
+    if (this.state === 'half-open' || (this.state === 'closed' && this.failures >= this.failureThreshold)) {
+      this.state = 'open';
+      this.openedAt = this.runtime.now();
+      return true;
+    }
+    return false;
+  }
+
+  getStatus() {
+    this.canRequest(); // Refresh an expired open state
+    return { state: this.state, failures: this.failures, openedAt: this.openedAt || null };
+  }
+}
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,127 @@
+// src/cognition/llm/ContextBuilder.js
+// Fits named prompt sections into a token budget. Sections are shrunk from
+// the lowest priority up until the total fits:
+//
+//   builder.add('input', text, { priority: 100, minTokens: 200 })
+//          .add('memories', episodeLines, { priority: 30 })       // array: drops items from the end
+//          .add('skills', skillLines, { priority: 20, strategy: 'drop' });
+//   const { sections, tokens, dropped, truncated } = await builder.build();
+//
+// Strategies are 'truncate' (the default: cut text, or drop trailing items
+// of an array), 'summarize' (ask the summarizer for a shorter version, then
+// truncate if that is still too long) and 'drop'. Sections shrink no further
+// than `minTokens`; below that they are dropped unless `required`.
+const TokenEstimator = require('./TokenEstimator');
+
+class ContextBuilder {
+  constructor(config = {}) {
+    this.estimator = config.estimator || new TokenEstimator();
+    this.maxTokens = config.maxTokens || 4096;
+    this.summarize = config.summarize || null; // async (text, maxTokens) => shorter text
+    this.sections = [];
+  }
+
+  add(name, content, options = {}) {
+    if (this.sections.some(section => section.name === name)) {
+      throw new Error(`Context section "${name}" was already added`);
+    }
+    if (content === null || content === undefined || (Array.isArray(content) && content.length === 0)) {
+      return this;
+    }
+
+    const strategy = options.strategy || 'truncate';
+    if (!['truncate', 'summarize', 'drop'].includes(strategy)) {
+      throw new Error(`Invalid context strategy "${strategy}"; expected truncate, summarize or drop`);
+    }
+
+    this.sections.push({
+      name,
+      items: Array.isArray(content) ? content.map(item => this._toText(item)) : null,
+      text: Array.isArray(content) ? null : this._toText(content),
+      priority: options.priority || 0,
+      minTokens: options.minTokens || 0,
+      required: !!options.required,
+      strategy,
+      order: this.sections.length
+    });
+    return this;
+  }
+
+  async build(maxTokens = this.maxTokens) {
+    const sections = this.sections.map(section => {
+      const text = section.items ? section.items.join('\n') : section.text;
+      return { ...section, text, originalTokens: this.estimator.estimate(text), tokens: this.estimator.estimate(text) };
+    });
+    const report = { dropped: [], truncated: [], summarized: [] };
+    const total = () => sections.reduce((sum, section) => sum + (section.dropped ? 0 : section.tokens), 0);
+
+    // Least important first; among equals, the section added last gives way
+    const shrinkOrder = [...sections].sort((a, b) => a.priority - b.priority || b.order - a.order);
+
+    for (const section of shrinkOrder) {
+      const overflow = total() - maxTokens;
+      if (overflow <= 0) break;
+
+      const target = section.tokens - overflow;
+      if (section.strategy !== 'drop' && (target >= section.minTokens || section.required)) {
+        await this._shrink(section, Math.max(target, 0), report);
+      } else {
+        this._drop(section, report);
+      }
+    }
+
+    const kept = sections.filter(section => !section.dropped).sort((a, b) => a.order - b.order);
+    return {
+      sections: Object.fromEntries(kept.map(section => [section.name, section.text])),
+      tokens: total(),
+      maxTokens,
+      fits: total() <= maxTokens,
+      ...report
+    };
+  }
+
+  async _shrink(section, target, report) {
+    if (section.strategy === 'summarize' && this.summarize) {
+      try {
+        const summary = this._toText(await this.summarize(section.text, target));
+        const tokens = this.estimator.estimate(summary);
+        report.summarized.push({ name: section.name, from: section.tokens, to: tokens });
+        section.text = summary;
+        section.tokens = tokens;
+        if (tokens <= target) return;
+      } catch (error) {
+        // Fall back to plain truncation
+      }
+    }
+
+    const from = section.tokens;
+    if (section.items && section.text === section.items.join('\n')) {
+      // Lists lose whole items from the end rather than half an item
+      const items = [...section.items];
+      while (items.length > 0 && this.estimator.estimate(items.join('\n')) > target) {
+        items.pop();
+      }
+      section.text = items.join('\n');
+      if (items.length === 0) {
+        this._drop(section, report);
+        return;
+      }
+    } else {
+      section.text = this.estimator.truncate(section.text, target);
+    }
+
+    section.tokens = this.estimator.estimate(section.text);
+    report.truncated.push({ name: section.name, from, to: section.tokens });
+  }
+
+  _drop(section, report) {
+    section.dropped = true;
+    report.dropped.push({ name: section.name, tokens: section.originalTokens });
+  }
+
+  _toText(value) {
+    return typeof value === 'string' ? value : JSON.stringify(value);
+  }
+}
+
+module.exports = ContextBuilder;
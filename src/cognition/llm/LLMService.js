@@ -1,10 +1,78 @@
 // src/cognition/llm/LLMService.js
+const crypto = require('crypto');
+const TokenStream = require('./TokenStream');
+const Runtime = require('../../core/Runtime');
+const ProviderChain = require('./ProviderChain');
+const UsageTracker = require('./UsageTracker');
+const ResponseCache = require('./cache/ResponseCache');
+const TokenEstimator = require('./TokenEstimator');
+const ContextBuilder = require('./ContextBuilder');
+const HashEmbedder = require('./embeddings/HashEmbedder');
+const MemoryCacheBackend = require('./cache/MemoryCacheBackend');
+const Cassette = require('./cassette/Cassette');
+const CassetteProvider = require('./cassette/CassetteProvider');
+const { ResponseParseError } = require('./ResponseParser');
+
+// Shape ReasoningModule and GoalManager expect from reason()
+const REASONING_SCHEMA = {
+  type: 'object',
+  required: ['summary'],
+  properties: {
+    summary: { type: 'string' },
+    intent: { type: 'string' },
+    goals: {
+      type: 'array',
+      default: [],
+      items: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { type: 'string' },
+          description: { type: 'string' },
+          priority: { type: 'string', enum: ['high', 'medium', 'low'] },
+          confidence: { type: 'number', minimum: 0, maximum: 1 }
+        }
+      }
+    }
+  }
+};
+
+// One step of the ReAct loop: a thought, then either an action or the answer
+const REACT_SCHEMA = {
+  type: 'object',
+  required: ['thought'],
+  properties: {
+    thought: { type: 'string' },
+    action: {
+      type: 'object',
+      required: ['skill'],
+      properties: {
+        skill: { type: 'string' },
+        parameters: { type: 'object', default: {} }
+      }
+    },
+    finalAnswer: { type: 'string' }
+  }
+};
+
 class LLMService {
     constructor(config = {}) {
       this.config = config;
-      this.provider = null;
+      this.provider = null; // Primary provider, first in the chain
+      this.providerChain = null;
       this.promptManager = null;
       this.responseParser = null;
+      this.eventBus = null;
+      this.actionSystem = null;
+      this.agentId = null;
+      this.usageTracker = null;
+      this.responseCache = null;
+      this.tokenEstimator = null;
+      this.embeddingProvider = null; // { name, provider }, chosen on first use
+      this.embeddingCache = null;
+      this.cassette = null; // Records or replays provider traffic
+      this.runtime = config.runtime || Runtime.default; // Clock and random source, the agent's once connected
+      this.promptSelections = []; // Template versions used in the current cycle
       this.initialize(config);
     }
     
@@ -14,22 +82,93 @@ class LLMService {
       const ResponseParser = require('./ResponseParser');
       
       // Create prompt manager and response parser
-      this.promptManager = new PromptManager(config.prompts || {});
+      this.promptManager = new PromptManager({ ...(config.prompts || {}), runtime: this.runtime });
       this.responseParser = new ResponseParser(config.parsing || {});
+      this.usageTracker = new UsageTracker({ ...(config.usage || {}), runtime: this.runtime });
+      this.tokenEstimator = new TokenEstimator(config.context || {});
+      
+      // Response caching is opt-in
+      if (config.cache && config.cache.enabled !== false) {
+        this.responseCache = new ResponseCache({ ...config.cache, runtime: this.runtime });
+      }
+      
+      // Embeddings are cached by provider, model and text
+      const embeddingConfig = config.embeddings || {};
+      this.embeddingCache = new MemoryCacheBackend({ maxEntries: embeddingConfig.cacheSize || 1000 });
+      
+      // Requests go through a chain that retries and fails over between providers
+      this.providerChain = this._createChain([]);
+      
+      if (config.provider) {
+        // A ready-made provider instance wins over the configured type
+        this.providerChain.add(config.providerName || 'custom', config.provider);
+      } else if (config.providerChain) {
+        this._initializeProviderChain(config.providerChain, config);
+      } else {
+        const providerType = config.providerType || 'openai';
+        this._initializeProvider(providerType, config);
+      }
+      
+      if (config.cassette && config.cassette.mode && config.cassette.mode !== 'off') {
+        this.cassette = new Cassette(config.cassette);
+        this._applyCassette();
+      }
+      
+      this.provider = this.providerChain.primary;
+    }
+    
+    _applyCassette() {
+      // Recording wraps every provider in the chain. Replay answers from the
+      // cassette alone, so only the primary is kept: there is nothing to fail
+      // over to, and a miss surfaces as itself
+      const entries = this.cassette.mode === 'replay'
+        ? this.providerChain.entries.slice(0, 1)
+        : this.providerChain.entries;
+      
+      this.providerChain = this._createChain(
+        entries.map(({ name, provider }) => ({ name, provider: this._withCassette(provider, name) }))
+      );
+    }
+    
+    _createChain(entries) {
+      return new ProviderChain(entries, this.config, (eventName, data) => this._emit(eventName, data))
+        .setRuntime(this.runtime);
+    }
+    
+    _withCassette(provider, name) {
+      if (!this.cassette || provider instanceof CassetteProvider) return provider;
+      return new CassetteProvider(provider, this.cassette, name);
+    }
+    
+    getCassetteStats() {
+      return this.cassette ? this.cassette.getStats() : null;
+    }
+    
+    _initializeProviderChain(chain, config) {
+      // Entries are provider types, configured under config[type] as usual,
+      // or { name, provider } for ready-made instances; the order is the rank
+      for (const entry of chain) {
+        if (typeof entry !== 'string') {
+          this.providerChain.add(entry.name, entry.provider);
+          continue;
+        }
+        
+        try {
+          this.providerChain.add(entry, this._createProvider(entry, config));
+          console.log(`Initialized LLM provider: ${entry}`);
+        } catch (error) {
+          console.error(`Failed to initialize LLM provider ${entry}, leaving it out of the chain:`, error);
+        }
+      }
       
-      // Create the appropriate provider based on config
-      const providerType = config.providerType || 'openai';
-      this._initializeProvider(providerType, config);
+      if (this.providerChain.entries.length === 0) {
+        throw new Error('Cannot initialize any LLM provider in the provider chain');
+      }
     }
     
     _initializeProvider(providerType, config) {
       try {
-        // Dynamic import of provider
-        const providerPath = `./providers/${providerType.charAt(0).toUpperCase() + providerType.slice(1)}Provider`;
-        const ProviderClass = require(providerPath);
-        
-        // Create provider instance
-        this.provider = new ProviderClass(config[providerType] || {});
+        this.providerChain.add(providerType, this._createProvider(providerType, config));
         console.log(`Initialized LLM provider: ${providerType}`);
       } catch (error) {
         console.error(`Failed to initialize LLM provider ${providerType}:`, error);
@@ -43,29 +182,753 @@ class LLMService {
       }
     }
     
+    _createProvider(providerType, config) {
+      const ProviderClass = LLMService.providers[providerType] || this._loadProviderModule(providerType);
+      return new ProviderClass(config[providerType] || {});
+    }
+    
+    _loadProviderModule(providerType) {
+      // Unregistered types are looked up by file name, e.g. "gemini" -> GeminiProvider.js
+      const providerPath = `./providers/${providerType.charAt(0).toUpperCase() + providerType.slice(1)}Provider`;
+      return require(providerPath);
+    }
+    
+    static registerProvider(type, ProviderClass) {
+      if (typeof ProviderClass !== 'function') {
+        throw new Error(`Provider "${type}" must be a class or constructor function`);
+      }
+      LLMService.providers[type] = ProviderClass;
+    }
+    
+    setProvider(provider, name = 'custom') {
+      // Replaces the whole chain with a single provider
+      this.providerChain = this._createChain([{ name, provider }]);
+      if (this.cassette) {
+        this._applyCassette();
+      }
+      this.provider = this.providerChain.primary;
+      this.embeddingProvider = null;
+      return this;
+    }
+    
+    getProviderStatus() {
+      return this.providerChain.getStatus();
+    }
+    
+    setAgentId(agentId) {
+      this.agentId = agentId;
+      return this;
+    }
+    
+    setRuntime(runtime) {
+      // Latencies, usage timestamps, cache expiry, circuit breakers and
+      // experiment picks follow the agent's clock and random source
+      this.runtime = runtime;
+      this.usageTracker.runtime = runtime;
+      if (this.responseCache) {
+        this.responseCache.runtime = runtime;
+      }
+      this.promptManager.library.runtime = runtime;
+      this.providerChain.setRuntime(runtime);
+      return this;
+    }
+    
+    startCycle(cycleId) {
+      // Usage recorded from now on belongs to this cycle
+      this.usageTracker.startCycle(cycleId);
+      this.promptSelections = [];
+      return this;
+    }
+    
+    getPromptSelections() {
+      return this.promptSelections.map(selection => ({ ...selection }));
+    }
+    
+    _prepareTemplate(promptName, variables, options) {
+      // Picks the template version (experiments split per cycle, so every
+      // request of one cycle sees the same variant), records the choice and
+      // builds the messages. The template's parse format and model hints sit
+      // underneath the caller's options
+      const cycleId = this.usageTracker.currentCycle;
+      const selection = this.promptManager.resolveTemplate(promptName, {
+        ...options,
+        experimentKey: options.experimentKey !== undefined ? options.experimentKey : cycleId
+      });
+      const messages = this.promptManager.createMessages(promptName, variables, {
+        ...options,
+        version: selection.version || undefined
+      });
+      
+      // Images ({ type: 'image', mimeType, data, width, height }) join the user prompt
+      if (options.images && options.images.length > 0) {
+        const last = messages[messages.length - 1];
+        messages[messages.length - 1] = {
+          ...last,
+          content: [{ type: 'text', text: last.content }, ...options.images.map(image => ({ ...image, type: 'image' }))]
+        };
+      }
+      
+      const record = {
+        template: promptName,
+        version: selection.version,
+        selection: selection.selection,
+        experiment: selection.experiment || null,
+        agentId: this.agentId,
+        cycleId
+      };
+      this.promptSelections.push(record);
+      if (this.promptSelections.length > 100) {
+        this.promptSelections.shift();
+      }
+      this._emit('cognition:llm:prompt', record);
+      
+      return {
+        messages,
+        options: {
+          ...selection.model,
+          template: promptName,
+          ...options,
+          templateVersion: selection.version,
+          templateVariables: variables,
+          parseFormat: options.parseFormat || selection.parseFormat || 'text'
+        }
+      };
+    }
+    
+    getUsage() {
+      return this.usageTracker.getUsage();
+    }
+    
+    getContextLimit(provider = this.provider) {
+      // Context window of the provider's model; config.context.limits overrides the built-in table
+      return this.tokenEstimator.getContextLimit(provider && provider.model);
+    }
+    
+    getContextBudget(promptName, options = {}) {
+      // Tokens left for variable content once the template's own text (with
+      // the JSON instructions for a schema) and the reply are accounted for
+      const contextConfig = this.config.context || {};
+      const defaults = (this.provider && this.provider.defaultOptions) || {};
+      const replyTokens = options.max_tokens || defaults.max_tokens || 1000;
+      const reserve = contextConfig.reserveTokens !== undefined ? contextConfig.reserveTokens : 100;
+      
+      let overhead = 0;
+      if (promptName) {
+        const messages = this.promptManager.createMessages(promptName, {}, { strict: false, version: options.version });
+        overhead = this.tokenEstimator.estimateMessages(messages);
+        
+        const schema = options.schema !== undefined ? options.schema : LLMService.schemas[promptName];
+        if (schema) {
+          overhead += this.tokenEstimator.estimate(
+            this.promptManager.createPrompt('structuredOutput', { prompt: '', schema: JSON.stringify(schema, null, 2) })
+          );
+        }
+      }
+      
+      return Math.max(this.getContextLimit() - replyTokens - reserve - overhead, 0);
+    }
+    
+    createContextBuilder(promptName, options = {}) {
+      // Sections marked 'summarize' are shortened with the summarization template
+      return new ContextBuilder({
+        estimator: this.tokenEstimator,
+        maxTokens: options.maxTokens || this.getContextBudget(promptName, options),
+        summarize: (text) => this.summarize(text)
+      });
+    }
+    
+    _checkContext(messages, options, provider = this.provider) {
+      // Warn before sending a request the model cannot take in whole
+      const tokens = this.tokenEstimator.estimateMessages(messages);
+      const model = options.model || (provider && provider.model);
+      const limit = this.tokenEstimator.getContextLimit(model);
+      if (tokens <= limit) return;
+      
+      console.warn(`LLM request for "${options.template || 'chat'}" is ~${tokens} tokens; the model takes ${limit}`);
+      this._emit('cognition:llm:context:overflow', {
+        template: options.template || null,
+        model,
+        tokens,
+        limit
+      });
+    }
+    
+    checkBudget() {
+      // Returns null while every budget has room, otherwise the exhausted
+      // budget that decides what happens (block wins over degrade)
+      const exceeded = this.usageTracker.checkBudgets();
+      if (exceeded.length === 0) return null;
+      
+      for (const item of exceeded) {
+        if (item.isNew) {
+          this._emit('cognition:llm:budget:exceeded', {
+            agentId: this.agentId,
+            scope: item.budget.scope,
+            window: item.window,
+            action: item.budget.action,
+            budget: item.budget,
+            usage: item.usage
+          });
+        }
+      }
+      
+      const decisive = exceeded.find(item => item.budget.action === 'block') || exceeded[0];
+      return { action: decisive.budget.action, budget: decisive.budget, usage: decisive.usage, exceeded };
+    }
+    
+    _enforceBudget() {
+      const status = this.checkBudget();
+      if (!status) return;
+      
+      const error = new Error(`LLM ${status.budget.scope} budget exceeded`);
+      error.code = 'BUDGET_EXCEEDED';
+      error.action = status.action;
+      error.budget = status.budget;
+      error.usage = status.usage;
+      throw error;
+    }
+    
+    _recordUsage(providerName, provider, template, response, startTime, messages, templateVersion = null) {
+      // Providers that report no usage get an estimate
+      const usage = response.usage;
+      
+      const record = this.usageTracker.record({
+        provider: providerName,
+        model: response.model || provider.model || null,
+        template,
+        templateVersion,
+        agentId: this.agentId,
+        inputTokens: usage ? usage.inputTokens : this.tokenEstimator.estimateMessages(messages),
+        outputTokens: usage ? usage.outputTokens : this.tokenEstimator.estimate(response.text || ''),
+        estimated: !usage,
+        latency: this.runtime.now() - startTime
+      });
+      
+      this._emit('cognition:llm:usage', record);
+      return record;
+    }
+    
     async query(promptName, variables, options = {}) {
       if (!this.provider) {
         throw new Error('No LLM provider initialized');
       }
       
       try {
-        // Create prompt from template
-        const promptText = this.promptManager.createPrompt(promptName, variables);
+        // Create system and user messages from the template, after any prior turns
+        const { messages, options: requestOptions } = this._prepareTemplate(promptName, variables, options);
         
-        // Send to LLM provider
-        const rawResponse = await this.provider.complete(promptText, options);
+        if (options.schema) {
+          return await this._queryStructured(messages, requestOptions);
+        }
+        
+        // Send to LLM provider, unless an identical request is cached
+        const rawResponse = await this._cachedComplete(messages, requestOptions);
         
         // Parse response
-        const parseFormat = options.parseFormat || 'text';
-        return this.responseParser.parse(rawResponse, parseFormat);
+        return this.responseParser.parse(rawResponse, requestOptions.parseFormat);
       } catch (error) {
         console.error(`LLM query failed for prompt "${promptName}":`, error);
         throw error;
       }
     }
     
-    async reason(context, question) {
-      return this.query('reasoning', { context, question }, { parseFormat: 'json' });
+    async chat(messages, options = {}) {
+      // Messages are { role, content } with role system, user, assistant or
+      // tool; assistant turns may carry toolCalls and tool turns a toolCallId
+      if (!this.provider) {
+        throw new Error('No LLM provider initialized');
+      }
+      try {
+        const rawResponse = await this._complete(messages, options);
+        return this.responseParser.parse(rawResponse, options.parseFormat || 'text');
+      } catch (error) {
+        console.error('LLM chat failed:', error);
+        throw error;
+      }
+    }
+    
+    async _queryStructured(messages, options) {
+      // Ask for JSON matching options.schema; when the answer does not
+      // validate, show the model its errors and ask again (maxRepairs times)
+      const { schema, template } = options;
+      const parsingConfig = this.config.parsing || {};
+      const maxRepairs = options.maxRepairs !== undefined ? options.maxRepairs
+        : (parsingConfig.maxRepairs !== undefined ? parsingConfig.maxRepairs : 2);
+      const schemaText = JSON.stringify(schema, null, 2);
+      
+      const last = messages[messages.length - 1];
+      const withInstructions = (text) => this.promptManager.createPrompt('structuredOutput', { prompt: text, schema: schemaText });
+      let conversation = [
+        ...messages.slice(0, -1),
+        {
+          ...last,
+          // With images attached, the prompt text is the first part
+          content: Array.isArray(last.content)
+            ? last.content.map((part, index) => (index === 0 ? { ...part, text: withInstructions(part.text) } : part))
+            : withInstructions(last.content)
+        }
+      ];
+      let lastError = null;
+      
+      for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+        // Only the original request is cached, and only once its answer validates
+        const raw = attempt === 0
+          ? await this._cachedComplete(conversation, options, text => this._matchesSchema(text, schema))
+          : await this._complete(conversation, options);
+        
+        try {
+          return this.responseParser.parse(raw, 'json', { schema });
+        } catch (error) {
+          if (!(error instanceof ResponseParseError)) throw error;
+          lastError = error;
+        }
+        
+        if (attempt < maxRepairs) {
+          this._emit('cognition:llm:repair', { template, attempt: attempt + 1, errors: lastError.errors });
+          conversation = [
+            ...conversation,
+            { role: 'assistant', content: raw },
+            { role: 'user', content: this.promptManager.createPrompt('repair', {
+              errors: lastError.errors.map(error => `- ${error}`).join('\n'),
+              schema: schemaText
+            }) }
+          ];
+        }
+      }
+      
+      throw new ResponseParseError(
+        `Response for "${template}" did not match the schema after ${maxRepairs + 1} attempts: ${lastError.errors.join('; ')}`,
+        { errors: lastError.errors, raw: lastError.raw, attempts: maxRepairs + 1 }
+      );
+    }
+    
+    _matchesSchema(text, schema) {
+      try {
+        this.responseParser.parse(text, 'json', { schema });
+        return true;
+      } catch (error) {
+        return false;
+      }
+    }
+    
+    async _cachedComplete(messages, options, accept = () => true) {
+      if (!this.responseCache) {
+        return this._complete(messages, options);
+      }
+      
+      const template = options.template;
+      const sampling = { ...(this.provider.defaultOptions || {}), ...options };
+      if (!this.responseCache.shouldCache(template, sampling, options)) {
+        this.responseCache.recordBypass();
+        return this._complete(messages, options);
+      }
+      
+      // Keyed on the requested or primary provider's model; a failover answer is cached under it too
+      const key = this.responseCache.createKey({ messages, model: options.model || this.provider.model, sampling });
+      const cached = await this.responseCache.get(key);
+      if (cached !== null) {
+        this._emit('cognition:llm:cache:hit', { template, key });
+        return cached;
+      }
+      
+      this._emit('cognition:llm:cache:miss', { template, key });
+      const response = await this._complete(messages, options);
+      if (accept(response)) {
+        await this.responseCache.set(key, response, template);
+      }
+      return response;
+    }
+    
+    async embed(texts, options = {}) {
+      // A string gives one vector, an array of strings an array of vectors
+      const single = typeof texts === 'string';
+      const inputs = single ? [texts] : texts;
+      if (!Array.isArray(inputs) || inputs.some(text => typeof text !== 'string')) {
+        throw new Error('embed() expects a string or an array of strings');
+      }
+      
+      const { name, provider } = this._embeddingProvider();
+      const batchSize = (this.config.embeddings && this.config.embeddings.batchSize) || 64;
+      const model = provider.embeddingModel || provider.model;
+      const keyFor = (text) => crypto.createHash('sha256').update(`${name}\n${model}\n${text}`).digest('hex');
+      
+      // Look up cached vectors; each distinct uncached text is sent once
+      const vectors = new Array(inputs.length);
+      const pending = new Map(); // text -> indexes waiting for it
+      for (let index = 0; index < inputs.length; index++) {
+        const cached = await this.embeddingCache.get(keyFor(inputs[index]));
+        if (cached) {
+          vectors[index] = cached;
+        } else {
+          if (!pending.has(inputs[index])) pending.set(inputs[index], []);
+          pending.get(inputs[index]).push(index);
+        }
+      }
+      
+      const uncached = Array.from(pending.keys());
+      for (let start = 0; start < uncached.length; start += batchSize) {
+        const batch = uncached.slice(start, start + batchSize);
+        this._enforceBudget();
+        
+        const startTime = this.runtime.now();
+        const result = await provider.embed(batch, { signal: options.signal });
+        if (result.usage) {
+          this._recordUsage(name, provider, 'embedding', { usage: result.usage, model: result.model, text: '' }, startTime, []);
+        }
+        
+        for (let offset = 0; offset < batch.length; offset++) {
+          const vector = result.embeddings[offset];
+          await this.embeddingCache.set(keyFor(batch[offset]), vector);
+          pending.get(batch[offset]).forEach(index => { vectors[index] = vector; });
+        }
+      }
+      
+      this._emit('cognition:llm:embed', {
+        provider: name,
+        model,
+        count: inputs.length,
+        cached: inputs.length - Array.from(pending.values()).reduce((sum, indexes) => sum + indexes.length, 0),
+        requests: Math.ceil(uncached.length / batchSize)
+      });
+      return single ? vectors[0] : vectors;
+    }
+    
+    _embeddingProvider() {
+      // config.embeddings.provider (a type, 'hash' or an instance) wins; then
+      // the first chained provider that can embed; then hashed n-grams.
+      // Vectors from different models are not comparable, so a failing
+      // provider is not silently swapped for another
+      if (this.embeddingProvider) return this.embeddingProvider;
+      
+      const embeddingConfig = this.config.embeddings || {};
+      const configured = embeddingConfig.provider;
+      if (configured === 'hash' || configured === undefined) {
+        const entry = configured ? null : this.providerChain.entries.find(candidate => typeof candidate.provider.embed === 'function');
+        this.embeddingProvider = entry
+          ? { name: entry.name, provider: entry.provider }
+          : { name: 'hash', provider: new HashEmbedder(embeddingConfig) };
+      } else if (typeof configured === 'string') {
+        const provider = this._createProvider(configured, this.config);
+        this.embeddingProvider = { name: configured, provider: this._withCassette(provider, configured) };
+      } else {
+        const name = embeddingConfig.providerName || 'custom';
+        this.embeddingProvider = { name, provider: this._withCassette(configured, name) };
+      }
+      
+      if (typeof this.embeddingProvider.provider.embed !== 'function') {
+        const name = this.embeddingProvider.name;
+        this.embeddingProvider = null;
+        throw new Error(`LLM provider "${name}" does not support embeddings`);
+      }
+      return this.embeddingProvider;
+    }
+    
+    async getCacheStats() {
+      return this.responseCache ? this.responseCache.getStats() : null;
+    }
+    
+    async clearCache() {
+      if (this.responseCache) {
+        await this.responseCache.clear();
+      }
+      await this.embeddingCache.clear();
+    }
+    
+    async _complete(messages, options) {
+      this._validateMessages(messages);
+      this._enforceBudget();
+      this._checkContext(messages, options);
+      
+      const { result } = await this.providerChain.run(async (provider, providerName) => {
+        const startTime = this.runtime.now();
+        let response;
+        
+        if (typeof provider.chat === 'function') {
+          response = await provider.chat(this._adaptContent(messages, provider, providerName), options);
+        } else {
+          // Providers without chat support get the conversation as one prompt
+          response = { text: await provider.complete(this._flattenMessages(this._adaptContent(messages, provider, providerName)), options) };
+        }
+        
+        this._recordUsage(providerName, provider, options.template || null, response, startTime, messages, options.templateVersion);
+        return response.text;
+      }, { signal: options.signal });
+      
+      return result;
+    }
+    
+    _adaptContent(messages, provider, providerName) {
+      // Image parts go to providers that can view them; others get a text
+      // description in their place and the message becomes a plain string
+      if (!messages.some(message => Array.isArray(message.content))) return messages;
+      if (typeof provider.supportsImages === 'function' && provider.supportsImages()) return messages;
+      
+      let images = 0;
+      const adapted = messages.map(message => {
+        if (!Array.isArray(message.content)) return message;
+        
+        const text = message.content.map(part => {
+          if (part.type !== 'image') return part.text;
+          images++;
+          return this._describeImage(part);
+        });
+        return { ...message, content: text.join('\n\n') };
+      });
+      
+      this._emit('cognition:llm:image:fallback', { provider: providerName, model: provider.model, images });
+      return adapted;
+    }
+    
+    _describeImage(image) {
+      const details = [image.mimeType];
+      if (image.width && image.height) details.push(`${image.width}x${image.height}`);
+      if (image.size) details.push(`${Math.ceil(image.size / 1024)} KB`);
+      const description = image.description ? ` ${image.description}` : '';
+      return `[Image (${details.filter(Boolean).join(', ')}) omitted: this model cannot view images.${description}]`;
+    }
+    
+    _flattenMessages(messages) {
+      if (messages.length === 1 && messages[0].role === 'user') {
+        return messages[0].content;
+      }
+      return messages.map(message => `${message.role}: ${message.content}`).join('\n\n');
+    }
+    
+    _validateMessages(messages) {
+      const roles = ['system', 'user', 'assistant', 'tool'];
+      
+      if (!Array.isArray(messages) || messages.length === 0) {
+        throw new Error('Messages must be a non-empty array');
+      }
+      for (const message of messages) {
+        if (!message || !roles.includes(message.role)) {
+          throw new Error(`Invalid message role "${message && message.role}"; expected one of ${roles.join(', ')}`);
+        }
+        if (message.role === 'tool' && !message.toolCallId) {
+          throw new Error('Tool messages require a toolCallId');
+        }
+      }
+    }
+    
+    queryStream(promptName, variables, options = {}) {
+      if (!this.provider) {
+        throw new Error('No LLM provider initialized');
+      }
+      if (!this._anyProviderSupports('chatStream')) {
+        throw new Error('The configured LLM provider does not support streaming');
+      }
+      
+      this._enforceBudget();
+      const { messages, options: requestOptions } = this._prepareTemplate(promptName, variables, options);
+      this._checkContext(messages, requestOptions);
+      
+      return new TokenStream(async (push, signal) => {
+        let text = '';
+        let final = null;
+        let index = 0;
+        let provider = null;
+        
+        const streamFrom = async (candidate, candidateName) => {
+          if (typeof candidate.chatStream !== 'function') {
+            throw new Error('Provider does not support streaming');
+          }
+          
+          const startTime = this.runtime.now();
+          try {
+            const adapted = this._adaptContent(messages, candidate, candidateName);
+            for await (const chunk of candidate.chatStream(adapted, { ...requestOptions, signal })) {
+              if (chunk.type === 'token') {
+                text += chunk.text;
+                push(chunk.text);
+                this._emit('cognition:llm:token', { promptName, token: chunk.text, index: index++ });
+              } else if (chunk.type === 'done') {
+                final = chunk;
+              }
+            }
+          } finally {
+            // Cancelled and failed streams still cost whatever was generated
+            if (final || index > 0) {
+              this._recordUsage(candidateName, candidate, promptName, { ...final, text }, startTime, messages, requestOptions.templateVersion);
+            }
+          }
+        };
+        
+        try {
+          // Once tokens have gone out, switching providers would garble the text
+          ({ provider } = await this.providerChain.run(streamFrom, { signal, canRecover: () => index === 0 }));
+        } catch (error) {
+          if (!signal.aborted) {
+            console.error(`LLM stream failed for prompt "${promptName}":`, error);
+            this._emit('cognition:llm:stream:error', { promptName, error });
+            throw error;
+          }
+        }
+        
+        // A cancelled stream resolves with whatever text arrived; it is not parsed
+        const cancelled = signal.aborted;
+        const result = {
+          output: cancelled ? null : this.responseParser.parse(text, requestOptions.parseFormat),
+          text,
+          usage: final ? final.usage : null,
+          stopReason: cancelled ? 'cancelled' : (final ? final.stopReason : null),
+          provider,
+          cancelled
+        };
+        
+        this._emit('cognition:llm:stream:complete', {
+          promptName,
+          tokens: index,
+          usage: result.usage,
+          stopReason: result.stopReason,
+          cancelled
+        });
+        
+        return result;
+      }, options.signal);
+    }
+    
+    setEventBus(eventBus) {
+      this.eventBus = eventBus;
+      return this;
+    }
+    
+    setActionSystem(actionSystem) {
+      // Skills of this action system are offered to the model as tools
+      this.actionSystem = actionSystem;
+      return this;
+    }
+    
+    _emit(eventName, data) {
+      if (this.eventBus) {
+        this.eventBus.emit(eventName, data);
+      }
+    }
+    
+    getTools(filter = {}, provider = this.provider) {
+      return this._formatTools(this._toolSkills(filter, this.actionSystem), provider);
+    }
+    
+    _toolSkills(filter, actionSystem) {
+      if (!actionSystem) return [];
+      
+      // Approval-gated skills only run inside reviewed plans, never as tools
+      let skills = actionSystem.listSkills().filter(skill => !skill.requiresApproval);
+      if (filter.skills) {
+        skills = skills.filter(skill => filter.skills.includes(skill.name));
+      }
+      return skills;
+    }
+    
+    _formatTools(skills, provider) {
+      return typeof provider.formatTools === 'function' ? provider.formatTools(skills) : [];
+    }
+    
+    _anyProviderSupports(method) {
+      return this.providerChain.entries.some(entry => typeof entry.provider[method] === 'function');
+    }
+    
+    async queryWithTools(promptName, variables, options = {}) {
+      if (!this.provider) {
+        throw new Error('No LLM provider initialized');
+      }
+      if (!this._anyProviderSupports('chat')) {
+        throw new Error('The configured LLM provider does not support tool calling');
+      }
+      
+      const actionSystem = options.actionSystem || this.actionSystem;
+      if (!actionSystem) {
+        throw new Error('Tool calling requires an action system');
+      }
+      
+      const toolConfig = this.config.tools || {};
+      const maxIterations = options.maxIterations || toolConfig.maxIterations || 5;
+      const context = options.context || {};
+      
+      // The model may only call the skills it was offered in this request
+      const offeredSkills = this._toolSkills({ skills: options.skills || toolConfig.skills }, actionSystem);
+      const offeredNames = new Set(offeredSkills.map(skill => skill.name));
+      
+      const { messages, options: requestOptions } = this._prepareTemplate(promptName, variables, options);
+      const toolCalls = [];
+      
+      // Let the model call skills until it answers without requesting any
+      for (let iteration = 1; iteration <= maxIterations; iteration++) {
+        this._enforceBudget();
+        this._checkContext(messages, requestOptions);
+        
+        // Tools are formatted for whichever provider ends up answering
+        const { result: response } = await this.providerChain.run(async (provider, providerName) => {
+          if (typeof provider.chat !== 'function') {
+            throw new Error('Provider does not support tool calling');
+          }
+          
+          const startTime = this.runtime.now();
+          const reply = await provider.chat(this._adaptContent(messages, provider, providerName), {
+            ...requestOptions,
+            tools: this._formatTools(offeredSkills, provider)
+          });
+          this._recordUsage(providerName, provider, promptName, reply, startTime, messages, requestOptions.templateVersion);
+          return reply;
+        }, { signal: options.signal });
+        
+        if (response.toolCalls.length === 0) {
+          return {
+            output: this.responseParser.parse(response.text, requestOptions.parseFormat),
+            text: response.text,
+            toolCalls,
+            iterations: iteration,
+            messages
+          };
+        }
+        
+        messages.push({ role: 'assistant', content: response.text, toolCalls: response.toolCalls });
+        
+        for (const call of response.toolCalls) {
+          messages.push(await this._runToolCall(call, actionSystem, context, iteration, toolCalls, offeredNames));
+        }
+      }
+      
+      this._emit('cognition:llm:tool:limit', { promptName, maxIterations, toolCalls });
+      const error = new Error(`Tool calling did not finish within ${maxIterations} iterations`);
+      error.code = 'TOOL_LIMIT_EXCEEDED';
+      error.toolCalls = toolCalls;
+      throw error;
+    }
+    
+    async _runToolCall(call, actionSystem, context, iteration, toolCalls, offeredNames) {
+      this._emit('cognition:llm:tool:call', { id: call.id, name: call.name, arguments: call.arguments, iteration });
+      
+      let content;
+      let isError = false;
+      
+      try {
+        if (!offeredNames.has(call.name)) {
+          const error = new Error(`Skill "${call.name}" was not offered as a tool`);
+          error.code = 'TOOL_NOT_OFFERED';
+          throw error;
+        }
+        
+        const result = await actionSystem.executeSkill(call.name, call.arguments, context);
+        content = typeof result === 'string' ? result : JSON.stringify(result === undefined ? null : result);
+        toolCalls.push({ ...call, iteration, result });
+        this._emit('cognition:llm:tool:result', { id: call.id, name: call.name, result, iteration });
+      } catch (error) {
+        // Failures go back to the model so it can correct itself
+        content = JSON.stringify({ error: error.message });
+        isError = true;
+        toolCalls.push({ ...call, iteration, error: error.message });
+        this._emit('cognition:llm:tool:error', { id: call.id, name: call.name, error, iteration });
+      }
+      
+      return { role: 'tool', toolCallId: call.id, name: call.name, content, isError };
+    }
+    
+    async reason(context, question, options = {}) {
+      return this.query('reasoning', { context, question }, { parseFormat: 'json', schema: REASONING_SCHEMA, ...options });
+    }
+    
+    async reactStep(input, skills, steps, options = {}) {
+      return this.query('react', { input, skills, steps }, { parseFormat: 'json', schema: REACT_SCHEMA, ...options });
     }
     
     async plan(goal, constraints, resources) {
@@ -86,5 +949,17 @@ class LLMService {
   }
   
 
+LLMService.schemas = {
+  reasoning: REASONING_SCHEMA,
+  react: REACT_SCHEMA
+};
+
+LLMService.providers = {
+  openai: require('./providers/OpenAIProvider'),
+  anthropic: require('./providers/AnthropicProvider'),
+  local: require('./providers/LocalProvider'),
+  mock: require('./providers/MockProvider')
+};
+
 module.exports = LLMService;
 
@@ -0,0 +1,210 @@
+// src/cognition/llm/PromptLibrary.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const Runtime = require('../../core/Runtime');
+
+// Versioned prompt templates loaded from disk. Every *.json file in a library
+// directory (or one level of subdirectories) is one version of a template:
+//
+//   prompts/reasoning/v2.json
+//   { "name": "reasoning", "version": "2.0.0", "description": "...",
+//     "parseFormat": "json", "model": { "temperature": 0.2 },
+//     "system": "...", "user": "..." }            // or "template": "..."
+//
+// `model` holds request options such as temperature and max_tokens; a
+// `model.model` name replaces the provider's configured model for that
+// template, on whichever provider in the chain answers.
+//
+// Without an explicit version or experiment, a template resolves to its
+// pinned version (`versions: { reasoning: '1.0.0' }`) or the highest one.
+// Experiments split traffic between versions by weight:
+//
+//   experiments: { reasoning: { '1.0.0': 80, '2.0.0': 20 } }
+class PromptLibrary {
+  constructor(config = {}) {
+    this.runtime = config.runtime || Runtime.default; // Random source for unkeyed experiment picks
+    this.templates = new Map(); // name -> Map(version -> entry)
+    this.pinned = { ...(config.versions || {}) };
+    this.experiments = {};
+    this.loadErrors = [];
+
+    for (const [name, weights] of Object.entries(config.experiments || {})) {
+      this.setExperiment(name, weights);
+    }
+  }
+
+  loadDirectories(directories = []) {
+    const loaded = [];
+    const errors = [];
+
+    for (const directory of directories) {
+      const root = path.resolve(directory);
+      let files;
+      try {
+        files = this._listFiles(root);
+      } catch (error) {
+        errors.push({ path: root, error: `Cannot read prompt directory: ${error.message}` });
+        continue;
+      }
+
+      for (const file of files) {
+        try {
+          loaded.push(this.add({ ...JSON.parse(fs.readFileSync(file, 'utf8')), source: file }));
+        } catch (error) {
+          errors.push({ path: file, error: error.message });
+        }
+      }
+    }
+
+    this.loadErrors.push(...errors);
+    return { loaded, errors };
+  }
+
+  add(definition) {
+    const { name, version } = definition;
+    if (typeof name !== 'string' || name === '') {
+      throw new Error('Prompt template must declare a name');
+    }
+    if (typeof version !== 'string' || version === '') {
+      throw new Error(`Prompt template "${name}" must declare a version string`);
+    }
+
+    const template = definition.template !== undefined
+      ? definition.template
+      : (definition.system !== undefined ? { system: definition.system, user: definition.user } : definition.user);
+    if (typeof template !== 'string' && (!template || typeof template.user !== 'string')) {
+      throw new Error(`Prompt template "${name}@${version}" needs a template string or a user part`);
+    }
+
+    const entry = {
+      name,
+      version,
+      description: definition.description || '',
+      parseFormat: definition.parseFormat || null,
+      model: definition.model || {},
+      template,
+      source: definition.source || null
+    };
+
+    if (!this.templates.has(name)) {
+      this.templates.set(name, new Map());
+    }
+    this.templates.get(name).set(version, entry);
+    return entry;
+  }
+
+  has(name) {
+    return this.templates.has(name);
+  }
+
+  getNames() {
+    return Array.from(this.templates.keys());
+  }
+
+  getVersions(name) {
+    const versions = this.templates.get(name);
+    return versions ? Array.from(versions.values()).sort((a, b) => compareVersions(a.version, b.version)) : [];
+  }
+
+  pin(name, version) {
+    this.pinned[name] = version;
+    return this;
+  }
+
+  setExperiment(name, weights) {
+    const total = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+    if (!(total > 0)) {
+      throw new Error(`Experiment for "${name}" needs positive weights`);
+    }
+    this.experiments[name] = { ...weights };
+    return this;
+  }
+
+  removeExperiment(name) {
+    delete this.experiments[name];
+    return this;
+  }
+
+  resolve(name, options = {}) {
+    // Returns the entry to use plus how it was chosen, or null
+    const versions = this.templates.get(name);
+    if (!versions) return null;
+
+    if (options.version) {
+      const entry = versions.get(options.version);
+      if (!entry) {
+        throw new Error(`Prompt template "${name}" has no version "${options.version}"`);
+      }
+      return { ...entry, selection: 'explicit' };
+    }
+
+    const experiment = options.ignoreExperiments ? null : this.experiments[name];
+    if (experiment) {
+      const version = this._pickVariant(name, experiment, options.experimentKey);
+      if (versions.has(version)) {
+        return { ...versions.get(version), selection: 'experiment', experiment: name };
+      }
+    }
+
+    if (this.pinned[name] && versions.has(this.pinned[name])) {
+      return { ...versions.get(this.pinned[name]), selection: 'pinned' };
+    }
+
+    const latest = this.getVersions(name).pop();
+    return { ...latest, selection: 'latest' };
+  }
+
+  _pickVariant(name, weights, experimentKey) {
+    // The same key (e.g. a cycle id) always lands on the same variant
+    const entries = Object.entries(weights);
+    const total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+    const point = (experimentKey !== undefined && experimentKey !== null
+      ? this._hashToUnit(`${name}:${experimentKey}`)
+      : this.runtime.random()) * total;
+
+    let cumulative = 0;
+    for (const [version, weight] of entries) {
+      cumulative += weight;
+      if (point < cumulative) return version;
+    }
+    return entries[entries.length - 1][0];
+  }
+
+  _hashToUnit(text) {
+    const hash = crypto.createHash('sha256').update(String(text)).digest();
+    return hash.readUInt32BE(0) / 0x100000000;
+  }
+
+  _listFiles(root) {
+    const files = [];
+    for (const entry of fs.readdirSync(root, { withFileTypes: true })) {
+      const fullPath = path.join(root, entry.name);
+      if (entry.isFile() && entry.name.endsWith('.json')) {
+        files.push(fullPath);
+      } else if (entry.isDirectory()) {
+        for (const nested of fs.readdirSync(fullPath, { withFileTypes: true })) {
+          if (nested.isFile() && nested.name.endsWith('.json')) {
+            files.push(path.join(fullPath, nested.name));
+          }
+        }
+      }
+    }
+    return files.sort();
+  }
+}
+
+function compareVersions(a, b) {
+  const left = a.replace(/^v/, '').split('.');
+  const right = b.replace(/^v/, '').split('.');
+
+  for (let index = 0; index < Math.max(left.length, right.length); index++) {
+    const x = left[index] || '0';
+    const y = right[index] || '0';
+    const difference = /^\d+$/.test(x) && /^\d+$/.test(y) ? Number(x) - Number(y) : x.localeCompare(y);
+    if (difference !== 0) return difference;
+  }
+  return 0;
+}
+
+module.exports = PromptLibrary;
@@ -1,45 +1,189 @@
   // src/cognition/llm/PromptManager.js
+  const TemplateEngine = require('./TemplateEngine');
+  const PromptLibrary = require('./PromptLibrary');
+  
   class PromptManager {
     constructor(config = {}) {
       this.templates = config.templates || {};
+      this.systemPrompt = config.systemPrompt || null; // For templates without their own system part
+      
+      // {{ }} templates with conditionals, loops, filters and partials; other
+      // templates (including the defaults below) use the legacy {variable} form
+      this.engine = new TemplateEngine({
+        strict: config.strict,
+        partials: config.partials,
+        filters: config.filters,
+        resolveInclude: (name) => this.getTemplate(name)
+      });
       this.defaultTemplates = {
         reasoning: "Given the context: {context}\n\nAnswer the following question: {question}",
+        react: "Work towards an answer to the input one step at a time. Give your thought, then either an action (one of the available skills, with its parameters) or the final answer once you have it.\n\nInput: {input}\n\nAvailable skills:\n{skills}\n\nSteps so far:\n{steps}",
         planning: "Goal: {goal}\nConstraints: {constraints}\nAvailable resources: {resources}\n\nCreate a step-by-step plan.",
         evaluation: "Plan: {plan}\n\nEvaluate this plan against the criteria: {criteria}",
         summarization: "Text: {text}\n\nProvide a concise summary of the above text.",
-        generation: "Create {type} content based on the following description: {description}"
+        generation: "Create {type} content based on the following description: {description}",
+        structuredOutput: "{prompt}\n\nRespond with only JSON that matches this JSON schema:\n{schema}",
+        repair: "Your previous response could not be used:\n{errors}\n\nReply again with only JSON that matches this JSON schema:\n{schema}"
+      };
+      
+      // Versioned templates loaded from library directories (see PromptLibrary)
+      this.library = new PromptLibrary({ versions: config.versions, experiments: config.experiments, runtime: config.runtime });
+      for (const directory of config.directories || []) {
+        this.loadLibrary(directory);
+      }
+    }
+    
+    loadLibrary(directory) {
+      const result = this.library.loadDirectories([directory]);
+      for (const { path, error } of result.errors) {
+        console.warn(`Failed to load prompt template from ${path}: ${error}`);
+      }
+      return result;
+    }
+    
+    resolveTemplate(templateName, options = {}) {
+      // Picks the template a request will use and reports which version it is.
+      // Library templates answer explicit versions and experiments; otherwise
+      // an inline template from config wins over the library's pinned or
+      // latest version, and the defaults come last
+      const inline = this.templates[templateName];
+      const fromLibrary = this.library.has(templateName) &&
+        (options.version || this.library.experiments[templateName] || inline === undefined);
+      
+      if (fromLibrary) {
+        return this.library.resolve(templateName, options);
+      }
+      if (options.version) {
+        throw new Error(`Template '${templateName}' has no version '${options.version}'`);
+      }
+      
+      const template = this._requireTemplate(templateName);
+      return {
+        name: templateName,
+        version: null,
+        description: '',
+        parseFormat: null,
+        model: {},
+        template,
+        source: null,
+        selection: inline !== undefined ? 'inline' : 'default'
       };
     }
     
-    createPrompt(templateName, variables) {
-      const template = this.templates[templateName] || this.defaultTemplates[templateName];
+    getTemplateVersions(templateName) {
+      return this.library.getVersions(templateName);
+    }
+    
+    setExperiment(templateName, weights) {
+      this.library.setExperiment(templateName, weights);
+      return this;
+    }
+    
+    createPrompt(templateName, variables, options = {}) {
+      const { template } = this.resolveTemplate(templateName, options);
+      if (typeof template === 'string') {
+        return this.fillTemplate(template, variables, options);
+      }
+      
+      // Single-string callers get the system part as a preamble
+      return [template.system, template.user]
+        .filter(Boolean)
+        .map(part => this.fillTemplate(part, variables, options))
+        .join('\n\n');
+    }
+    
+    createMessages(templateName, variables = {}, options = {}) {
+      // Templates are either a user prompt string or { system, user }
+      const { template } = this.resolveTemplate(templateName, options);
+      const parts = typeof template === 'string' ? { user: template } : template;
+      
+      let system = this.systemPrompt;
+      if (parts.system !== undefined) system = parts.system;
+      if (options.system !== undefined) system = options.system;
+      
+      const messages = [];
+      if (system) {
+        messages.push({ role: 'system', content: this.fillTemplate(system, variables, options) });
+      }
+      messages.push(...(options.history || []));
+      messages.push({ role: 'user', content: this.fillTemplate(parts.user, variables, options) });
+      
+      return messages;
+    }
+    
+    _requireTemplate(templateName) {
+      const template = this.getTemplate(templateName);
       if (!template) {
         throw new Error(`Template '${templateName}' not found`);
       }
-      
-      return this.fillTemplate(template, variables);
+      return template;
+    }
+    
+    fillTemplate(template, variables = {}, options = {}) {
+      return this.engine.render(template, variables, { strict: options.strict });
     }
     
-    fillTemplate(template, variables) {
-      let result = template;
-      for (const [key, value] of Object.entries(variables)) {
-        result = result.replace(new RegExp(`\\{${key}\\}`, 'g'), value);
+    validateTemplate(nameOrTemplate, variables) {
+      // Accepts a template name or template text; { system, user } templates
+      // report the union of both parts
+      const template = typeof nameOrTemplate === 'string' && this.getTemplate(nameOrTemplate) !== undefined
+        ? this.getTemplate(nameOrTemplate)
+        : nameOrTemplate;
+      
+      if (typeof template === 'string') {
+        return this.engine.validate(template, variables);
       }
-      return result;
+      if (!template || typeof template.user !== 'string') {
+        return { valid: false, variables: [], partials: [], errors: ['Template must be a string or an object with a user part'] };
+      }
+      
+      const reports = [template.system, template.user]
+        .filter(part => typeof part === 'string')
+        .map(part => this.engine.validate(part, variables));
+      const unique = (lists) => Array.from(new Set(lists.flat()));
+      const report = {
+        valid: reports.every(part => part.valid),
+        variables: unique(reports.map(part => part.variables)),
+        partials: unique(reports.map(part => part.partials)),
+        errors: unique(reports.map(part => part.errors))
+      };
+      if (variables) {
+        report.missing = unique(reports.map(part => part.missing));
+      }
+      return report;
+    }
+    
+    registerPartial(name, template) {
+      this.engine.registerPartial(name, template);
+      return this;
+    }
+    
+    registerFilter(name, filter) {
+      this.engine.registerFilter(name, filter);
+      return this;
     }
     
     addTemplate(name, template) {
+      if (typeof template !== 'string' && (!template || typeof template.user !== 'string')) {
+        throw new Error(`Template '${name}' must be a string or an object with a user part`);
+      }
       this.templates[name] = template;
       return this;
     }
     
     getTemplate(name) {
-      return this.templates[name] || this.defaultTemplates[name];
+      // Experiments are left out: partials and validation see the pinned or latest version
+      if (this.templates[name] !== undefined) return this.templates[name];
+      if (this.library.has(name)) {
+        return this.library.resolve(name, { ignoreExperiments: true }).template;
+      }
+      return this.defaultTemplates[name];
     }
     
     getAllTemplateNames() {
       const names = new Set([
         ...Object.keys(this.defaultTemplates),
+        ...this.library.getNames(),
         ...Object.keys(this.templates)
       ]);
       return Array.from(names);
@@ -0,0 +1,173 @@
+// src/cognition/llm/ProviderChain.js
+const CircuitBreaker = require('./CircuitBreaker');
+const Runtime = require('../../core/Runtime');
+
+// Ranked list of providers used by LLMService. Each request goes to the
+// first healthy provider; retryable failures (429, 408, 5xx, network errors)
+// are retried with backoff, honoring Retry-After, and anything else - or
+// running out of retries - fails over to the next provider in the chain.
+class ProviderChain {
+  constructor(entries = [], config = {}, emit = () => {}) {
+    this.retryPolicy = {
+      attempts: 2, // Retries per provider, after the first try
+      initialDelay: 500,
+      factor: 2,
+      maxDelay: 10000,
+      maxRetryAfter: 60000, // Longer Retry-After waits fail over instead
+      ...(config.retry || {})
+    };
+    this.breakerConfig = config.circuitBreaker || {};
+    this.runtime = Runtime.default; // Clock for the circuit breakers
+    this.emit = emit;
+    this.entries = [];
+
+    entries.forEach(entry => this.add(entry.name, entry.provider));
+  }
+
+  add(name, provider) {
+    this.entries.push({ name, provider, breaker: new CircuitBreaker({ ...this.breakerConfig, runtime: this.runtime }) });
+    return this;
+  }
+
+  setRuntime(runtime) {
+    this.runtime = runtime;
+    this.entries.forEach(entry => { entry.breaker.runtime = runtime; });
+    return this;
+  }
+
+  get primary() {
+    return this.entries.length > 0 ? this.entries[0].provider : null;
+  }
+
+  getStatus() {
+    return this.entries.map(entry => ({ name: entry.name, ...entry.breaker.getStatus() }));
+  }
+
+  async run(operation, options = {}) {
+    // options.canRecover(error) returning false stops retries and failover,
+    // e.g. once a stream has already delivered tokens
+    const failures = [];
+
+    for (let index = 0; index < this.entries.length; index++) {
+      const entry = this.entries[index];
+
+      if (!entry.breaker.canRequest()) {
+        this.emit('cognition:llm:provider:skipped', { provider: entry.name, reason: 'circuit-open' });
+        continue;
+      }
+
+      try {
+        const result = await this._attempt(entry, operation, options);
+        if (failures.length > 0) {
+          this.emit('cognition:llm:failover:success', {
+            provider: entry.name,
+            failed: failures.map(failure => failure.provider)
+          });
+        }
+        return { result, provider: entry.name };
+      } catch (error) {
+        if (this._isAborted(options) || (options.canRecover && !options.canRecover(error))) {
+          throw error;
+        }
+
+        failures.push({ provider: entry.name, error });
+        const next = this.entries.slice(index + 1).find(candidate => candidate.breaker.canRequest());
+        if (next) {
+          this.emit('cognition:llm:failover', { from: entry.name, to: next.name, error });
+        }
+      }
+    }
+
+    throw this._exhaustedError(failures);
+  }
+
+  async _attempt(entry, operation, options) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await operation(entry.provider, entry.name);
+        if (entry.breaker.recordSuccess()) {
+          this.emit('cognition:llm:circuit:close', { provider: entry.name });
+        }
+        return result;
+      } catch (error) {
+        if (this._isAborted(options)) throw error;
+
+        // Only failures that say something about provider health trip the breaker
+        const retryable = this._isRetryable(error);
+        if (retryable && entry.breaker.recordFailure()) {
+          this.emit('cognition:llm:circuit:open', {
+            provider: entry.name,
+            failures: entry.breaker.failures,
+            resetTimeout: entry.breaker.resetTimeout
+          });
+        }
+
+        const delay = this._retryDelay(error, attempt);
+        if (!retryable || attempt > this.retryPolicy.attempts || delay === null ||
+            !entry.breaker.canRequest() || (options.canRecover && !options.canRecover(error))) {
+          throw error;
+        }
+
+        this.emit('cognition:llm:retry', { provider: entry.name, attempt, delay, status: error.status, error });
+        await this._sleep(delay, options.signal);
+      }
+    }
+  }
+
+  _isRetryable(error) {
+    if (error.retryable !== undefined) return !!error.retryable;
+    if (error.status !== undefined) {
+      return error.status === 408 || error.status === 429 || error.status >= 500;
+    }
+    return this._isNetworkError(error);
+  }
+
+  _isNetworkError(error) {
+    // fetch reports network failures as a TypeError carrying the underlying
+    // cause; any other TypeError is a bug that retrying will not fix
+    return error.name === 'TypeError' && (error.cause !== undefined || error.message === 'fetch failed');
+  }
+
+  _retryDelay(error, attempt) {
+    const policy = this.retryPolicy;
+
+    if (error.retryAfter !== undefined) {
+      return error.retryAfter <= policy.maxRetryAfter ? error.retryAfter : null;
+    }
+    return Math.min(policy.initialDelay * Math.pow(policy.factor, attempt - 1), policy.maxDelay);
+  }
+
+  _isAborted(options) {
+    return !!(options.signal && options.signal.aborted);
+  }
+
+  _sleep(ms, signal) {
+    return new Promise((resolve, reject) => {
+      const onAbort = () => {
+        clearTimeout(timer);
+        reject(signal.reason || new Error('Request aborted'));
+      };
+      const timer = setTimeout(() => {
+        if (signal) signal.removeEventListener('abort', onAbort);
+        resolve();
+      }, ms);
+
+      if (signal) signal.addEventListener('abort', onAbort, { once: true });
+    });
+  }
+
+  _exhaustedError(failures) {
+    if (failures.length === 1) {
+      return failures[0].error;
+    }
+
+    const error = new Error(failures.length === 0
+      ? 'No LLM provider is available: every circuit is open'
+      : `All LLM providers failed: ${failures.map(failure => `${failure.provider}: ${failure.error.message}`).join('; ')}`);
+    error.code = failures.length === 0 ? 'PROVIDERS_UNAVAILABLE' : 'PROVIDERS_FAILED';
+    error.failures = failures;
+    return error;
+  }
+}
+
+module.exports = ProviderChain;
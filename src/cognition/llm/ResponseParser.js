@@ -1,4 +1,18 @@
   // src/cognition/llm/ResponseParser.js
+  const SchemaValidator = require('../../core/SchemaValidator');
+  
+  // Raised when a response cannot be turned into the expected structure
+  class ResponseParseError extends Error {
+    constructor(message, details = {}) {
+      super(message);
+      this.name = 'ResponseParseError';
+      this.code = 'RESPONSE_PARSE_ERROR';
+      this.errors = details.errors || [];
+      this.raw = details.raw;
+      this.attempts = details.attempts || 1;
+    }
+  }
+  
   class ResponseParser {
     constructor(config = {}) {
       this.parsers = {
@@ -9,9 +23,15 @@
       };
       
       this.customParsers = config.customParsers || {};
+      this.schemaValidator = new SchemaValidator();
     }
     
-    parse(response, format = 'text') {
+    parse(response, format = 'text', options = {}) {
+      // With a schema, failures raise ResponseParseError instead of falling back to the raw text
+      if (options.schema) {
+        return this.parseStructured(response, options.schema);
+      }
+      
       const parser = this.parsers[format] || this.customParsers[format] || this.parsers.text;
       try {
         return parser(response);
@@ -21,6 +41,50 @@
       }
     }
     
+    parseStructured(text, schema) {
+      let value;
+      try {
+        value = this.extractJSON(text);
+      } catch (error) {
+        throw new ResponseParseError(`Response is not valid JSON: ${error.message}`, {
+          errors: [`response must be valid JSON (${error.message})`],
+          raw: text
+        });
+      }
+      
+      value = this.schemaValidator.applyDefaults(schema, this.schemaValidator.coerce(schema, value));
+      const { valid, errors } = this.schemaValidator.validate(schema, value, 'response');
+      if (!valid) {
+        throw new ResponseParseError(`Response does not match the expected schema: ${errors.join('; ')}`, {
+          errors,
+          raw: text
+        });
+      }
+      
+      return value;
+    }
+    
+    extractJSON(text) {
+      // Plain JSON, a fenced code block, or the outermost {...} / [...] in prose
+      if (typeof text !== 'string') return text;
+      
+      try {
+        return JSON.parse(text);
+      } catch (error) {
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)\s*```/);
+        if (fenced) {
+          return JSON.parse(fenced[1]);
+        }
+        
+        const start = text.search(/[{[]/);
+        const end = Math.max(text.lastIndexOf('}'), text.lastIndexOf(']'));
+        if (start !== -1 && end > start) {
+          return JSON.parse(text.slice(start, end + 1));
+        }
+        throw error;
+      }
+    }
+    
     parseJSON(text) {
       // Try to extract JSON from text, handling various formats
       try {
@@ -62,4 +126,6 @@
     }
   }
 
+ResponseParser.ResponseParseError = ResponseParseError;
+
 module.exports = ResponseParser;
\ No newline at end of file
@@ -0,0 +1,395 @@
+// src/cognition/llm/TemplateEngine.js
+// Prompt template language:
+//
+//   {{ goal }}  {{ memory.summary }}      variables and dotted paths
+//   {{ context | json }}                 filters: json[:indent], truncate[:length[:suffix]],
+//   {{ text | truncate:200 | upper }}    upper, lower, trim, join[:separator],
+//   {{ name | default:"friend" }}        default:value, length
+//   {{#if memories}}...{{else}}...{{/if}}   also {{#unless}}
+//   {{#each skills as skill}}{{@index}}. {{skill.name}}{{/each}}
+//   {{#each items}}{{this}}{{/each}}     item fields are also visible directly
+//   {{> partialName}}                    partials, or other templates by name
+//   {{! comment }}
+//
+// Templates without any "{{" use the legacy single-brace form, {variable}.
+// Objects render as JSON. In strict mode a missing variable is an error;
+// otherwise it renders as an empty string.
+
+class TemplateError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'TemplateError';
+    this.code = 'TEMPLATE_ERROR';
+    this.variable = details.variable;
+  }
+}
+
+const DEFAULT_FILTERS = {
+  json: (value, indent = 2) => JSON.stringify(value === undefined ? null : value, null, indent),
+  truncate: (value, length = 100, suffix = '...') => {
+    const text = toText(value);
+    return text.length > length ? text.slice(0, Math.max(0, length - suffix.length)) + suffix : text;
+  },
+  upper: (value) => toText(value).toUpperCase(),
+  lower: (value) => toText(value).toLowerCase(),
+  trim: (value) => toText(value).trim(),
+  join: (value, separator = ', ') => (Array.isArray(value) ? value.map(toText).join(separator) : toText(value)),
+  default: (value, fallback = '') => (value === undefined || value === null || value === '' ? fallback : value),
+  length: (value) => (value === undefined || value === null ? 0 : (value.length !== undefined ? value.length : Object.keys(value).length))
+};
+
+function toText(value) {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+}
+
+class TemplateEngine {
+  constructor(config = {}) {
+    this.strict = !!config.strict;
+    this.partials = { ...(config.partials || {}) };
+    this.filters = { ...DEFAULT_FILTERS, ...(config.filters || {}) };
+    this.resolveInclude = config.resolveInclude || (() => undefined); // Fallback for {{> name}}
+    this.maxDepth = config.maxDepth || 10;
+    this.compiled = new Map();
+  }
+
+  registerPartial(name, template) {
+    this.partials[name] = template;
+    return this;
+  }
+
+  registerFilter(name, filter) {
+    if (typeof filter !== 'function') {
+      throw new Error(`Filter "${name}" must be a function`);
+    }
+    this.filters[name] = filter;
+    return this;
+  }
+
+  render(template, variables = {}, options = {}) {
+    const strict = options.strict !== undefined ? options.strict : this.strict;
+    return this._renderNodes(this.compile(template), [variables], { strict, depth: 0 });
+  }
+
+  compile(template) {
+    if (typeof template !== 'string') {
+      throw new TemplateError('Template must be a string');
+    }
+    if (!this.compiled.has(template)) {
+      this.compiled.set(template, template.includes('{{') ? this._parse(template) : this._parseLegacy(template));
+    }
+    return this.compiled.get(template);
+  }
+
+  validate(template, variables) {
+    // Reports the top-level variables and partials a template uses, syntax
+    // problems, and - when variables are given - which required ones are
+    // missing. Variables only tested by {{#if}} or given a default are optional.
+    const report = { valid: true, variables: [], partials: [], errors: [] };
+    const names = new Map(); // name -> required
+    const partials = new Set();
+
+    try {
+      this._collect(this.compile(template), new Set(), names, partials, report.errors, new Set());
+    } catch (error) {
+      report.errors.push(error.message);
+    }
+
+    report.variables = Array.from(names.keys());
+    report.partials = Array.from(partials);
+    if (variables) {
+      report.missing = report.variables.filter(name => names.get(name) && variables[name] === undefined);
+    }
+    report.valid = report.errors.length === 0 && (!report.missing || report.missing.length === 0);
+    return report;
+  }
+
+  // Parsing
+
+  _parseLegacy(template) {
+    const nodes = [];
+    let last = 0;
+    const pattern = /\{([\w.]+)\}/g;
+    let match;
+
+    while ((match = pattern.exec(template)) !== null) {
+      if (match.index > last) nodes.push({ type: 'text', value: template.slice(last, match.index) });
+      nodes.push({ type: 'var', path: match[1], filters: [] });
+      last = pattern.lastIndex;
+    }
+    if (last < template.length) nodes.push({ type: 'text', value: template.slice(last) });
+
+    return nodes;
+  }
+
+  _parse(template) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const pattern = /\{\{([\s\S]*?)\}\}/g;
+    let last = 0;
+    let match;
+
+    const current = () => {
+      const block = stack[stack.length - 1];
+      return block.inElse ? block.otherwise : block.children;
+    };
+
+    while ((match = pattern.exec(template)) !== null) {
+      if (match.index > last) current().push({ type: 'text', value: template.slice(last, match.index) });
+      last = pattern.lastIndex;
+
+      const tag = match[1].trim();
+      if (tag.startsWith('!')) continue;
+
+      if (tag.startsWith('#')) {
+        const block = this._parseBlockTag(tag);
+        current().push(block);
+        stack.push(block);
+      } else if (tag === 'else') {
+        const block = stack[stack.length - 1];
+        if (block.type === 'root' || block.inElse) {
+          throw new TemplateError('Unexpected {{else}}');
+        }
+        block.inElse = true;
+      } else if (tag.startsWith('/')) {
+        const name = tag.slice(1).trim();
+        const block = stack.pop();
+        if (block.type === 'root' || block.keyword !== name) {
+          throw new TemplateError(`Unexpected {{/${name}}}${block.type === 'root' ? '' : `, expected {{/${block.keyword}}}`}`);
+        }
+        delete block.inElse;
+      } else if (tag.startsWith('>')) {
+        current().push({ type: 'partial', name: tag.slice(1).trim() });
+      } else {
+        current().push({ type: 'var', ...this._parseExpression(tag) });
+      }
+    }
+
+    if (last < template.length) current().push({ type: 'text', value: template.slice(last) });
+
+    if (stack.length > 1) {
+      throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].keyword}}} block`);
+    }
+    return root.children;
+  }
+
+  _parseBlockTag(tag) {
+    const [, keyword, rest = ''] = tag.match(/^#(\w+)\s*([\s\S]*)$/) || [];
+
+    switch (keyword) {
+      case 'if':
+      case 'unless':
+        return { type: 'if', keyword, negate: keyword === 'unless', ...this._parseExpression(rest), children: [], otherwise: [] };
+      case 'each': {
+        const [, source, alias] = rest.match(/^(.+?)(?:\s+as\s+(\w+))?$/) || [];
+        return { type: 'each', keyword, ...this._parseExpression(source || ''), alias: alias || null, children: [], otherwise: [] };
+      }
+      default:
+        throw new TemplateError(`Unknown block {{#${keyword || tag.slice(1)}}}`);
+    }
+  }
+
+  _parseExpression(expression) {
+    const [path, ...filters] = splitOutsideQuotes(expression, '|').map(part => part.trim());
+    if (!path) {
+      throw new TemplateError(`Empty expression in "{{${expression}}}"`);
+    }
+
+    return {
+      path,
+      filters: filters.map(filter => {
+        const [name, ...args] = splitOutsideQuotes(filter, ':').map(part => part.trim());
+        return { name, args: args.map(parseLiteral) };
+      })
+    };
+  }
+
+  // Rendering
+
+  _renderNodes(nodes, scopes, state) {
+    let output = '';
+
+    for (const node of nodes) {
+      switch (node.type) {
+        case 'text':
+          output += node.value;
+          break;
+        case 'var': {
+          const value = this._evaluate(node, scopes);
+          if (value === undefined && state.strict) {
+            throw new TemplateError(`Missing template variable "${node.path}"`, { variable: node.path });
+          }
+          output += toText(value);
+          break;
+        }
+        case 'if': {
+          const truthy = isTruthy(this._evaluate(node, scopes));
+          output += this._renderNodes(truthy !== node.negate ? node.children : node.otherwise, scopes, state);
+          break;
+        }
+        case 'each':
+          output += this._renderEach(node, scopes, state);
+          break;
+        case 'partial':
+          output += this._renderPartial(node.name, scopes, state);
+          break;
+      }
+    }
+
+    return output;
+  }
+
+  _renderEach(node, scopes, state) {
+    const value = this._evaluate(node, scopes);
+    if (value === undefined && state.strict) {
+      throw new TemplateError(`Missing template variable "${node.path}"`, { variable: node.path });
+    }
+
+    const items = Array.isArray(value) ? value
+      : (value && typeof value === 'object' ? Object.values(value) : []);
+    if (items.length === 0) {
+      return this._renderNodes(node.otherwise, scopes, state);
+    }
+
+    return items.map((item, index) => {
+      const frame = { this: item, '@index': index, '@number': index + 1, '@first': index === 0, '@last': index === items.length - 1 };
+      if (node.alias) {
+        frame[node.alias] = item;
+      } else if (item && typeof item === 'object' && !Array.isArray(item)) {
+        Object.assign(frame, item, { this: item });
+      }
+      return this._renderNodes(node.children, [...scopes, frame], state);
+    }).join('');
+  }
+
+  _renderPartial(name, scopes, state) {
+    if (state.depth >= this.maxDepth) {
+      throw new TemplateError(`Partials nested deeper than ${this.maxDepth} levels (recursive "${name}"?)`);
+    }
+
+    const template = this._lookupPartial(name);
+    if (template === undefined) {
+      throw new TemplateError(`Unknown partial "${name}"`);
+    }
+    return this._renderNodes(this.compile(template), scopes, { ...state, depth: state.depth + 1 });
+  }
+
+  _lookupPartial(name) {
+    const template = this.partials[name] !== undefined ? this.partials[name] : this.resolveInclude(name);
+    // Including a { system, user } template pulls in its user part
+    return template && typeof template === 'object' ? template.user : template;
+  }
+
+  _evaluate(node, scopes) {
+    let value = this._resolve(node.path, scopes);
+
+    for (const filter of node.filters) {
+      const apply = this.filters[filter.name];
+      if (!apply) {
+        throw new TemplateError(`Unknown filter "${filter.name}"`);
+      }
+      value = apply(value, ...filter.args);
+    }
+    return value;
+  }
+
+  _resolve(path, scopes) {
+    const [head, ...rest] = path.split('.');
+
+    let value;
+    for (let index = scopes.length - 1; index >= 0; index--) {
+      const scope = scopes[index];
+      if (scope && typeof scope === 'object' && hasOwn(scope, head)) {
+        value = scope[head];
+        break;
+      }
+    }
+
+    // Own properties only, so {{constructor}} or {{name.toString}} stay undefined
+    for (const key of rest) {
+      if (value === undefined || value === null || !hasOwn(Object(value), key)) return undefined;
+      value = value[key];
+    }
+    return value;
+  }
+
+  // Validation
+
+  _collect(nodes, locals, names, partials, errors, visiting) {
+    for (const node of nodes) {
+      if (node.type === 'var' || node.type === 'if' || node.type === 'each') {
+        const head = node.path.split('.')[0];
+        if (!locals.has(head) && !locals.has('*') && head !== 'this' && !head.startsWith('@')) {
+          const required = node.type !== 'if' && !node.filters.some(filter => filter.name === 'default');
+          names.set(head, names.get(head) || required);
+        }
+        for (const filter of node.filters) {
+          if (!this.filters[filter.name]) errors.push(`Unknown filter "${filter.name}"`);
+        }
+      }
+
+      if (node.type === 'if') {
+        this._collect(node.children, locals, names, partials, errors, visiting);
+        this._collect(node.otherwise, locals, names, partials, errors, visiting);
+      } else if (node.type === 'each') {
+        // Without an alias, bare names inside the loop may be item fields
+        const inner = new Set([...locals, node.alias || '*']);
+        this._collect(node.children, inner, names, partials, errors, visiting);
+        this._collect(node.otherwise, locals, names, partials, errors, visiting);
+      } else if (node.type === 'partial') {
+        partials.add(node.name);
+        const template = this._lookupPartial(node.name);
+        if (template === undefined) {
+          errors.push(`Unknown partial "${node.name}"`);
+        } else if (!visiting.has(node.name)) {
+          visiting.add(node.name);
+          this._collect(this.compile(template), locals, names, partials, errors, visiting);
+          visiting.delete(node.name);
+        }
+      }
+    }
+  }
+}
+
+function isTruthy(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return !!value;
+}
+
+function splitOutsideQuotes(text, separator) {
+  const parts = [];
+  let current = '';
+  let quote = null;
+
+  for (const char of text) {
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === separator) {
+      parts.push(current);
+      current = '';
+      continue;
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts;
+}
+
+function hasOwn(object, key) {
+  return Object.prototype.hasOwnProperty.call(object, key);
+}
+
+function parseLiteral(text) {
+  if (/^(["']).*\1$/s.test(text)) return text.slice(1, -1);
+  if (text !== '' && !Number.isNaN(Number(text))) return Number(text);
+  if (text === 'true' || text === 'false') return text === 'true';
+  if (text === 'null') return null;
+  return text;
+}
+
+TemplateEngine.TemplateError = TemplateError;
+
+module.exports = TemplateEngine;
@@ -0,0 +1,122 @@
+// src/cognition/llm/TokenEstimator.js
+// Offline token counts and per-model context limits. The estimate follows how
+// BPE tokenizers split text: short words are one token and long ones a few,
+// digits go in groups of three, punctuation is mostly a token per mark and
+// CJK text is about a token per character. Expect it within ~10-15% of the
+// real count for English prose, erring high.
+
+// Context window sizes in tokens; a model name matches the longest prefix
+const MODEL_CONTEXT_LIMITS = {
+  'gpt-4o': 128000,
+  'gpt-4-turbo': 128000,
+  'gpt-4-32k': 32768,
+  'gpt-4': 8192,
+  'gpt-3.5-turbo': 16385,
+  'o1': 200000,
+  'o3': 200000,
+  'claude-3': 200000,
+  'claude': 200000,
+  'llama3': 8192,
+  'llama3.1': 128000,
+  'mistral': 32768,
+  'mock': 8192
+};
+
+// Words, number runs, single CJK characters and single punctuation marks
+const PIECE_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|\p{L}+|\p{N}+|[^\s\p{L}\p{N}]/gu;
+
+// Chat formats wrap every message in a few tokens of role markup
+const TOKENS_PER_MESSAGE = 4;
+const TOKENS_PER_REPLY = 3;
+
+// Images cost about a token per 750 pixels, and providers downscale large
+// ones, which caps the count
+const PIXELS_PER_IMAGE_TOKEN = 750;
+const MAX_IMAGE_TOKENS = 1600;
+const UNKNOWN_IMAGE_TOKENS = 1000;
+
+class TokenEstimator {
+  constructor(config = {}) {
+    this.limits = { ...MODEL_CONTEXT_LIMITS, ...(config.limits || {}) };
+    this.defaultLimit = config.defaultLimit || 8192;
+  }
+
+  estimate(text) {
+    if (text === null || text === undefined) return 0;
+    if (typeof text !== 'string') text = JSON.stringify(text);
+
+    let tokens = 0;
+    for (const piece of text.match(PIECE_PATTERN) || []) {
+      if (/^\p{N}+$/u.test(piece)) {
+        tokens += Math.ceil(piece.length / 3);
+      } else if (piece.length <= 7) {
+        tokens += 1;
+      } else {
+        tokens += Math.ceil(piece.length / 5);
+      }
+    }
+    return tokens;
+  }
+
+  estimateMessages(messages) {
+    return messages.reduce(
+      (sum, message) => sum + TOKENS_PER_MESSAGE + this.estimateContent(message.content),
+      TOKENS_PER_REPLY
+    );
+  }
+
+  estimateContent(content) {
+    // Message content is a string or a list of text and image parts
+    if (!Array.isArray(content)) return this.estimate(content || '');
+
+    return content.reduce((sum, part) => sum + (part.type === 'image'
+      ? this.estimateImage(part)
+      : this.estimate(part.text || '')), 0);
+  }
+
+  estimateImage(image) {
+    if (!image.width || !image.height) return UNKNOWN_IMAGE_TOKENS;
+    return Math.min(Math.ceil((image.width * image.height) / PIXELS_PER_IMAGE_TOKEN), MAX_IMAGE_TOKENS);
+  }
+
+  getContextLimit(model) {
+    if (!model) return this.defaultLimit;
+    if (this.limits[model]) return this.limits[model];
+
+    const prefix = Object.keys(this.limits)
+      .filter(key => model.startsWith(key))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? this.limits[prefix] : this.defaultLimit;
+  }
+
+  setContextLimit(model, tokens) {
+    this.limits[model] = tokens;
+    return this;
+  }
+
+  truncate(text, maxTokens, marker = '\n[truncated]') {
+    // Cuts text to at most maxTokens, at a word boundary where there is one
+    if (this.estimate(text) <= maxTokens) return text;
+
+    const room = maxTokens - this.estimate(marker);
+    if (room <= 0) return '';
+
+    // Binary search for the longest prefix that fits
+    let low = 0;
+    let high = text.length;
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2);
+      if (this.estimate(text.slice(0, middle)) <= room) low = middle;
+      else high = middle - 1;
+    }
+
+    let cut = text.slice(0, low);
+    const boundary = cut.search(/\s\S*$/);
+    if (boundary > low / 2) cut = cut.slice(0, boundary);
+    return cut.trimEnd() + marker;
+  }
+}
+
+TokenEstimator.MODEL_CONTEXT_LIMITS = MODEL_CONTEXT_LIMITS;
+
+module.exports = TokenEstimator;
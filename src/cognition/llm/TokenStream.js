@@ -0,0 +1,87 @@
+// src/cognition/llm/TokenStream.js
+// Handle returned by LLMService.queryStream. The producer runs as soon as the
+// stream is created, so `result` settles (and events go out) whether or not
+// anyone iterates. Tokens are buffered; every iterator replays them from the
+// start and then follows the live stream.
+class TokenStream {
+  constructor(producer, signal = null) {
+    this.tokens = [];
+    this.done = false;
+    this.error = null;
+    this.waiters = [];
+    this.controller = new AbortController();
+
+    if (signal) {
+      if (signal.aborted) this.controller.abort(signal.reason);
+      else signal.addEventListener('abort', () => this.cancel(signal.reason), { once: true });
+    }
+
+    this.result = Promise.resolve()
+      .then(() => producer(token => this._push(token), this.controller.signal))
+      .then(
+        (result) => { this._finish(null); return result; },
+        (error) => { this._finish(error); throw error; }
+      );
+
+    // Iterating consumers see the error there; awaiting `result` still rejects
+    this.result.catch(() => {});
+  }
+
+  get text() {
+    return this.tokens.join('');
+  }
+
+  cancel(reason) {
+    if (!this.done && !this.controller.signal.aborted) {
+      this.controller.abort(reason);
+    }
+    return this.result.catch(() => null);
+  }
+
+  [Symbol.asyncIterator]() {
+    let position = 0;
+
+    return {
+      next: () => {
+        if (position < this.tokens.length) {
+          return Promise.resolve({ value: this.tokens[position++], done: false });
+        }
+        if (this.error) return Promise.reject(this.error);
+        if (this.done) return Promise.resolve({ value: undefined, done: true });
+
+        return new Promise((resolve, reject) => {
+          this.waiters.push(() => {
+            if (position < this.tokens.length) resolve({ value: this.tokens[position++], done: false });
+            else if (this.error) reject(this.error);
+            else resolve({ value: undefined, done: true });
+          });
+        });
+      },
+      return: () => {
+        // Breaking out of a for-await loop stops the request
+        this.cancel();
+        return Promise.resolve({ value: undefined, done: true });
+      }
+    };
+  }
+
+  _push(token) {
+    if (this.done) return;
+    this.tokens.push(token);
+    this._wake();
+  }
+
+  _finish(error) {
+    this.done = true;
+    this.error = error;
+    this._wake();
+  }
+
+  _wake() {
+    const waiters = this.waiters;
+    this.waiters = [];
+    waiters.forEach(wake => wake());
+  }
+}
+
+module.exports = TokenStream;
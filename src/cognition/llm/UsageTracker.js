@@ -0,0 +1,201 @@
+// src/cognition/llm/UsageTracker.js
+// Records token usage, cost and latency of every LLM call and rolls it up per
+// agent, cycle, prompt template (library templates per version, keyed
+// "name@version"), model and (UTC) day. Pricing is per model in dollars per
+// million tokens:
+//
+//   pricing: { 'gpt-4o-mini': { input: 0.15, output: 0.6 } }
+//
+// Budgets cap tokens and/or cost per cycle, day or session:
+//
+//   budgets: [{ scope: 'cycle', maxTokens: 20000 },
+//             { scope: 'day', maxCost: 5, action: 'block' }]
+//
+// `action` is 'degrade' (the default: skip LLM work and fall back to
+// non-LLM reasoning) or 'block' (fail the cycle).
+const Runtime = require('../../core/Runtime');
+
+class UsageTracker {
+  constructor(config = {}) {
+    this.runtime = config.runtime || Runtime.default; // Timestamps and day windows
+    this.pricing = config.pricing || {};
+    this.budgets = (config.budgets || []).map(budget => this._normalizeBudget(budget));
+    this.maxRecords = config.maxRecords || 1000;
+    this.maxCycles = config.maxCycles || 100;
+    this.currentCycle = null;
+    this.notified = new Set(); // Budget windows already reported as exceeded
+    this.reset();
+  }
+
+  reset() {
+    // Starts a new session
+    this.totals = this._emptyRollup();
+    this.byAgent = new Map();
+    this.byCycle = new Map();
+    this.byTemplate = new Map();
+    this.byModel = new Map();
+    this.byDay = new Map();
+    this.records = [];
+    this.notified.clear();
+    return this;
+  }
+
+  startCycle(cycleId) {
+    this.currentCycle = cycleId;
+  }
+
+  setPricing(model, pricing) {
+    this.pricing[model] = pricing;
+    return this;
+  }
+
+  addBudget(budget) {
+    this.budgets.push(this._normalizeBudget(budget));
+    return this;
+  }
+
+  record(entry) {
+    const inputTokens = entry.inputTokens || 0;
+    const outputTokens = entry.outputTokens || 0;
+    const price = this.pricing[entry.model];
+
+    const record = {
+      provider: entry.provider || null,
+      model: entry.model || null,
+      template: entry.template || null,
+      templateVersion: entry.templateVersion || null,
+      agentId: entry.agentId || null,
+      cycleId: entry.cycleId !== undefined ? entry.cycleId : this.currentCycle,
+      inputTokens,
+      outputTokens,
+      totalTokens: inputTokens + outputTokens,
+      cost: price ? (inputTokens * (price.input || 0) + outputTokens * (price.output || 0)) / 1e6 : 0,
+      priced: !!price,
+      estimated: !!entry.estimated,
+      latency: entry.latency || 0,
+      timestamp: this.runtime.now()
+    };
+
+    this.records.push(record);
+    if (this.records.length > this.maxRecords) {
+      this.records.shift();
+    }
+
+    this._add(this.totals, record);
+    this._addTo(this.byAgent, record.agentId || 'unknown', record);
+    this._addTo(this.byTemplate, this._templateKey(record), record);
+    this._addTo(this.byModel, record.model || 'unknown', record);
+    this._addTo(this.byDay, this._dayKey(record.timestamp), record);
+    if (record.cycleId) {
+      this._addTo(this.byCycle, record.cycleId, record);
+      // Keep only the most recent cycles
+      if (this.byCycle.size > this.maxCycles) {
+        this.byCycle.delete(this.byCycle.keys().next().value);
+      }
+    }
+
+    return record;
+  }
+
+  checkBudgets() {
+    // Returns the budgets whose window is already used up, with the usage
+    // that exhausted them; `isNew` is true the first time per window
+    const exceeded = [];
+
+    for (const budget of this.budgets) {
+      const window = this._budgetWindow(budget);
+      if (!window) continue;
+
+      const overTokens = budget.maxTokens !== undefined && window.usage.totalTokens >= budget.maxTokens;
+      const overCost = budget.maxCost !== undefined && window.usage.cost >= budget.maxCost;
+      if (!overTokens && !overCost) continue;
+
+      const key = `${budget.scope}:${window.key}:${this.budgets.indexOf(budget)}`;
+      exceeded.push({ budget, window: window.key, usage: { ...window.usage }, isNew: !this.notified.has(key) });
+      this.notified.add(key);
+    }
+
+    return exceeded;
+  }
+
+  getUsage() {
+    const toObject = (map) => Object.fromEntries(Array.from(map, ([key, rollup]) => [key, { ...rollup }]));
+
+    return {
+      total: { ...this.totals },
+      byAgent: toObject(this.byAgent),
+      byCycle: toObject(this.byCycle),
+      byTemplate: toObject(this.byTemplate),
+      byModel: toObject(this.byModel),
+      byDay: toObject(this.byDay)
+    };
+  }
+
+  getCycleUsage(cycleId = this.currentCycle) {
+    const rollup = this.byCycle.get(cycleId);
+    return rollup ? { ...rollup } : this._emptyRollup();
+  }
+
+  getRecords() {
+    return [...this.records];
+  }
+
+  _budgetWindow(budget) {
+    switch (budget.scope) {
+      case 'cycle':
+        if (!this.currentCycle) return null;
+        return { key: this.currentCycle, usage: this.byCycle.get(this.currentCycle) || this._emptyRollup() };
+      case 'day': {
+        const key = this._dayKey(this.runtime.now());
+        return { key, usage: this.byDay.get(key) || this._emptyRollup() };
+      }
+      case 'session':
+        return { key: 'session', usage: this.totals };
+    }
+    return null;
+  }
+
+  _normalizeBudget(budget) {
+    if (!['cycle', 'day', 'session'].includes(budget.scope)) {
+      throw new Error(`Invalid budget scope "${budget.scope}"; expected cycle, day or session`);
+    }
+    if (budget.maxTokens === undefined && budget.maxCost === undefined) {
+      throw new Error(`Budget for scope "${budget.scope}" needs maxTokens or maxCost`);
+    }
+    if (budget.action && !['block', 'degrade'].includes(budget.action)) {
+      throw new Error(`Invalid budget action "${budget.action}"; expected block or degrade`);
+    }
+    return { action: 'degrade', ...budget };
+  }
+
+  _addTo(map, key, record) {
+    if (!map.has(key)) {
+      map.set(key, this._emptyRollup());
+    }
+    this._add(map.get(key), record);
+  }
+
+  _add(rollup, record) {
+    rollup.calls++;
+    rollup.inputTokens += record.inputTokens;
+    rollup.outputTokens += record.outputTokens;
+    rollup.totalTokens += record.totalTokens;
+    rollup.cost += record.cost;
+    rollup.latency += record.latency;
+  }
+
+  _emptyRollup() {
+    return { calls: 0, inputTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, latency: 0 };
+  }
+
+  _templateKey(record) {
+    if (!record.template) return 'unknown';
+    return record.templateVersion ? `${record.template}@${record.templateVersion}` : record.template;
+  }
+
+  _dayKey(timestamp) {
+    return new Date(timestamp).toISOString().slice(0, 10);
+  }
+}
+
+module.exports = UsageTracker;
@@ -0,0 +1,60 @@
+// src/cognition/llm/cache/FileCacheBackend.js
+const fs = require('fs').promises;
+const path = require('path');
+
+// One JSON file per entry under `directory` (llm-cache/ by default, which is
+// git-ignored), so cached responses survive restarts and can be shared
+// between processes on the same machine.
+class FileCacheBackend {
+  constructor(config = {}) {
+    this.directory = path.resolve(config.directory || 'llm-cache');
+    this.ready = null;
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this._path(key), 'utf8'));
+    } catch (error) {
+      // Missing or unreadable entries are misses
+      return null;
+    }
+  }
+
+  async set(key, entry) {
+    if (!this.ready) {
+      this.ready = fs.mkdir(this.directory, { recursive: true }).catch((error) => {
+        this.ready = null;
+        throw error;
+      });
+    }
+    await this.ready;
+
+    // Write then rename so readers never see a half-written file
+    const target = this._path(key);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(entry), 'utf8');
+    await fs.rename(temporary, target);
+  }
+
+  async delete(key) {
+    await fs.rm(this._path(key), { force: true });
+  }
+
+  async clear() {
+    const files = await fs.readdir(this.directory).catch(() => []);
+    await Promise.all(files
+      .filter(file => file.endsWith('.json'))
+      .map(file => fs.rm(path.join(this.directory, file), { force: true })));
+  }
+
+  async size() {
+    const files = await fs.readdir(this.directory).catch(() => []);
+    return files.filter(file => file.endsWith('.json')).length;
+  }
+
+  _path(key) {
+    return path.join(this.directory, `${key}.json`);
+  }
+}
+
+module.exports = FileCacheBackend;
@@ -0,0 +1,43 @@
+// src/cognition/llm/cache/MemoryCacheBackend.js
+// Least-recently-used cache in a Map: reads move an entry to the end, and
+// the oldest entry is evicted once `maxEntries` is exceeded.
+class MemoryCacheBackend {
+  constructor(config = {}) {
+    this.maxEntries = config.maxEntries || 500;
+    this.entries = new Map();
+    this.evictions = 0;
+  }
+
+  async get(key) {
+    if (!this.entries.has(key)) return null;
+
+    const entry = this.entries.get(key);
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+      this.evictions++;
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async size() {
+    return this.entries.size;
+  }
+}
+
+module.exports = MemoryCacheBackend;
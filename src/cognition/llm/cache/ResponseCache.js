@@ -0,0 +1,128 @@
+// src/cognition/llm/cache/ResponseCache.js
+const crypto = require('crypto');
+const MemoryCacheBackend = require('./MemoryCacheBackend');
+const FileCacheBackend = require('./FileCacheBackend');
+const Runtime = require('../../../core/Runtime');
+
+// Options that change what the model returns, and therefore belong in the key
+const SAMPLING_OPTIONS = [
+  'temperature', 'max_tokens', 'top_p', 'top_k', 'stop', 'seed', 'presence_penalty', 'frequency_penalty'
+];
+
+// Caches raw LLM responses keyed by a hash of the rendered messages, the
+// model and the sampling options. Configured under `llm.cache`:
+//
+//   cache: {
+//     backend: 'memory',       // or 'file' (directory: 'llm-cache'), or pass
+//                              // `store` with get/set/delete/clear
+//     maxEntries: 500,         // memory backend LRU size
+//     ttl: 3600000,            // ms; 0 keeps entries until evicted
+//     maxTemperature: 0.7,     // hotter requests are not cached
+//     templates: { generation: false, reasoning: { ttl: 600000 } }
+//   }
+class ResponseCache {
+  constructor(config = {}) {
+    this.runtime = config.runtime || Runtime.default; // Clock for expiry
+    this.ttl = config.ttl !== undefined ? config.ttl : 3600000;
+    this.maxTemperature = config.maxTemperature !== undefined ? config.maxTemperature : 0.7;
+    this.templates = config.templates || {};
+    this.backend = config.store || this._createBackend(config);
+    this.stats = { hits: 0, misses: 0, bypassed: 0, writes: 0, errors: 0 };
+  }
+
+  _createBackend(config) {
+    switch (config.backend || 'memory') {
+      case 'memory':
+        return new MemoryCacheBackend(config);
+      case 'file':
+        return new FileCacheBackend(config);
+      default:
+        throw new Error(`Unknown cache backend "${config.backend}"; expected memory or file`);
+    }
+  }
+
+  shouldCache(template, sampling, options = {}) {
+    if (options.cache === false) return false;
+    if (template && this.templates[template] === false) return false;
+
+    const temperature = sampling.temperature;
+    return temperature === undefined || temperature <= this.maxTemperature;
+  }
+
+  createKey({ messages, model, sampling }) {
+    const picked = {};
+    for (const name of SAMPLING_OPTIONS) {
+      if (sampling[name] !== undefined) picked[name] = sampling[name];
+    }
+
+    return crypto.createHash('sha256')
+      .update(JSON.stringify({ model: model || null, sampling: picked, messages }))
+      .digest('hex');
+  }
+
+  async get(key) {
+    let entry = null;
+    try {
+      entry = await this.backend.get(key);
+    } catch (error) {
+      this._backendError('read', error);
+    }
+
+    if (entry && entry.expiresAt && entry.expiresAt <= this.runtime.now()) {
+      await this.backend.delete(key).catch(() => {});
+      entry = null;
+    }
+
+    if (entry) {
+      this.stats.hits++;
+      return entry.value;
+    }
+
+    this.stats.misses++;
+    return null;
+  }
+
+  async set(key, value, template = null) {
+    const templateConfig = this.templates[template];
+    const ttl = templateConfig && templateConfig.ttl !== undefined ? templateConfig.ttl : this.ttl;
+
+    const now = this.runtime.now();
+    try {
+      await this.backend.set(key, {
+        value,
+        template,
+        createdAt: now,
+        expiresAt: ttl > 0 ? now + ttl : null
+      });
+      this.stats.writes++;
+    } catch (error) {
+      this._backendError('write', error);
+    }
+  }
+
+  recordBypass() {
+    this.stats.bypassed++;
+  }
+
+  async clear() {
+    await this.backend.clear();
+  }
+
+  async getStats() {
+    const lookups = this.stats.hits + this.stats.misses;
+    return {
+      ...this.stats,
+      evictions: this.backend.evictions || 0,
+      hitRate: lookups > 0 ? this.stats.hits / lookups : 0,
+      size: typeof this.backend.size === 'function' ? await this.backend.size() : null
+    };
+  }
+
+  _backendError(operation, error) {
+    // A broken cache must never fail the query itself
+    this.stats.errors++;
+    console.warn(`LLM response cache ${operation} failed:`, error.message);
+  }
+}
+
+module.exports = ResponseCache;
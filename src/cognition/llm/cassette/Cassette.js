@@ -0,0 +1,178 @@
+// src/cognition/llm/cassette/Cassette.js
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+// Generated ids (goal-1718000000000-42) and millisecond or ISO timestamps
+// change on every run; 'template' matching masks them by default
+const VOLATILE_PATTERNS = [
+  /\b[a-z]+-\d{13}-\d+\b/g,
+  /\b1\d{12}\b/g,
+  /\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z/g
+];
+
+class CassetteError extends Error {
+  constructor(message, request) {
+    super(message);
+    this.name = 'CassetteError';
+    this.code = 'CASSETTE_MISS';
+    this.request = request;
+  }
+}
+
+// Recorded LLM traffic, configured under `llm.cassette`:
+//
+//   cassette: {
+//     mode: 'record',                   // or 'replay'
+//     path: 'cassettes/agent.json',
+//     match: 'prompt',                  // or 'template', or (request) => key
+//     ignore: [/session-\w+/g]          // patterns masked before matching
+//   }
+//
+// 'prompt' matches the rendered messages (and offered tools) exactly, and
+// masks nothing unless `ignore` is given: a prompt that differs only by a
+// number is a different prompt, and hiding it could replay the wrong answer.
+// 'template' matches the template name, version and a hash of its variables,
+// falling back to the prompt for requests made without a template; it masks
+// generated ids and timestamps unless `ignore` replaces the patterns. Requests
+// with the same key are answered in recorded order. Replay throws a
+// CassetteError (code CASSETTE_MISS) for any request it has no answer for.
+//
+// Prompt experiments pick versions by cycle id, which differs between runs;
+// pin versions (or pass `experimentKey`) while recording.
+// For results identical to the recorded run, also give the agent a seeded
+// runtime with a fake clock (see Runtime), so ids, timestamps and phrasing
+// choices repeat as well.
+class Cassette {
+  constructor(config = {}) {
+    if (!['record', 'replay'].includes(config.mode)) {
+      throw new Error(`Invalid cassette mode "${config.mode}"; expected record or replay`);
+    }
+    if (!config.path) {
+      throw new Error('Cassette needs a path');
+    }
+
+    this.mode = config.mode;
+    this.path = path.resolve(config.path);
+    this.match = config.match || 'prompt';
+    this.ignore = config.ignore || (this.match === 'template' ? VOLATILE_PATTERNS : []);
+    this.interactions = [];
+    this.served = new Set();
+    this.index = null; // key -> interaction indexes, built on first replay
+    this.saving = Promise.resolve();
+
+    if (typeof this.match !== 'function' && !['prompt', 'template'].includes(this.match)) {
+      throw new Error(`Invalid cassette match "${this.match}"; expected prompt, template or a function`);
+    }
+    if (this.mode === 'replay') {
+      this._load();
+    }
+  }
+
+  record(request, response) {
+    this.interactions.push({ ...request, response, recordedAt: new Date().toISOString() });
+
+    // Saved after every interaction so a crashed run keeps what it recorded
+    this.saving = this.saving
+      .then(() => this._write())
+      .catch(error => console.error(`Failed to write cassette ${this.path}:`, error));
+    return this.saving;
+  }
+
+  replay(request) {
+    if (!this.index) {
+      this.index = new Map();
+      this.interactions.forEach((interaction, position) => {
+        const key = this.keyFor(interaction);
+        if (!this.index.has(key)) this.index.set(key, []);
+        this.index.get(key).push(position);
+      });
+    }
+
+    const key = this.keyFor(request);
+    const position = (this.index.get(key) || []).find(candidate => !this.served.has(candidate));
+    if (position === undefined) {
+      const label = request.template ? `template "${request.template}"` : `${request.type} request`;
+      const recorded = (this.index.get(key) || []).length;
+      throw new CassetteError(
+        recorded > 0
+          ? `Cassette ${this.path} has only ${recorded} recorded answer(s) for this ${label}`
+          : `Cassette ${this.path} has no recorded answer for this ${label} (match: ${typeof this.match === 'function' ? 'custom' : this.match})`,
+        request
+      );
+    }
+
+    this.served.add(position);
+    return this.interactions[position];
+  }
+
+  keyFor(request) {
+    if (typeof this.match === 'function') {
+      return String(this.match(request));
+    }
+
+    let subject;
+    if (request.type === 'embed') {
+      subject = request.texts;
+    } else if (this.match === 'template' && request.template) {
+      subject = { template: request.template, version: request.templateVersion || null, variables: this._hash(this._mask(request.variables)) };
+    } else {
+      subject = { messages: request.messages, tools: request.tools || [] };
+    }
+    return `${request.type}:${this._hash(this._mask(subject))}`;
+  }
+
+  getStats() {
+    return {
+      mode: this.mode,
+      path: this.path,
+      interactions: this.interactions.length,
+      served: this.served.size,
+      unused: this.mode === 'replay' ? this.interactions.length - this.served.size : 0
+    };
+  }
+
+  async flush() {
+    await this.saving;
+  }
+
+  _mask(value) {
+    let text = JSON.stringify(value === undefined ? null : value);
+    for (const pattern of this.ignore) {
+      text = text.replace(typeof pattern === 'string' ? new RegExp(escapeRegExp(pattern), 'g') : pattern, '<ignored>');
+    }
+    return text;
+  }
+
+  _hash(text) {
+    return crypto.createHash('sha256').update(text).digest('hex');
+  }
+
+  _load() {
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(this.path, 'utf8'));
+    } catch (error) {
+      throw new Error(`Cannot load cassette ${this.path} for replay: ${error.message}`);
+    }
+    this.interactions = data.interactions || [];
+  }
+
+  async _write() {
+    await fs.promises.mkdir(path.dirname(this.path), { recursive: true });
+
+    const temporary = `${this.path}.${process.pid}.tmp`;
+    const data = { version: 1, interactions: this.interactions };
+    await fs.promises.writeFile(temporary, JSON.stringify(data, null, 2), 'utf8');
+    await fs.promises.rename(temporary, this.path);
+  }
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+Cassette.CassetteError = CassetteError;
+Cassette.VOLATILE_PATTERNS = VOLATILE_PATTERNS;
+
+module.exports = Cassette;
@@ -0,0 +1,115 @@
+// src/cognition/llm/cassette/CassetteProvider.js
+// Wraps a provider for a Cassette. Recording passes every request through to
+// the provider and stores the answer; replaying answers from the cassette
+// and never touches the provider, which only lends its model name,
+// defaults and capabilities. Methods the provider lacks stay missing.
+const WRAPPED_METHODS = ['chat', 'complete', 'chatStream', 'completeStream', 'embed', 'formatTools', 'supportsImages'];
+
+// Request options stored alongside each interaction, for reference
+const RECORDED_OPTIONS = ['temperature', 'max_tokens', 'top_p', 'stop', 'seed'];
+
+class CassetteProvider {
+  constructor(provider, cassette, name) {
+    this.provider = provider;
+    this.cassette = cassette;
+    this.name = name;
+    this.model = provider.model;
+    this.label = provider.label;
+    this.defaultOptions = provider.defaultOptions;
+    this.embeddingModel = provider.embeddingModel;
+
+    for (const method of WRAPPED_METHODS) {
+      if (typeof provider[method] !== 'function') {
+        this[method] = undefined;
+      }
+    }
+  }
+
+  async chat(messages, options = {}) {
+    const request = this._request('chat', messages, options);
+    if (this.cassette.mode === 'replay') {
+      return { ...this.cassette.replay(request).response, raw: { cassette: true } };
+    }
+
+    const response = await this.provider.chat(messages, options);
+    const { raw, ...recorded } = response;
+    this.cassette.record(request, recorded);
+    return response;
+  }
+
+  async complete(prompt, options = {}) {
+    const request = this._request('complete', [{ role: 'user', content: prompt }], options);
+    if (this.cassette.mode === 'replay') {
+      return this.cassette.replay(request).response.text;
+    }
+
+    const text = await this.provider.complete(prompt, options);
+    this.cassette.record(request, { text });
+    return text;
+  }
+
+  completeStream(prompt, options = {}) {
+    return this.chatStream([{ role: 'user', content: prompt }], options);
+  }
+
+  async *chatStream(messages, options = {}) {
+    const request = this._request('stream', messages, options);
+    if (this.cassette.mode === 'replay') {
+      for (const chunk of this.cassette.replay(request).response.chunks) {
+        if (options.signal && options.signal.aborted) {
+          throw options.signal.reason || new Error('Stream aborted');
+        }
+        yield chunk;
+      }
+      return;
+    }
+
+    // Only streams that run to the end are recorded
+    const chunks = [];
+    for await (const chunk of this.provider.chatStream(messages, options)) {
+      chunks.push(chunk);
+      yield chunk;
+    }
+    this.cassette.record(request, { chunks });
+  }
+
+  async embed(texts, options = {}) {
+    const request = { type: 'embed', provider: this.name, model: this.embeddingModel || this.model, texts };
+    if (this.cassette.mode === 'replay') {
+      return this.cassette.replay(request).response;
+    }
+
+    const response = await this.provider.embed(texts, options);
+    this.cassette.record(request, response);
+    return response;
+  }
+
+  formatTools(skills) {
+    return this.provider.formatTools(skills);
+  }
+
+  supportsImages() {
+    return this.provider.supportsImages();
+  }
+
+  _request(type, messages, options) {
+    const recordedOptions = {};
+    for (const key of RECORDED_OPTIONS) {
+      if (options[key] !== undefined) recordedOptions[key] = options[key];
+    }
+
+    return {
+      type,
+      provider: this.name,
+      model: this.model,
+      template: options.template || null,
+      templateVersion: options.templateVersion || null,
+      variables: options.templateVariables,
+      messages,
+      tools: (options.tools || []).map(tool => tool.name || (tool.function && tool.function.name)),
+      options: recordedOptions
+    };
+  }
+}
+
+module.exports = CassetteProvider;
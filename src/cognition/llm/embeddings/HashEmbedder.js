@@ -0,0 +1,48 @@
+// src/cognition/llm/embeddings/HashEmbedder.js
+// Deterministic, offline embeddings: words and character trigrams are hashed
+// into a fixed number of buckets (with a hashed sign, so collisions tend to
+// cancel out) and the vector is normalized. Texts that share words and word
+// fragments come out similar; meaning beyond that is not captured, so it is a
+// fallback for tests and offline runs rather than a semantic model.
+const crypto = require('crypto');
+const { normalize } = require('./vectors');
+
+class HashEmbedder {
+  constructor(config = {}) {
+    this.dimensions = config.dimensions || 256;
+    this.ngramSize = config.ngramSize || 3;
+    this.model = `hash-ngram-${this.dimensions}`;
+  }
+
+  async embed(texts) {
+    return {
+      embeddings: texts.map(text => this.embedText(text)),
+      model: this.model,
+      usage: null
+    };
+  }
+
+  embedText(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = String(text).toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+
+    for (const word of words) {
+      this._addFeature(vector, `w:${word}`, 1);
+
+      const padded = `#${word}#`;
+      for (let index = 0; index + this.ngramSize <= padded.length; index++) {
+        this._addFeature(vector, `g:${padded.slice(index, index + this.ngramSize)}`, 0.5);
+      }
+    }
+
+    return normalize(vector);
+  }
+
+  _addFeature(vector, feature, weight) {
+    const hash = crypto.createHash('md5').update(feature).digest();
+    const bucket = hash.readUInt32BE(0) % this.dimensions;
+    vector[bucket] += (hash[4] & 1 ? 1 : -1) * weight;
+  }
+}
+
+module.exports = HashEmbedder;
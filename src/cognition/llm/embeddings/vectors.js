@@ -0,0 +1,25 @@
+// src/cognition/llm/embeddings/vectors.js
+// Helpers for embedding vectors (plain number arrays)
+
+function normalize(vector) {
+  const length = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return length > 0 ? vector.map(value => value / length) : vector;
+}
+
+function cosineSimilarity(a, b) {
+  if (a.length !== b.length) {
+    throw new Error(`Cannot compare vectors of different dimensions (${a.length} and ${b.length})`);
+  }
+
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let index = 0; index < a.length; index++) {
+    dot += a[index] * b[index];
+    normA += a[index] * a[index];
+    normB += b[index] * b[index];
+  }
+  return normA > 0 && normB > 0 ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+module.exports = { normalize, cosineSimilarity };
@@ -1,10 +1,14 @@
 
   // src/cognition/llm/providers/AnthropicProvider.js
+  const readEventStream = require('./eventStream');
+  const { createApiError } = require('./apiError');
+  
   class AnthropicProvider {
     constructor(config = {}) {
       this.apiKey = config.apiKey;
       this.model = config.model || 'claude-3-opus-20240229';
       this.baseURL = config.baseURL || 'https://api.anthropic.com/v1';
+      this.vision = config.vision;
       this.defaultOptions = config.defaultOptions || {
         temperature: 0.7,
         max_tokens: 1000
@@ -12,8 +16,19 @@
     }
     
     async complete(prompt, options = {}) {
+      const response = await this.chat([{ role: 'user', content: prompt }], options);
+      return response.text;
+    }
+    
+    async chat(messages, options = {}) {
       const requestOptions = { ...this.defaultOptions, ...options };
       
+      const body = this._createBody(messages, requestOptions);
+      
+      if (requestOptions.tools && requestOptions.tools.length > 0) {
+        body.tools = requestOptions.tools;
+      }
+      
       try {
         const response = await fetch(`${this.baseURL}/messages`, {
           method: 'POST',
@@ -22,26 +37,188 @@
             'x-api-key': this.apiKey,
             'anthropic-version': '2023-06-01'
           },
-          body: JSON.stringify({
-            model: this.model,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: requestOptions.temperature,
-            max_tokens: requestOptions.max_tokens
-          })
+          body: JSON.stringify(body),
+          signal: options.signal
         });
         
-        const data = await response.json();
-        
         if (!response.ok) {
-          throw new Error(`Anthropic API error: ${data.error?.message || response.statusText}`);
+          // Error bodies from gateways are not always JSON
+          const data = await response.json().catch(() => ({}));
+          throw createApiError('Anthropic', response, data);
         }
         
-        return data.content[0].text;
+        const data = await response.json();
+        
+        const blocks = data.content || [];
+        return {
+          text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+          toolCalls: blocks.filter(block => block.type === 'tool_use').map(block => ({
+            id: block.id,
+            name: block.name,
+            arguments: block.input || {}
+          })),
+          stopReason: data.stop_reason,
+          usage: this._normalizeUsage(data.usage),
+          model: data.model || body.model,
+          raw: data
+        };
       } catch (error) {
         console.error('Error calling Anthropic API:', error);
         throw error;
       }
     }
+    
+    completeStream(prompt, options = {}) {
+      return this.chatStream([{ role: 'user', content: prompt }], options);
+    }
+    
+    async *chatStream(messages, options = {}) {
+      const requestOptions = { ...this.defaultOptions, ...options };
+      
+      const body = { ...this._createBody(messages, requestOptions), stream: true };
+      
+      const response = await fetch(`${this.baseURL}/messages`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01'
+        },
+        body: JSON.stringify(body),
+        signal: options.signal
+      });
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw createApiError('Anthropic', response, data);
+      }
+      
+      let text = '';
+      let stopReason = null;
+      const usage = { input_tokens: 0, output_tokens: 0 };
+      
+      for await (const event of readEventStream(response.body)) {
+        const data = JSON.parse(event.data);
+        
+        switch (data.type) {
+          case 'message_start':
+            Object.assign(usage, data.message.usage);
+            break;
+          case 'content_block_delta':
+            if (data.delta.type === 'text_delta') {
+              text += data.delta.text;
+              yield { type: 'token', text: data.delta.text };
+            }
+            break;
+          case 'message_delta':
+            // Output token counts here are cumulative
+            stopReason = data.delta.stop_reason || stopReason;
+            Object.assign(usage, data.usage);
+            break;
+          case 'error': {
+            // Overload and server errors can surface mid-stream with a 200 status
+            const error = new Error(`Anthropic API error: ${data.error.message}`);
+            error.retryable = ['overloaded_error', 'api_error'].includes(data.error.type);
+            throw error;
+          }
+        }
+        
+        if (data.type === 'message_stop') break;
+      }
+      
+      yield { type: 'done', text, stopReason, usage: this._normalizeUsage(usage), model: body.model };
+    }
+    
+    formatTools(skills) {
+      // Skill descriptions (ActionSystem.listSkills) as Anthropic tools
+      return skills.map(skill => ({
+        name: skill.name,
+        description: skill.description || skill.name,
+        input_schema: skill.parameters || { type: 'object', properties: {} }
+      }));
+    }
+    
+    _normalizeUsage(usage) {
+      if (!usage) return null;
+      const inputTokens = usage.input_tokens || 0;
+      const outputTokens = usage.output_tokens || 0;
+      return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+    }
+    
+    supportsImages() {
+      // Every Claude 3 and later model takes images
+      return this.vision !== undefined ? !!this.vision : !/^claude-(instant|2)/.test(this.model);
+    }
+    
+    _createBody(messages, requestOptions) {
+      const body = {
+        model: requestOptions.model || this.model, // A template may ask for another model
+        messages: this._toAnthropicMessages(messages),
+        temperature: requestOptions.temperature,
+        max_tokens: requestOptions.max_tokens
+      };
+      
+      // System prompts are a top-level field rather than a message role
+      const system = messages
+        .filter(message => message.role === 'system')
+        .map(message => message.content)
+        .join('\n\n');
+      if (system) {
+        body.system = system;
+      }
+      
+      return body;
+    }
+    
+    _toAnthropicMessages(messages) {
+      const converted = [];
+      
+      for (const message of messages) {
+        if (message.role === 'system') continue;
+        
+        if (message.role === 'tool') {
+          // Tool results travel in a user turn; consecutive results share one
+          const block = {
+            type: 'tool_result',
+            tool_use_id: message.toolCallId,
+            content: message.content,
+            is_error: !!message.isError
+          };
+          const previous = converted[converted.length - 1];
+          
+          if (previous && previous.role === 'user' && Array.isArray(previous.content) &&
+              previous.content.every(item => item.type === 'tool_result')) {
+            previous.content.push(block);
+          } else {
+            converted.push({ role: 'user', content: [block] });
+          }
+          continue;
+        }
+        
+        if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+          const content = message.content ? [{ type: 'text', text: message.content }] : [];
+          for (const call of message.toolCalls) {
+            content.push({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments || {} });
+          }
+          converted.push({ role: 'assistant', content });
+          continue;
+        }
+        
+        converted.push({ role: message.role, content: this._toAnthropicContent(message.content) });
+      }
+      
+      return converted;
+    }
+    
+    _toAnthropicContent(content) {
+      // Content is a string or a list of { type: 'text', text } and
+      // { type: 'image', mimeType, data } parts (data is base64)
+      if (!Array.isArray(content)) return content;
+      
+      return content.map(part => part.type === 'image'
+        ? { type: 'image', source: { type: 'base64', media_type: part.mimeType, data: part.data } }
+        : { type: 'text', text: part.text });
+    }
   }
-  
+
 module.exports = AnthropicProvider;
\ No newline at end of file
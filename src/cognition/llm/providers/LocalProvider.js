@@ -0,0 +1,21 @@
+// src/cognition/llm/providers/LocalProvider.js
+const OpenAIProvider = require('./OpenAIProvider');
+
+// Talks to self-hosted servers exposing the OpenAI chat completions API:
+// llama.cpp (`llama-server`, http://localhost:8080/v1), vLLM
+// (http://localhost:8000/v1) or Ollama (http://localhost:11434/v1, the
+// default). No API key is sent unless one is configured. Embeddings use the
+// server's /embeddings endpoint with `embeddingModel`.
+class LocalProvider extends OpenAIProvider {
+  constructor(config = {}) {
+    super({
+      ...config,
+      baseURL: (config.baseURL || 'http://localhost:11434/v1').replace(/\/+$/, ''),
+      model: config.model || 'llama3',
+      embeddingModel: config.embeddingModel || 'nomic-embed-text'
+    });
+    this.label = 'Local LLM';
+  }
+}
+
+module.exports = LocalProvider;
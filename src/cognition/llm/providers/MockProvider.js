@@ -0,0 +1,163 @@
+// src/cognition/llm/providers/MockProvider.js
+const HashEmbedder = require('../embeddings/HashEmbedder');
+const TokenEstimator = require('../TokenEstimator');
+
+// Deterministic provider for tests and offline runs. Each request is answered
+// by, in order:
+//
+//   1. the next entry of `responses` (a script consumed front to back)
+//   2. the first of `patterns` whose `match` fits the last user message
+//      (a RegExp, a substring, or a function of (text, messages))
+//   3. `defaultResponse`
+//
+// A response is a string, { text, toolCalls, usage }, or a function of
+// (messages, options) returning either. An Error instance is thrown instead,
+// which lets tests script failures (give it a `status` such as 429).
+// Every request is recorded in `calls`. Embeddings are hashed n-gram vectors
+// (see HashEmbedder), so equal texts always get equal vectors; embedded texts
+// are recorded in `embedCalls`. Images are accepted unless `vision` is false.
+// Responses without `usage` report TokenEstimator counts for the messages
+// and the reply, so usage tracking and budgets work as with a real provider.
+class MockProvider {
+  constructor(config = {}) {
+    this.model = config.model || 'mock';
+    this.responses = [...(config.responses || [])];
+    this.patterns = config.patterns || [];
+    this.defaultResponse = config.defaultResponse !== undefined ? config.defaultResponse : 'OK';
+    this.streamDelay = config.streamDelay || 0;
+    this.vision = config.vision !== false;
+    this.calls = [];
+    this.embedCalls = [];
+    this.embedder = new HashEmbedder({ dimensions: config.dimensions });
+    this.tokenEstimator = new TokenEstimator();
+  }
+
+  enqueue(...responses) {
+    this.responses.push(...responses);
+    return this;
+  }
+
+  addPattern(match, response) {
+    this.patterns.push({ match, response });
+    return this;
+  }
+
+  reset() {
+    this.responses = [];
+    this.calls = [];
+    this.embedCalls = [];
+    return this;
+  }
+
+  async complete(prompt, options = {}) {
+    const response = await this.chat([{ role: 'user', content: prompt }], options);
+    return response.text;
+  }
+
+  async chat(messages, options = {}) {
+    this.calls.push({ messages, options });
+    const resolved = await this._resolve(messages, options);
+    if (resolved instanceof Error) {
+      throw resolved;
+    }
+    const response = this._normalize(resolved, messages);
+
+    return {
+      ...response,
+      stopReason: response.toolCalls.length > 0 ? 'tool_use' : 'end_turn',
+      model: options.model || this.model,
+      raw: { mock: true }
+    };
+  }
+
+  completeStream(prompt, options = {}) {
+    return this.chatStream([{ role: 'user', content: prompt }], options);
+  }
+
+  async *chatStream(messages, options = {}) {
+    const response = await this.chat(messages, options);
+
+    // Word-sized tokens, keeping the whitespace so they join back exactly
+    for (const token of response.text.match(/\s*\S+\s*/g) || []) {
+      if (options.signal && options.signal.aborted) {
+        throw options.signal.reason || new Error('Stream aborted');
+      }
+      if (this.streamDelay > 0) {
+        await new Promise(resolve => setTimeout(resolve, this.streamDelay));
+      }
+      yield { type: 'token', text: token };
+    }
+
+    yield { type: 'done', text: response.text, stopReason: response.stopReason, usage: response.usage, model: response.model };
+  }
+
+  supportsImages() {
+    return this.vision;
+  }
+
+  async embed(texts) {
+    this.embedCalls.push(texts);
+    const result = await this.embedder.embed(texts);
+    return { ...result, model: `${this.model}-embedding` };
+  }
+
+  formatTools(skills) {
+    return skills.map(skill => ({
+      name: skill.name,
+      description: skill.description || skill.name,
+      parameters: skill.parameters || { type: 'object', properties: {} }
+    }));
+  }
+
+  async _resolve(messages, options) {
+    let response;
+
+    if (this.responses.length > 0) {
+      response = this.responses.shift();
+    } else {
+      const lastUser = [...messages].reverse().find(message => message.role === 'user');
+      const text = lastUser ? this._textOf(lastUser.content) : '';
+      const pattern = this.patterns.find(candidate => this._matches(candidate.match, text, messages));
+      response = pattern ? pattern.response : this.defaultResponse;
+    }
+
+    return typeof response === 'function' ? response(messages, options) : response;
+  }
+
+  _textOf(content) {
+    if (typeof content === 'string') return content;
+    return Array.isArray(content) ? content.filter(part => part.type === 'text').map(part => part.text).join('\n') : '';
+  }
+
+  _matches(match, text, messages) {
+    if (match instanceof RegExp) return match.test(text);
+    if (typeof match === 'function') return !!match(text, messages);
+    return text.includes(String(match));
+  }
+
+  _normalize(response, messages) {
+    const value = typeof response === 'string' || response === undefined || response === null
+      ? { text: response || '' }
+      : response;
+    let text = value.text === undefined ? '' : value.text;
+    if (typeof text !== 'string') text = JSON.stringify(text);
+
+    return {
+      text,
+      toolCalls: (value.toolCalls || []).map((call, index) => ({
+        id: call.id || `mock-call-${this.calls.length}-${index}`,
+        name: call.name,
+        arguments: call.arguments || {}
+      })),
+      usage: value.usage || this._estimateUsage(messages, text)
+    };
+  }
+
+  _estimateUsage(messages, text) {
+    const inputTokens = this.tokenEstimator.estimateMessages(messages);
+    const outputTokens = this.tokenEstimator.estimate(text);
+    return { inputTokens, outputTokens, totalTokens: inputTokens + outputTokens };
+  }
+}
+
+module.exports = MockProvider;
@@ -1,9 +1,19 @@
 // src/cognition/llm/providers/OpenAIProvider.js
+const readEventStream = require('./eventStream');
+const { createApiError } = require('./apiError');
+
+// Models that accept image input; `vision` in the config overrides the guess
+const VISION_MODEL_PATTERN = /^(gpt-4o|gpt-4\.1|gpt-4-turbo|gpt-4-vision|gpt-5|o1|o3|o4)/;
+
 class OpenAIProvider {
     constructor(config = {}) {
       this.apiKey = config.apiKey;
       this.model = config.model || 'gpt-4';
+      this.embeddingModel = config.embeddingModel || 'text-embedding-3-small';
+      this.vision = config.vision;
       this.baseURL = config.baseURL || 'https://api.openai.com/v1';
+      this.label = 'OpenAI';
+      this.streamUsage = config.streamUsage !== false;
       this.defaultOptions = config.defaultOptions || {
         temperature: 0.7,
         max_tokens: 1000
@@ -11,35 +21,216 @@ class OpenAIProvider {
     }
     
     async complete(prompt, options = {}) {
+      const response = await this.chat([{ role: 'user', content: prompt }], options);
+      return response.text;
+    }
+    
+    async chat(messages, options = {}) {
       const requestOptions = { ...this.defaultOptions, ...options };
       
+      const body = {
+        model: requestOptions.model || this.model, // A template may ask for another model
+        messages: this._toOpenAIMessages(messages),
+        temperature: requestOptions.temperature,
+        max_tokens: requestOptions.max_tokens
+      };
+      
+      if (requestOptions.tools && requestOptions.tools.length > 0) {
+        body.tools = requestOptions.tools;
+      }
+      
       try {
         const response = await fetch(`${this.baseURL}/chat/completions`, {
           method: 'POST',
-          headers: {
-            'Content-Type': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-          },
-          body: JSON.stringify({
-            model: this.model,
-            messages: [{ role: 'user', content: prompt }],
-            temperature: requestOptions.temperature,
-            max_tokens: requestOptions.max_tokens
-          })
+          headers: this._headers(),
+          body: JSON.stringify(body),
+          signal: options.signal
         });
         
-        const data = await response.json();
-        
         if (!response.ok) {
-          throw new Error(`OpenAI API error: ${data.error?.message || response.statusText}`);
+          // Error bodies from gateways are not always JSON
+          const data = await response.json().catch(() => ({}));
+          throw createApiError(this.label, response, data);
         }
         
-        return data.choices[0].message.content;
+        const data = await response.json();
+        
+        const message = data.choices[0].message;
+        return {
+          text: message.content || '',
+          toolCalls: (message.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function.name,
+            arguments: this._parseArguments(call.function.arguments)
+          })),
+          stopReason: data.choices[0].finish_reason,
+          usage: this._normalizeUsage(data.usage),
+          model: data.model || body.model,
+          raw: data
+        };
       } catch (error) {
-        console.error('Error calling OpenAI API:', error);
+        console.error(`Error calling ${this.label} API:`, error);
         throw error;
       }
     }
+    
+    completeStream(prompt, options = {}) {
+      return this.chatStream([{ role: 'user', content: prompt }], options);
+    }
+    
+    async *chatStream(messages, options = {}) {
+      const requestOptions = { ...this.defaultOptions, ...options };
+      
+      const body = {
+        model: requestOptions.model || this.model, // A template may ask for another model
+        messages: this._toOpenAIMessages(messages),
+        temperature: requestOptions.temperature,
+        max_tokens: requestOptions.max_tokens,
+        stream: true
+      };
+      
+      if (this.streamUsage) {
+        body.stream_options = { include_usage: true }; // Usage arrives in a final chunk without choices
+      }
+      
+      const response = await fetch(`${this.baseURL}/chat/completions`, {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify(body),
+        signal: options.signal
+      });
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw createApiError(this.label, response, data);
+      }
+      
+      let text = '';
+      let stopReason = null;
+      let usage = null;
+      
+      for await (const event of readEventStream(response.body)) {
+        if (event.data === '[DONE]') break;
+        
+        const chunk = JSON.parse(event.data);
+        if (chunk.error) {
+          throw new Error(`${this.label} API error: ${chunk.error.message}`);
+        }
+        if (chunk.usage) {
+          usage = this._normalizeUsage(chunk.usage);
+        }
+        
+        const choice = chunk.choices && chunk.choices[0];
+        if (!choice) continue;
+        
+        if (choice.finish_reason) {
+          stopReason = choice.finish_reason;
+        }
+        if (choice.delta && choice.delta.content) {
+          text += choice.delta.content;
+          yield { type: 'token', text: choice.delta.content };
+        }
+      }
+      
+      yield { type: 'done', text, stopReason, usage, model: body.model };
+    }
+    
+    async embed(texts, options = {}) {
+      const response = await fetch(`${this.baseURL}/embeddings`, {
+        method: 'POST',
+        headers: this._headers(),
+        body: JSON.stringify({ model: this.embeddingModel, input: texts }),
+        signal: options.signal
+      });
+      
+      if (!response.ok) {
+        const data = await response.json().catch(() => ({}));
+        throw createApiError(this.label, response, data);
+      }
+      
+      const data = await response.json();
+      
+      // Each result carries the index of its input
+      const embeddings = [];
+      for (const item of data.data) {
+        embeddings[item.index] = item.embedding;
+      }
+      return { embeddings, model: data.model || this.embeddingModel, usage: this._normalizeUsage(data.usage) };
+    }
+    
+    supportsImages() {
+      return this.vision !== undefined ? !!this.vision : VISION_MODEL_PATTERN.test(this.model);
+    }
+    
+    formatTools(skills) {
+      // Skill descriptions (ActionSystem.listSkills) as OpenAI function tools
+      return skills.map(skill => ({
+        type: 'function',
+        function: {
+          name: skill.name,
+          description: skill.description || skill.name,
+          parameters: skill.parameters || { type: 'object', properties: {} }
+        }
+      }));
+    }
+    
+    _toOpenAIMessages(messages) {
+      return messages.map(message => {
+        if (message.role === 'tool') {
+          return { role: 'tool', tool_call_id: message.toolCallId, content: message.content };
+        }
+        
+        if (message.role === 'assistant' && message.toolCalls && message.toolCalls.length > 0) {
+          return {
+            role: 'assistant',
+            content: message.content || null,
+            tool_calls: message.toolCalls.map(call => ({
+              id: call.id,
+              type: 'function',
+              function: { name: call.name, arguments: JSON.stringify(call.arguments || {}) }
+            }))
+          };
+        }
+        
+        return { role: message.role, content: this._toOpenAIContent(message.content) };
+      });
+    }
+    
+    _toOpenAIContent(content) {
+      // Content is a string or a list of { type: 'text', text } and
+      // { type: 'image', mimeType, data } parts (data is base64)
+      if (!Array.isArray(content)) return content;
+      
+      return content.map(part => part.type === 'image'
+        ? { type: 'image_url', image_url: { url: `data:${part.mimeType};base64,${part.data}` } }
+        : { type: 'text', text: part.text });
+    }
+    
+    _headers() {
+      const headers = { 'Content-Type': 'application/json' };
+      if (this.apiKey) {
+        headers['Authorization'] = `Bearer ${this.apiKey}`;
+      }
+      return headers;
+    }
+    
+    _normalizeUsage(usage) {
+      if (!usage) return null;
+      return {
+        inputTokens: usage.prompt_tokens || 0,
+        outputTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || (usage.prompt_tokens || 0) + (usage.completion_tokens || 0)
+      };
+    }
+    
+    _parseArguments(json) {
+      try {
+        return json ? JSON.parse(json) : {};
+      } catch (error) {
+        // Leave malformed arguments for the skill's parameter validation to reject
+        return { _raw: json };
+      }
+    }
   }
-  
-module.exports = OpenAIProvider;
+
+module.exports = OpenAIProvider;
\ No newline at end of file
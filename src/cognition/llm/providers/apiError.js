@@ -0,0 +1,28 @@
+// src/cognition/llm/providers/apiError.js
+// Builds the error thrown for a non-2xx API response. `status` and
+// `retryAfter` (milliseconds, from the Retry-After header) let LLMService
+// decide between retrying, failing over and giving up.
+function createApiError(label, response, data = {}) {
+  const error = new Error(`${label} API error: ${data.error?.message || response.statusText}`);
+  error.status = response.status;
+
+  const retryAfter = parseRetryAfter(response.headers && response.headers.get('retry-after'));
+  if (retryAfter !== null) {
+    error.retryAfter = retryAfter;
+  }
+
+  return error;
+}
+
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  // Either delta-seconds or an HTTP date
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+module.exports = { createApiError, parseRetryAfter };
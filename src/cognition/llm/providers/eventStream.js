@@ -0,0 +1,46 @@
+// src/cognition/llm/providers/eventStream.js
+// Reads a server-sent-event response body and yields one { event, data }
+// object per event. Both vendors put JSON in `data`; OpenAI also names no
+// events while Anthropic sets `event:` on every one.
+async function* readEventStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+      const block = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+
+      const event = parseEvent(block);
+      if (event) yield event;
+    }
+  }
+
+  buffer += decoder.decode();
+  const event = parseEvent(buffer);
+  if (event) yield event;
+}
+
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+
+  for (const line of block.split(/\r?\n/)) {
+    if (line === '' || line.startsWith(':')) continue; // Comments keep the connection alive
+
+    const colon = line.indexOf(':');
+    const field = colon === -1 ? line : line.slice(0, colon);
+    const value = colon === -1 ? '' : line.slice(colon + 1).replace(/^ /, '');
+
+    if (field === 'event') event = value;
+    if (field === 'data') data.push(value);
+  }
+
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+module.exports = readEventStream;
@@ -1,8 +1,11 @@
 // src/cognition/planning/PlanningModule.js
+const Runtime = require('../../core/Runtime');
+
 class PlanningModule {
     constructor(config = {}) {
       this.config = config;
       this.llmService = null;
+      this.availableSkills = null;
       this.goalManager = new GoalManager(config.goalManager || {});
       this.actionPlanner = new ActionPlanner(config.actionPlanner || {});
       this.outcomePredictor = new OutcomePredictor(config.outcomePredictor || {});
@@ -12,6 +15,18 @@ class PlanningModule {
       this.llmService = llmService;
     }
     
+    setRuntime(runtime) {
+      // Goal and action ids come from the agent's runtime
+      this.goalManager.runtime = runtime;
+      this.actionPlanner.runtime = runtime;
+    }
+    
+    setAvailableSkills(skills) {
+      // Skill descriptions as returned by ActionSystem.listSkills()
+      this.availableSkills = Array.isArray(skills) ? skills : null;
+      this.actionPlanner.setAvailableSkills(this.availableSkills);
+    }
+    
     createPlan(analysis) {
       // Traditional planning
       const goals = this.goalManager.deriveGoals(analysis);
@@ -34,7 +49,7 @@ class PlanningModule {
         const enhancedPlan = await this.llmService.plan(
           JSON.stringify(initialPlan.goals),
           JSON.stringify(context),
-          "Plan optimally to achieve goals based on the analysis"
+          this._describeResources()
         );
         
         // Validate the LLM plan
@@ -50,16 +65,36 @@ class PlanningModule {
           finalPlan: evaluationScore > 0.7 ? enhancedPlan : initialPlan.actionSequence
         };
       } catch (error) {
+        if (error.code === 'CASSETTE_MISS') throw error; // A replay must not quietly diverge
         console.error('LLM planning enhancement failed:', error);
         return initialPlan; // Fallback to traditional planning
       }
     }
+    
+    _describeResources() {
+      const instruction = "Plan optimally to achieve goals based on the analysis";
+      if (!this.availableSkills || this.availableSkills.length === 0) {
+        return instruction;
+      }
+      
+      // List the skills the action system can actually execute
+      const skillLines = this.availableSkills.map(skill => {
+        const parameterNames = skill.parameters && skill.parameters.properties
+          ? Object.keys(skill.parameters.properties)
+          : [];
+        const description = skill.description ? `: ${skill.description}` : '';
+        return `- ${skill.name}(${parameterNames.join(', ')})${description}`;
+      });
+      
+      return `${instruction}. Only use these skills:\n${skillLines.join('\n')}`;
+    }
   }
   
   // Goal Manager - Responsible for deriving goals from analysis
   class GoalManager {
     constructor(config = {}) {
       this.config = config;
+      this.runtime = Runtime.default;
       this.defaultGoals = config.defaultGoals || {
         'query': { type: 'answer', priority: 'high' },
         'command': { type: 'execute', priority: 'high' },
@@ -78,7 +113,7 @@ class PlanningModule {
         
         if (defaultGoal) {
           goals.push({
-            id: `goal-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+            id: this.runtime.createId('goal'),
             type: defaultGoal.type,
             priority: defaultGoal.priority,
             source: 'classification',
@@ -92,7 +127,7 @@ class PlanningModule {
         for (const inference of analysis.inferences) {
           if (inference.intent) {
             goals.push({
-              id: `goal-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+              id: this.runtime.createId('goal'),
               type: this._mapIntentToGoalType(inference.intent),
               priority: this._determineGoalPriority(inference),
               source: 'inference',
@@ -107,7 +142,7 @@ class PlanningModule {
         for (const llmGoal of analysis.llmAnalysis.goals) {
           goals.push({
             ...llmGoal,
-            id: llmGoal.id || `goal-llm-${Date.now()}-${Math.floor(Math.random() * 1000)}`,
+            id: llmGoal.id || this.runtime.createId('goal-llm'),
             source: 'llm',
             confidence: llmGoal.confidence || 0.8 // Generally high confidence for LLM goals
           });
@@ -159,6 +194,8 @@ class PlanningModule {
   class ActionPlanner {
     constructor(config = {}) {
       this.config = config;
+      this.runtime = Runtime.default;
+      this.availableSkills = null;
       this.actionMappings = config.actionMappings || {
         'answer': ['retrieveInformation', 'formatResponse'],
         'execute': ['parseCommand', 'executeAction', 'reportResult'],
@@ -169,9 +206,13 @@ class PlanningModule {
       };
     }
     
+    setAvailableSkills(skills) {
+      this.availableSkills = skills ? new Set(skills.map(skill => skill.name)) : null;
+    }
+    
     planActions(goals, analysis) {
       if (!goals || goals.length === 0) {
-        return [{ type: 'noop', description: 'No action needed' }];
+        return [{ type: 'noop', description: 'No action needed', dependsOn: [] }];
       }
       
       const actionSequence = [];
@@ -189,15 +230,28 @@ class PlanningModule {
     
     _createActionsForGoal(goal, analysis) {
       const goalType = goal.type;
-      const actionTypes = this.actionMappings[goalType] || ['processGeneric'];
+      let actionTypes = this.actionMappings[goalType] || ['processGeneric'];
+      
+      // Drop actions the action system has no skill for
+      if (this.availableSkills) {
+        actionTypes = actionTypes.filter(actionType => this.availableSkills.has(actionType));
+        if (actionTypes.length === 0) {
+          actionTypes = ['noop'];
+        }
+      }
+      
+      const chainId = this.runtime.createId('action');
       
+      // Each goal is a chain: every action depends on the one before it, while
+      // chains of different goals stay independent of each other
       return actionTypes.map((actionType, index) => {
         return {
-          id: `action-${Date.now()}-${Math.floor(Math.random() * 1000)}-${index}`,
+          id: `${chainId}-${index}`,
           type: actionType,
           goalId: goal.id,
           parameters: this._determineActionParameters(actionType, goal, analysis),
           order: index,
+          dependsOn: index > 0 ? [`${chainId}-${index - 1}`] : [],
           description: this._getActionDescription(actionType, goal)
         };
       });
@@ -207,7 +261,7 @@ class PlanningModule {
       // Default parameters based on action type
       const defaultParams = {
         'retrieveInformation': { query: 'information' },
-        'formatResponse': { format: 'text' },
+        'formatResponse': {}, // Format follows the output channel unless set
         'parseCommand': { commandText: '' },
         'executeAction': { action: 'unknown' },
         'searchKnowledge': { topic: 'unknown' }
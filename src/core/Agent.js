@@ -1,10 +1,12 @@
 const EventBus = require('./EventBus');
 const Config = require('./Config');
+const Runtime = require('./Runtime');
 
 class Agent {
   constructor(config = {}) {
     this.eventBus = new EventBus();
     this.config = new Config(config);
+    this.runtime = config.runtime instanceof Runtime ? config.runtime : new Runtime(config.runtime || {});
     
     // Core systems
     this.perceptionSystem = null;
@@ -13,7 +15,7 @@ class Agent {
     this.memorySystem = null;
     
     this.initialized = false;
-    this.id = config.id || `agent-${Date.now()}`;
+    this.id = config.id || `agent-${this.runtime.now()}`;
     
     // Initialize with provided config
     this.initialize(config);
@@ -42,6 +44,12 @@ class Agent {
     this.actionSystem.setAgent(this);
     this.memorySystem.setAgent(this);
     
+    // Memory search uses the model's embeddings unless configured to stay on hashed vectors
+    const llmService = this.cognitiveSystem.llmService;
+    if (llmService && this.config.get('memory.embeddings.source', 'llm') === 'llm') {
+      this.memorySystem.setEmbedder(texts => llmService.embed(texts));
+    }
+    
     // Set up event listeners
     this._setupEventListeners();
     
@@ -55,8 +63,14 @@ class Agent {
       // Store in working memory
       this.memorySystem.addToWorkingMemory('perceivedData', perceivedData);
       
-      // Process with cognitive system
-      const cognitiveResult = await this.cognitiveSystem.process(perceivedData);
+      // Process with cognitive system; a failure (e.g. a blocking LLM budget) ends the cycle
+      let cognitiveResult;
+      try {
+        cognitiveResult = await this.cognitiveSystem.process(perceivedData);
+      } catch (error) {
+        this.eventBus.emit('cycle:error', { phase: 'cognition', error });
+        return;
+      }
       this.eventBus.emit('cognition:complete', cognitiveResult);
     });
     
@@ -65,19 +79,27 @@ class Agent {
       // Store in working memory
       this.memorySystem.addToWorkingMemory('cognitiveResult', cognitiveResult);
       
-      // Execute actions
-      const actionResult = await this.actionSystem.execute(cognitiveResult.plan);
+      // Execute actions, formatting output for the channel the input came from
+      const perceivedData = this.memorySystem.getFromWorkingMemory('perceivedData');
+      const actionResult = await this.actionSystem.execute(cognitiveResult.plan, {
+        channel: perceivedData ? perceivedData.channel : null
+      });
       this.eventBus.emit('action:complete', actionResult);
     });
     
     // Handle action events
     this.eventBus.on('action:complete', (actionResult) => {
-      // Store episode in memory
+      // Store episode in memory, noting which prompt versions produced it and
+      // any ReAct thoughts, actions and observations
+      const cognitiveResult = this.memorySystem.getFromWorkingMemory('cognitiveResult');
       const episode = {
+        cycleId: this.memorySystem.getFromWorkingMemory('cycleId'),
         perceivedData: this.memorySystem.getFromWorkingMemory('perceivedData'),
-        cognitiveResult: this.memorySystem.getFromWorkingMemory('cognitiveResult'),
+        cognitiveResult,
+        promptVersions: (cognitiveResult && cognitiveResult.promptVersions) || [],
+        reactSteps: (cognitiveResult && cognitiveResult.react && cognitiveResult.react.steps) || [],
         actionResult: actionResult,
-        timestamp: Date.now()
+        timestamp: this.runtime.now()
       };
       
       this.memorySystem.storeEpisode(episode);
@@ -92,19 +114,29 @@ class Agent {
     
     try {
       // Start processing cycle
-      this.eventBus.emit('cycle:start', { input, timestamp: Date.now() });
-      
-      // Process input through perception system
-      const perceivedData = await this.perceptionSystem.process(input);
-      this.eventBus.emit('perception:complete', perceivedData);
+      const cycleId = this.runtime.createId('cycle');
+      this.memorySystem.addToWorkingMemory('cycleId', cycleId);
+      this.eventBus.emit('cycle:start', { cycleId, input, timestamp: this.runtime.now() });
       
       // Wait for cycle to complete
-      return new Promise((resolve) => {
-        const unsubscribe = this.eventBus.on('cycle:complete', (result) => {
-          unsubscribe();
+      const cycleComplete = new Promise((resolve, reject) => {
+        const unsubscribeComplete = this.eventBus.on('cycle:complete', (result) => {
+          unsubscribeComplete();
+          unsubscribeError();
           resolve(result);
         });
+        const unsubscribeError = this.eventBus.on('cycle:error', ({ error }) => {
+          unsubscribeComplete();
+          unsubscribeError();
+          reject(error);
+        });
       });
+      
+      // Process input through perception system; it emits perception:complete,
+      // which drives cognition and action
+      await this.perceptionSystem.process(input);
+      
+      return cycleComplete;
     } catch (error) {
       this.eventBus.emit('error', { phase: 'process', error });
       throw error;
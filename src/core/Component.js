@@ -1,3 +1,5 @@
+const Runtime = require('./Runtime');
+
 class Component {
     constructor(type) {
       this.type = type;
@@ -17,6 +19,11 @@ class Component {
       this.initialized = true;
     }
   
+    get runtime() {
+      // The agent's clock, random source and ids (see Runtime)
+      return (this.agent && this.agent.runtime) || Runtime.default;
+    }
+  
     emit(eventName, data) {
       if (this.eventBus) {
         this.eventBus.emit(eventName, data);
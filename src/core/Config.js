@@ -70,7 +70,11 @@ class Config {
     }
   
     _isObject(item) {
-      return (item && typeof item === 'object' && !Array.isArray(item));
+      // Only plain objects are merged; class instances (e.g. an injected LLM
+      // provider) are kept by reference
+      if (!item || typeof item !== 'object' || Array.isArray(item)) return false;
+      const prototype = Object.getPrototypeOf(item);
+      return prototype === Object.prototype || prototype === null;
     }
   
     setValidator(path, validatorFn) {
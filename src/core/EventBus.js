@@ -16,6 +16,10 @@ class EventBus {
       this.listeners[event] = this.listeners[event].filter(cb => cb !== callback);
     }
   
+    listenerCount(event) {
+      return this.listeners[event] ? this.listeners[event].length : 0;
+    }
+  
     emit(event, data) {
       if (!this.listeners[event]) return;
       this.listeners[event].forEach(callback => {
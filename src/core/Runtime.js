@@ -0,0 +1,50 @@
+// src/core/Runtime.js
+// The clock, random source and id generator an agent's components share.
+// Real time and Math.random by default; inject them to make a run
+// reproducible, e.g. when replaying a cassette:
+//
+//   new Agent({ runtime: { seed: 42, now: () => 1700000000000 } })
+//
+// `seed` switches to a seeded generator unless `random` is given. Ids are
+// `${prefix}-${now}-${n}` with a counter, so they never repeat within a
+// runtime even when the clock stands still; a `createId(prefix)` given in
+// the config replaces them and must be just as unique.
+class Runtime {
+  constructor(config = {}) {
+    this.clock = config.now || Date.now;
+    this.randomSource = config.random || (config.seed !== undefined ? seededRandom(config.seed) : Math.random);
+    this.idGenerator = config.createId || null;
+    this.sequence = 0;
+  }
+
+  now() {
+    return this.clock();
+  }
+
+  random() {
+    return this.randomSource();
+  }
+
+  createId(prefix) {
+    if (this.idGenerator) return this.idGenerator(prefix);
+    this.sequence++;
+    return `${prefix}-${this.now()}-${this.sequence}`;
+  }
+}
+
+function seededRandom(seed) {
+  // mulberry32: small, fast and good enough for ids and phrasing choices
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Used by components that are not attached to an agent
+Runtime.default = new Runtime();
+
+module.exports = Runtime;
@@ -0,0 +1,191 @@
+// src/core/SchemaValidator.js
+// Validates values against a small, JSON-Schema-style subset: type, enum,
+// properties/required/additionalProperties, items and the usual bounds.
+// coerce() repairs simple type mismatches before validation.
+class SchemaValidator {
+  validate(schema, value, path = 'value') {
+    const errors = [];
+    this._validateNode(schema, value, path, errors);
+    return { valid: errors.length === 0, errors };
+  }
+  
+  applyDefaults(schema, value) {
+    if (!schema || !schema.properties || !this._isObject(value)) {
+      return value;
+    }
+    
+    const output = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (output[key] === undefined && propertySchema && propertySchema.default !== undefined) {
+        output[key] = propertySchema.default;
+      }
+    }
+    
+    return output;
+  }
+  
+  coerce(schema, value) {
+    // Fixes simple mismatches the way a model tends to produce them: numbers
+    // and booleans sent as strings, scalars where a list was expected, and
+    // the reverse for strings. Anything else is left for validate() to report.
+    if (!schema || typeof schema !== 'object') return value;
+    
+    if (schema.type && !this._matchesType(schema.type, value)) {
+      const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+      for (const type of types) {
+        const converted = this._convert(type, value, schema);
+        if (converted !== undefined) {
+          value = converted;
+          break;
+        }
+      }
+    }
+    
+    if (Array.isArray(value) && schema.items) {
+      return value.map(item => this.coerce(schema.items, item));
+    }
+    
+    if (this._isObject(value) && (schema.properties || this._isObject(schema.additionalProperties))) {
+      const output = {};
+      for (const [key, propertyValue] of Object.entries(value)) {
+        const propertySchema = (schema.properties && schema.properties[key]) ||
+          (this._isObject(schema.additionalProperties) ? schema.additionalProperties : null);
+        output[key] = propertySchema ? this.coerce(propertySchema, propertyValue) : propertyValue;
+      }
+      return output;
+    }
+    
+    return value;
+  }
+  
+  _convert(type, value, schema) {
+    // Returns undefined when there is no safe conversion
+    switch (type) {
+      case 'number':
+      case 'integer': {
+        if (typeof value !== 'string' || value.trim() === '') return undefined;
+        const number = Number(value.trim());
+        if (Number.isNaN(number)) return undefined;
+        return type === 'integer' && !Number.isInteger(number) ? undefined : number;
+      }
+      case 'boolean':
+        if (value === 'true') return true;
+        if (value === 'false') return false;
+        return undefined;
+      case 'string':
+        return typeof value === 'number' || typeof value === 'boolean' ? String(value) : undefined;
+      case 'array':
+        return value === undefined || value === null ? undefined : [this.coerce(schema.items, value)];
+      case 'null':
+        return value === '' || value === 'null' ? null : undefined;
+      default:
+        return undefined;
+    }
+  }
+  
+  _validateNode(schema, value, path, errors) {
+    if (!schema || typeof schema !== 'object') return;
+    
+    if (schema.type && !this._matchesType(schema.type, value)) {
+      const expected = Array.isArray(schema.type) ? schema.type.join(' | ') : schema.type;
+      errors.push(`${path} must be of type ${expected} (got ${this._typeOf(value)})`);
+      return;
+    }
+    
+    if (schema.enum && !schema.enum.some(option => option === value)) {
+      errors.push(`${path} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+    }
+    
+    if (typeof value === 'string') {
+      this._validateString(schema, value, path, errors);
+    } else if (typeof value === 'number') {
+      this._validateNumber(schema, value, path, errors);
+    } else if (Array.isArray(value)) {
+      this._validateArray(schema, value, path, errors);
+    } else if (this._isObject(value)) {
+      this._validateObject(schema, value, path, errors);
+    }
+  }
+  
+  _validateString(schema, value, path, errors) {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path} must be at least ${schema.minLength} characters long`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path} must be at most ${schema.maxLength} characters long`);
+    }
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+      errors.push(`${path} must match pattern ${schema.pattern}`);
+    }
+  }
+  
+  _validateNumber(schema, value, path, errors) {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${path} must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${path} must be <= ${schema.maximum}`);
+    }
+  }
+  
+  _validateArray(schema, value, path, errors) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} must contain at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path} must contain at most ${schema.maxItems} items`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => this._validateNode(schema.items, item, `${path}[${index}]`, errors));
+    }
+  }
+  
+  _validateObject(schema, value, path, errors) {
+    const properties = schema.properties || {};
+    
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path}.${key} is required`);
+      }
+    }
+    
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        this._validateNode(properties[key], propertyValue, `${path}.${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key} is not an allowed property`);
+      } else if (this._isObject(schema.additionalProperties)) {
+        this._validateNode(schema.additionalProperties, propertyValue, `${path}.${key}`, errors);
+      }
+    }
+  }
+  
+  _matchesType(type, value) {
+    const types = Array.isArray(type) ? type : [type];
+    return types.some(candidate => {
+      switch (candidate) {
+        case 'string': return typeof value === 'string';
+        case 'number': return typeof value === 'number' && !Number.isNaN(value);
+        case 'integer': return Number.isInteger(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'array': return Array.isArray(value);
+        case 'object': return this._isObject(value);
+        case 'null': return value === null;
+        case 'any': return true;
+        default: return false;
+      }
+    });
+  }
+  
+  _typeOf(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+  }
+  
+  _isObject(item) {
+    return (item && typeof item === 'object' && !Array.isArray(item));
+  }
+}
+
+module.exports = SchemaValidator;
@@ -2,10 +2,14 @@ const Agent = require('./Agent');
 const Component = require('./Component');
 const EventBus = require('./EventBus');
 const Config = require('./Config');
+const Runtime = require('./Runtime');
+const SchemaValidator = require('./SchemaValidator');
 
 module.exports = {
   Agent,
   Component,
   EventBus,
-  Config
+  Config,
+  Runtime,
+  SchemaValidator
 };
\ No newline at end of file
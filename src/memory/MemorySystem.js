@@ -1,5 +1,7 @@
 // src/memory/MemorySystem.js
-const { Component } = require('../core/Component');
+const Component = require('../core/Component');
+const HashEmbedder = require('../cognition/llm/embeddings/HashEmbedder');
+const { cosineSimilarity } = require('../cognition/llm/embeddings/vectors');
 
 class MemorySystem extends Component {
   constructor(config = {}) {
@@ -9,6 +11,8 @@ class MemorySystem extends Component {
     this.semanticMemory = new Map();
     this.memoryIndexes = new Map();
     this.maxEpisodicMemory = 100; // Default max episodes to store
+    this.embedder = null; // async (texts) => vectors, for similarity search
+    this.vectors = new Map(); // 'episode:<id>' / 'concept:<key>' -> { text, vector }
     
     this.initialize(config);
   }
@@ -25,6 +29,11 @@ class MemorySystem extends Component {
     // Initialize memory indexes
     this._initializeIndexes();
     
+    // Similarity search works offline with hashed n-gram vectors until the
+    // agent connects a model's embeddings
+    const hashEmbedder = new HashEmbedder(config.embeddings || {});
+    this.embedder = async (texts) => (await hashEmbedder.embed(texts)).embeddings;
+    
     this.emit('memory:initialized', {
       workingMemory: this.workingMemory.size,
       episodicMemory: this.episodicMemory.length,
@@ -43,10 +52,10 @@ class MemorySystem extends Component {
   addToWorkingMemory(key, value) {
     this.workingMemory.set(key, {
       value,
-      timestamp: Date.now()
+      timestamp: this.runtime.now()
     });
     
-    this.emit('memory:working:add', { key, timestamp: Date.now() });
+    this.emit('memory:working:add', { key, timestamp: this.runtime.now() });
     return this;
   }
   
@@ -54,13 +63,13 @@ class MemorySystem extends Component {
     const entry = this.workingMemory.get(key);
     if (!entry) return null;
     
-    this.emit('memory:working:get', { key, timestamp: Date.now() });
+    this.emit('memory:working:get', { key, timestamp: this.runtime.now() });
     return entry.value;
   }
   
   clearWorkingMemory() {
     this.workingMemory.clear();
-    this.emit('memory:working:clear', { timestamp: Date.now() });
+    this.emit('memory:working:clear', { timestamp: this.runtime.now() });
     return this;
   }
   
@@ -68,11 +77,11 @@ class MemorySystem extends Component {
   
   storeEpisode(episode) {
     if (!episode.id) {
-      episode.id = `episode-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+      episode.id = this.runtime.createId('episode');
     }
     
     if (!episode.timestamp) {
-      episode.timestamp = Date.now();
+      episode.timestamp = this.runtime.now();
     }
     
     // Add episode to episodic memory
@@ -85,9 +94,10 @@ class MemorySystem extends Component {
     if (this.episodicMemory.length > this.maxEpisodicMemory) {
       const removed = this.episodicMemory.shift();
       this._removeFromEpisodicIndexes(removed);
+      this.vectors.delete(`episode:${removed.id}`);
     }
     
-    this.emit('memory:episodic:store', { episodeId: episode.id, timestamp: Date.now() });
+    this.emit('memory:episodic:store', { episodeId: episode.id, timestamp: this.runtime.now() });
     return episode.id;
   }
   
@@ -95,7 +105,7 @@ class MemorySystem extends Component {
     const episode = this.episodicMemory.find(e => e.id === episodeId);
     
     if (episode) {
-      this.emit('memory:episodic:get', { episodeId, timestamp: Date.now() });
+      this.emit('memory:episodic:get', { episodeId, timestamp: this.runtime.now() });
     }
     
     return episode || null;
@@ -107,7 +117,7 @@ class MemorySystem extends Component {
       .sort((a, b) => b.timestamp - a.timestamp)
       .slice(0, count);
     
-    this.emit('memory:episodic:getRecent', { count, timestamp: Date.now() });
+    this.emit('memory:episodic:getRecent', { count, timestamp: this.runtime.now() });
     return recent;
   }
   
@@ -261,16 +271,90 @@ class MemorySystem extends Component {
     topics.push(...sortedKeywords);
   }
   
+  // Similarity Search Methods
+  
+  setEmbedder(embedder) {
+    // Vectors from another model cannot be compared with the new ones
+    this.embedder = embedder;
+    this.vectors.clear();
+    return this;
+  }
+  
+  async searchEpisodes(query, options = {}) {
+    // Episodes most similar to the query text, as [{ episode, score }]
+    const items = this.episodicMemory.map(episode => ({
+      key: `episode:${episode.id}`,
+      text: this._episodeText(episode),
+      result: { episode }
+    }));
+    
+    const results = await this._search(query, items, options);
+    this.emit('memory:episodic:search', { query, results: results.length, timestamp: this.runtime.now() });
+    return results;
+  }
+  
+  async searchConcepts(query, options = {}) {
+    // Concepts most similar to the query text, as [{ key, data, score }]
+    const items = Array.from(this.semanticMemory.entries(), ([key, concept]) => ({
+      key: `concept:${key}`,
+      text: `${key}: ${typeof concept.data === 'string' ? concept.data : JSON.stringify(concept.data)}`,
+      result: { key, data: concept.data }
+    }));
+    
+    const results = await this._search(query, items, options);
+    this.emit('memory:semantic:search', { query, results: results.length, timestamp: this.runtime.now() });
+    return results;
+  }
+  
+  async _search(query, items, options) {
+    const limit = options.limit || 5;
+    const minScore = options.minScore !== undefined ? options.minScore : 0;
+    const searchable = items.filter(item => item.text);
+    if (searchable.length === 0) return [];
+    
+    // Embed the query together with every item whose text has no vector yet
+    const stale = searchable.filter(item => {
+      const stored = this.vectors.get(item.key);
+      return !stored || stored.text !== item.text;
+    });
+    const vectors = await this.embedder([query, ...stale.map(item => item.text)]);
+    stale.forEach((item, index) => this.vectors.set(item.key, { text: item.text, vector: vectors[index + 1] }));
+    
+    return searchable
+      .map(item => ({ ...item.result, score: cosineSimilarity(vectors[0], this.vectors.get(item.key).vector) }))
+      .filter(result => result.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, limit);
+  }
+  
+  _episodeText(episode) {
+    const perceivedData = episode.perceivedData;
+    if (!perceivedData) return '';
+    if (typeof perceivedData === 'string') return perceivedData;
+    
+    const perceptions = perceivedData.perceptions || [];
+    const textPerceptions = perceptions.filter(p => p.type === 'text' && p.value);
+    if (textPerceptions.length > 0) {
+      return textPerceptions.map(p => p.value).join('\n');
+    }
+    
+    // Image data says nothing to a text embedding
+    const images = perceptions.filter(p => p.type === 'image');
+    return images.length > 0
+      ? images.map(p => `image ${p.metadata.mimeType} ${p.metadata.path || ''}`.trim()).join('\n')
+      : JSON.stringify(perceivedData);
+  }
+  
   // Semantic Memory Methods
   
   storeConcept(key, data) {
     this.semanticMemory.set(key, {
       data,
-      timestamp: Date.now(),
+      timestamp: this.runtime.now(),
       accessCount: 0
     });
     
-    this.emit('memory:semantic:store', { key, timestamp: Date.now() });
+    this.emit('memory:semantic:store', { key, timestamp: this.runtime.now() });
     return this;
   }
   
@@ -280,9 +364,9 @@ class MemorySystem extends Component {
     if (concept) {
       // Update access count
       concept.accessCount += 1;
-      concept.lastAccessed = Date.now();
+      concept.lastAccessed = this.runtime.now();
       
-      this.emit('memory:semantic:get', { key, timestamp: Date.now() });
+      this.emit('memory:semantic:get', { key, timestamp: this.runtime.now() });
       return concept.data;
     }
     
@@ -305,11 +389,12 @@ class MemorySystem extends Component {
     this.workingMemory.clear();
     this.episodicMemory = [];
     this.semanticMemory.clear();
+    this.vectors.clear();
     
     // Reset indexes
     this._initializeIndexes();
     
-    this.emit('memory:clear:all', { timestamp: Date.now() });
+    this.emit('memory:clear:all', { timestamp: this.runtime.now() });
     return this;
   }
   
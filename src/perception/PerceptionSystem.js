@@ -1,5 +1,8 @@
 // src/perception/PerceptionSystem.js
-const { Component } = require('../core/Component');
+const fs = require('fs');
+const path = require('path');
+const Component = require('../core/Component');
+const TokenEstimator = require('../cognition/llm/TokenEstimator');
 
 class PerceptionSystem extends Component {
   constructor(config = {}) {
@@ -33,13 +36,15 @@ class PerceptionSystem extends Component {
   _createSensor(config) {
     const { type } = config;
     
-    // Import the appropriate sensor class based on type
-    let SensorClass;
-    try {
-      SensorClass = require(`./sensors/${type}Sensor`);
-    } catch (error) {
-      console.warn(`Sensor type "${type}" not found, using default TextSensor`);
-      SensorClass = require('./sensors/TextSensor');
+    // Built-in sensors live in this file; other types are loaded by name
+    let SensorClass = BUILT_IN_SENSORS[type];
+    if (!SensorClass) {
+      try {
+        SensorClass = require(`./sensors/${type}Sensor`);
+      } catch (error) {
+        console.warn(`Sensor type "${type}" not found, using default TextSensor`);
+        SensorClass = TextSensor;
+      }
     }
     
     return new SensorClass(config);
@@ -48,13 +53,15 @@ class PerceptionSystem extends Component {
   _createPreprocessor(config) {
     const { type } = config;
     
-    // Import the appropriate preprocessor class based on type
-    let PreprocessorClass;
-    try {
-      PreprocessorClass = require(`./preprocessors/${type}Preprocessor`);
-    } catch (error) {
-      console.warn(`Preprocessor type "${type}" not found, using default TextPreprocessor`);
-      PreprocessorClass = require('./preprocessors/TextPreprocessor');
+    // Built-in preprocessors live in this file; other types are loaded by name
+    let PreprocessorClass = BUILT_IN_PREPROCESSORS[type];
+    if (!PreprocessorClass) {
+      try {
+        PreprocessorClass = require(`./preprocessors/${type}Preprocessor`);
+      } catch (error) {
+        console.warn(`Preprocessor type "${type}" not found, using default TextPreprocessor`);
+        PreprocessorClass = TextPreprocessor;
+      }
     }
     
     return new PreprocessorClass(config);
@@ -85,14 +92,14 @@ class PerceptionSystem extends Component {
       
       for (const sensor of this.sensors) {
         if (sensor.canProcess(input)) {
+          // A sensor may perceive several things at once (e.g. multiple images)
           const perception = await sensor.process(input);
-          perceptions.push(perception);
+          perceptions.push(...(Array.isArray(perception) ? perception : [perception]));
         }
       }
       
       // If no sensors could process the input, use a default text approach
       if (perceptions.length === 0) {
-        const TextSensor = require('./sensors/TextSensor');
         const defaultSensor = new TextSensor();
         const perception = await defaultSensor.process(input);
         perceptions.push(perception);
@@ -101,6 +108,7 @@ class PerceptionSystem extends Component {
       // 2. Apply all preprocessors to refine the perceptions
       let processedData = { 
         raw: input,
+        channel: this._detectChannel(input),
         perceptions 
       };
       
@@ -117,6 +125,14 @@ class PerceptionSystem extends Component {
     }
   }
   
+  _detectChannel(input) {
+    // The channel an input arrived on decides how the response is formatted
+    if (input && typeof input === 'object' && input.channel) {
+      return input.channel;
+    }
+    return this.config.defaultChannel || null;
+  }
+  
   getSensors() {
     return [...this.sensors];
   }
@@ -152,10 +168,12 @@ class TextSensor extends Sensor {
   constructor(config = {}) {
     super(config);
     this.type = 'text';
+    this.tokenEstimator = new TokenEstimator();
   }
   
   canProcess(input) {
-    return typeof input === 'string' || 
+    // Strings an image sensor takes (data URLs, files in its directory) are left to it
+    return (typeof input === 'string' && !this._isImageInput(input)) ||
            (typeof input === 'object' && input.text) ||
            (typeof input === 'object' && input.message);
   }
@@ -184,9 +202,13 @@ class TextSensor extends Sensor {
     };
   }
   
+  _isImageInput(input) {
+    const sensors = this.perceptionSystem ? this.perceptionSystem.getSensors() : [];
+    return sensors.some(sensor => sensor instanceof ImageSensor && sensor.canProcess(input));
+  }
+  
   _estimateTokens(text) {
-    // Very rough token estimation (about 4 chars per token for English)
-    return Math.ceil(text.length / 4);
+    return this.tokenEstimator.estimate(text);
   }
   
   _detectLanguage(text) {
@@ -196,6 +218,190 @@ class TextSensor extends Sensor {
   }
 }
 
+// src/perception/sensors/ImageSensor.js
+// Accepts a Buffer, a data URL or an image file path under `image` / `images`
+// next to text ({ text, image }), or a Buffer or data URL as the whole input.
+// Each image becomes a perception whose value is the base64 data:
+//
+//   { type: 'image', value: '<base64>',
+//     metadata: { mimeType: 'image/png', width: 640, height: 480, size: 48213, source: 'file', path } }
+//
+// Files are only ever read from inside a configured `directory`; without
+// one, only Buffers and data URLs are taken. A plain string input is only
+// taken as a path to such a file:
+//
+//   { type: 'image', directory: './uploads' }   // "photo.png" reads uploads/photo.png
+//
+// Paths that are not readable image files inside the directory are ignored,
+// so "Can you describe cat.png" stays a text message. An image that is too
+// large or cannot be decoded becomes a text perception saying so, and the
+// rest of the input is still perceived.
+class ImageSensor extends Sensor {
+  constructor(config = {}) {
+    super(config);
+    this.type = 'image';
+    this.maxBytes = config.maxBytes || 20 * 1024 * 1024;
+    this.directory = config.directory ? path.resolve(config.directory) : null;
+  }
+  
+  canProcess(input) {
+    return this._references(input).length > 0;
+  }
+  
+  async process(input) {
+    const perceptions = [];
+    for (const reference of this._references(input)) {
+      try {
+        perceptions.push(await this._load(reference));
+      } catch (error) {
+        perceptions.push(this._rejected(reference, error));
+      }
+    }
+    return perceptions.length === 1 ? perceptions[0] : perceptions;
+  }
+  
+  _references(input) {
+    // Buffers and data URLs as they are, file paths resolved to { path }
+    if (Buffer.isBuffer(input) || isDataUrl(input)) return [input];
+    if (typeof input === 'string') {
+      const filePath = this._resolvePath(input);
+      return filePath ? [{ path: filePath }] : [];
+    }
+    if (!input || typeof input !== 'object') return [];
+    
+    const candidates = [...(input.image ? [input.image] : []), ...(Array.isArray(input.images) ? input.images : [])];
+    return candidates
+      .map(candidate => {
+        if (Buffer.isBuffer(candidate) || isDataUrl(candidate)) return candidate;
+        const filePath = typeof candidate === 'string' ? this._resolvePath(candidate) : null;
+        return filePath ? { path: filePath } : null;
+      })
+      .filter(Boolean);
+  }
+  
+  _resolvePath(reference) {
+    // An existing image file inside the configured directory; no directory, no files
+    if (!this.directory || !IMAGE_PATH_PATTERN.test(reference.trim())) return null;
+    
+    try {
+      const filePath = fs.realpathSync(path.resolve(this.directory, reference.trim()));
+      const relative = path.relative(fs.realpathSync(this.directory), filePath);
+      if (relative.startsWith('..') || path.isAbsolute(relative)) return null;
+      return fs.statSync(filePath).isFile() ? filePath : null;
+    } catch (error) {
+      return null; // Missing or unreadable
+    }
+  }
+  
+  async _load(reference) {
+    let data;
+    let source;
+    let filePath = null;
+    
+    if (Buffer.isBuffer(reference)) {
+      data = reference;
+      source = 'buffer';
+    } else if (isDataUrl(reference)) {
+      data = Buffer.from(reference.slice(reference.indexOf(',') + 1), 'base64');
+      source = 'dataUrl';
+    } else {
+      filePath = reference.path;
+      data = await fs.promises.readFile(filePath);
+      source = 'file';
+    }
+    
+    if (data.length > this.maxBytes) {
+      throw new Error(`Image is ${data.length} bytes; the limit is ${this.maxBytes}`);
+    }
+    
+    const info = this._inspect(data);
+    if (!info) {
+      throw new Error(`Unsupported image format${filePath ? ` in ${filePath}` : ''}; expected PNG, JPEG, GIF or WebP`);
+    }
+    
+    return {
+      type: 'image',
+      value: data.toString('base64'),
+      metadata: {
+        mimeType: info.mimeType,
+        width: info.width,
+        height: info.height,
+        size: data.length,
+        source,
+        ...(filePath ? { path: filePath } : {})
+      }
+    };
+  }
+  
+  _rejected(reference, error) {
+    // Tell the agent an image was sent but could not be used, instead of failing the cycle
+    const source = Buffer.isBuffer(reference) ? 'buffer' : isDataUrl(reference) ? 'dataUrl' : 'file';
+    const value = `[An image could not be used: ${error.message}]`;
+    return {
+      type: 'text',
+      value,
+      metadata: {
+        length: value.length,
+        imageError: error.message,
+        source,
+        ...(reference.path ? { path: reference.path } : {})
+      }
+    };
+  }
+  
+  _inspect(data) {
+    // Format and dimensions from the file header; null when unrecognized
+    if (data.length >= 24 && data.readUInt32BE(0) === 0x89504e47) {
+      return { mimeType: 'image/png', width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+    if (data.length >= 10 && data.toString('ascii', 0, 4) === 'GIF8') {
+      return { mimeType: 'image/gif', width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+    if (data.length >= 4 && data[0] === 0xff && data[1] === 0xd8) {
+      return { mimeType: 'image/jpeg', ...this._jpegSize(data) };
+    }
+    if (data.length >= 30 && data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+      return { mimeType: 'image/webp', ...this._webpSize(data) };
+    }
+    return null;
+  }
+  
+  _jpegSize(data) {
+    // Walk the segments up to the start-of-frame marker
+    let offset = 2;
+    while (offset + 9 < data.length) {
+      if (data[offset] !== 0xff) break;
+      const marker = data[offset + 1];
+      if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+      }
+      offset += 2 + data.readUInt16BE(offset + 2);
+    }
+    return { width: null, height: null };
+  }
+  
+  _webpSize(data) {
+    switch (data.toString('ascii', 12, 16)) {
+      case 'VP8 ':
+        return { width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+      case 'VP8L': {
+        const bits = data.readUInt32LE(21);
+        return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+      }
+      case 'VP8X':
+        return { width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+    }
+    return { width: null, height: null };
+  }
+}
+
+const DATA_URL_PATTERN = /^data:image\/[\w.+-]+;base64,/;
+const IMAGE_PATH_PATTERN = /^[^\n]+\.(png|jpe?g|gif|webp)$/i;
+
+function isDataUrl(value) {
+  return typeof value === 'string' && DATA_URL_PATTERN.test(value);
+}
+
 // src/perception/preprocessors/Preprocessor.js
 class Preprocessor {
   constructor(config = {}) {
@@ -277,4 +483,13 @@ class TextPreprocessor extends Preprocessor {
   }
 }
 
+const BUILT_IN_SENSORS = {
+  text: TextSensor,
+  image: ImageSensor
+};
+
+const BUILT_IN_PREPROCESSORS = {
+  text: TextPreprocessor
+};
+
 module.exports = PerceptionSystem;
\ No newline at end of file